@@ -0,0 +1,128 @@
+// Service worker: keeps the app usable without a connection. The app shell and the
+// map/font assets from CDNs are cached as they're used, OpenStreetMap tiles viewed
+// recently are kept up to MAX_TILES. Tiles are only ever cached as they're viewed:
+// the OpenStreetMap tile policy doesn't allow downloading areas ahead of time.
+// Supabase requests aren't touched; the app has its own offline store for data.
+const SHELL = "shell-v1";
+const ASSETS = "assets-v1";
+const TILES = "tiles-v1";
+// Anything else, like the "offline-tiles" cache earlier versions filled, goes on activate
+const KEEP = [SHELL, ASSETS, TILES];
+
+const MAX_TILES = 1500;
+const CDN_HOSTS = ["cdnjs.cloudflare.com", "fonts.googleapis.com", "fonts.gstatic.com"];
+const TILE_HOST = "tile.openstreetmap.org";
+
+// The page and the bundles it references, read from index.html since their names
+// change with every build. Each file is fetched on its own, so one that fails (a 404,
+// a flaky connection) doesn't stop the install; it's cached on its first use instead.
+// Whatever the new page no longer references (last build's bundles, mostly) is
+// dropped; other files come back on their next use.
+async function cacheShell() {
+  const cache = await caches.open(SHELL);
+  const response = await fetch("/index.html", { cache: "no-cache" });
+  if (!response.ok) return;
+  const html = await response.clone().text();
+  const files = [...new Set([...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)].map((m) => m[1]))];
+  await cache.put("/index.html", response);
+  await Promise.allSettled(files.map((file) => cache.add(file)));
+  const keep = new Set(["/index.html", ...files]);
+  const stale = (await cache.keys()).filter((key) => {
+    const url = new URL(key.url);
+    return !keep.has(url.pathname + url.search);
+  });
+  await Promise.all(stale.map((key) => cache.delete(key)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((n) => !KEEP.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Oldest first: Cache.keys() keeps insertion order
+async function trimTiles() {
+  const cache = await caches.open(TILES);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((k) => cache.delete(k)));
+}
+
+let tilesAdded = 0;
+
+async function tile(request) {
+  const cached = await caches.match(request.url, { cacheName: TILES });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(TILES);
+    await cache.put(request.url, response.clone());
+    if (++tilesAdded % 50 === 0) trimTiles();
+  }
+  return response;
+}
+
+// Hashed bundles and versioned CDN files never change under the same URL
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Other files of ours (icons, the manifest) keep their names across builds: the saved
+// copy straight away, refreshed in the background for next time
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const fresh = fetch(request).then(async (response) => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return fresh;
+  event.waitUntil(fresh.catch(() => {}));
+  return cached;
+}
+
+// The page itself: always the newest when online, the saved copy otherwise
+async function page(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL);
+      await cache.put("/index.html", response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match("/index.html", { cacheName: SHELL });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(page(request));
+  } else if (url.hostname === TILE_HOST) {
+    event.respondWith(tile(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, ASSETS));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request, SHELL));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, SHELL));
+  }
+});
@@ -1,15 +1,59 @@
 import { useState, useEffect, useRef } from "react";
-import { createClient } from "@supabase/supabase-js";
+import {
+  supabase, ConflictError, PermissionError, upsertRestaurant, deleteRestaurant, mergeDuplicate,
+  fetchLists, upsertList, deleteList, fetchSharedList, fetchSettings, saveSettings,
+  fetchRevisions, subscribeRevisions,
+} from "./supabase";
+import { CATEGORIES, NEIGHBORHOODS, CUISINES } from "./constants";
+import { signInWithEmail, signInWithProvider, signOut, subscribeSession, displayName } from "./auth";
+import { memberNotes, myReview, withReview } from "./reviews";
+import {
+  visitsOf, canEditVisit, sortedVisits, newVisit, memberScores, groupAverage, categoryAverage, visitPhotos,
+} from "./visits";
+import {
+  DEFAULT_SCORING, MAX_WEIGHT, PRICE_LEVELS, allCategories, categoryLabel, ratingAverage, isRated,
+  readScoring, setScoringSettings, cleanCategoryName, priceSymbols,
+} from "./scoring";
+import {
+  loadCachedRestaurants, syncRestaurants, storeRestaurant, removeRestaurant,
+  cacheRemoteChange, replayQueue, watchQueue, subscribePending, hasPending,
+} from "./offlineStore";
+import { diffRestaurants, mergeRestaurants } from "./conflicts";
+import { haversine, formatDistance, walkingMinutes } from "./geo";
+import { DEFAULT_FILTERS, SORTS, activeFilterCount, applyFilters, facetCounts } from "./filters";
+import { parseRoute, routeSearch, restaurantUrl, voteUrl, listUrl, sharedListToken } from "./routing";
+import {
+  downloadFile, exportJson, exportCsv, parseImportFile, planImport, importedRestaurant,
+} from "./transfer";
+import { parseTakeoutFile, takeoutRecords } from "./takeout";
+import { NEIGHBORHOOD_BOUNDARIES, neighborhoodAt } from "./neighborhoods";
+import { searchAddresses, reverseGeocode } from "./geocoding";
+import { likelyDuplicates, duplicatePairs, suggestedKeeper, mergeDuplicates } from "./duplicates";
+import { DEFAULT_PICKER, distanceApplies, pickerCandidates, weightedPick } from "./picker";
+import {
+  MAX_SHORTLIST, newSessionCode, normalizeCode, createSession, applyVoteEvent, nextVoteSeq, tally, winnerOf, isFinished,
+} from "./votes";
+import { openVoteChannel } from "./voteChannel";
+import { LIST_EMOJIS, newList, listsWith, toggleEntry, moveEntry, withSharing } from "./lists";
+import { tagsOf, dishesOf, suggestTags, addTag, newDish, rankedDishes } from "./tags";
+import { searchSnippets, highlightParts } from "./search";
+import { InvalidRecordError, readRestaurant, readRow, writableRestaurant } from "./schema";
+import { TRASH_DAYS, isTrashed, trashed, restored, daysLeft, trashOf } from "./trash";
+import { describeRevisions, revertTo } from "./history";
+import {
+  DAYS, emptyHours, hasHours, stockholmTime, openStatus, weeklySummary, parseOpeningHours,
+} from "./hours";
+import {
+  categoryAveragesBy, ratingHistogram, topRatedByCategory, backlogGrowth, explorationGrid,
+} from "./stats";
+import {
+  photoThumb, photoFull, uploadPhoto, inlinePhoto, hasInlinePhotos, migrateInlinePhotos,
+} from "./photos";
 
-// Supabase
-const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_KEY
-);
-
-// Leaflet via CDN
+// Leaflet via CDN (one shared load, however many maps ask for it)
+let leafletPromise = null;
 function loadLeaflet() {
-  return new Promise((resolve) => {
+  if (!leafletPromise) leafletPromise = new Promise((resolve) => {
     if (window.L) return resolve(window.L);
     const css = document.createElement("link");
     css.rel = "stylesheet";
@@ -20,39 +64,31 @@ function loadLeaflet() {
     script.onload = () => resolve(window.L);
     document.head.appendChild(script);
   });
+  return leafletPromise;
 }
 
-// Constants
-const CATEGORIES = ["Food", "Vibe", "Service", "Price"];
-const NEIGHBORHOODS = [
-  "Södermalm", "Östermalm", "Vasastan", "Kungsholmen", "Gamla Stan",
-  "Norrmalm", "Lidingö", "Djurgården", "Nacka", "Solna", "Other",
-];
-const CUISINES = [
-  "Swedish", "Italian", "Japanese", "Thai", "Indian", "Mexican",
-  "French", "Middle Eastern", "American", "Chinese", "Korean", "Other",
-];
-
-// Supabase helpers
-async function fetchAll() {
-  const { data, error } = await supabase
-    .from("restaurants")
-    .select("*")
-    .order("updated_at", { ascending: false });
-  if (error) throw error;
-  return data.map((row) => row.data);
-}
-
-async function upsertRestaurant(restaurant) {
-  const { error } = await supabase
-    .from("restaurants")
-    .upsert({ id: restaurant.id, data: restaurant }, { onConflict: "id" });
-  if (error) throw error;
-}
+// One host rather than the a/b/c subdomains, so the service worker's tile cache (public/sw.js)
+// sees every tile under the same URL
+const TILE_URL = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
 
-async function deleteRestaurant(id) {
-  const { error } = await supabase.from("restaurants").delete().eq("id", id);
-  if (error) throw error;
+// Marker clustering plugin, loaded after Leaflet itself
+const MARKERCLUSTER_CDN = "https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3";
+let markerClusterPromise = null;
+function loadMarkerCluster() {
+  if (!markerClusterPromise) markerClusterPromise = loadLeaflet().then((L) => new Promise((resolve) => {
+    if (L.markerClusterGroup) return resolve(L);
+    ["MarkerCluster.css", "MarkerCluster.Default.css"].forEach((file) => {
+      const css = document.createElement("link");
+      css.rel = "stylesheet";
+      css.href = `${MARKERCLUSTER_CDN}/${file}`;
+      document.head.appendChild(css);
+    });
+    const script = document.createElement("script");
+    script.src = `${MARKERCLUSTER_CDN}/leaflet.markercluster.js`;
+    script.onload = () => resolve(L);
+    document.head.appendChild(script);
+  }));
+  return markerClusterPromise;
 }
 
 // Star rating
@@ -81,12 +117,12 @@ function Stars({ value, onChange, size = 20 }) {
   );
 }
 
-// Toast notification
-function Toast({ message, onDone }) {
+// Toast notification; action: { label, onClick } adds a button (Undo) and keeps it up longer
+function Toast({ message, action, onDone }) {
   useEffect(() => {
-    const t = setTimeout(onDone, 2800);
+    const t = setTimeout(onDone, action ? 6000 : 2800);
     return () => clearTimeout(t);
-  }, [onDone]);
+  }, [onDone, action]);
   return (
     <div style={{
       position: "fixed", bottom: 24, left: "50%", transform: "translateX(-50%)",
@@ -94,8 +130,23 @@ function Toast({ message, onDone }) {
       borderRadius: 10, fontSize: 13, fontWeight: 600, zIndex: 2000,
       boxShadow: "0 4px 20px rgba(0,0,0,0.25)",
       animation: "fadeInUp 0.2s ease",
+      display: "flex", alignItems: "center", gap: 14,
     }}>
       {message}
+      {action && (
+        <button
+          onClick={() => {
+            action.onClick();
+            onDone();
+          }}
+          style={{
+            background: "none", border: "none", padding: 0, color: "#e8a020",
+            fontWeight: 700, fontSize: 13, cursor: "pointer", fontFamily: "inherit",
+          }}
+        >
+          {action.label}
+        </button>
+      )}
     </div>
   );
 }
@@ -147,82 +198,514 @@ function Modal({ onClose, children, title }) {
   );
 }
 
+// Full-size photo, loaded only when opened
+function PhotoViewer({ photo, onClose }) {
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: "fixed", inset: 0, background: "rgba(15,12,9,0.9)",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        zIndex: 3000, padding: 16, cursor: "zoom-out",
+      }}
+    >
+      <img
+        src={photoFull(photo)}
+        style={{ maxWidth: "100%", maxHeight: "100%", borderRadius: 8, objectFit: "contain" }}
+        alt=""
+      />
+    </div>
+  );
+}
+
+// Photo thumbnails with upload; onUploading(+1 / -1) tracks uploads in flight
+function PhotoPicker({ photos, onAdd, onRemove, onUploading, size = 72 }) {
+  const [uploading, setUploading] = useState(0);
+  const [viewing, setViewing] = useState(null);
+
+  const handlePhoto = (e) => {
+    const files = [...e.target.files];
+    e.target.value = "";
+    files.forEach(async (file) => {
+      setUploading((n) => n + 1);
+      onUploading(1);
+      try {
+        // Offline: keep a small inline copy, uploaded the next time the list loads
+        onAdd(await uploadPhoto(file).catch(() => inlinePhoto(file)));
+      } catch {
+        // Unreadable image; nothing to add
+      } finally {
+        setUploading((n) => n - 1);
+        onUploading(-1);
+      }
+    });
+  };
+
+  return (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 6 }}>
+      {(photos || []).map((p, i) => (
+        <div key={i} style={{ position: "relative" }}>
+          <img
+            src={photoThumb(p)}
+            onClick={() => setViewing(p)}
+            style={{ width: size, height: size, objectFit: "cover", borderRadius: 8, cursor: "zoom-in" }}
+            alt=""
+          />
+          <button
+            onClick={() => onRemove(i)}
+            style={{
+              position: "absolute", top: -4, right: -4, background: "#e53",
+              color: "#fff", border: "none", borderRadius: "50%",
+              width: 20, height: 20, fontSize: 11, cursor: "pointer",
+            }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {uploading > 0 && (
+        <div style={{
+          width: size, height: size, borderRadius: 8, background: "#f5f2ee",
+          display: "flex", alignItems: "center", justifyContent: "center",
+          color: "#999", fontSize: 11,
+        }}>
+          Uploading…
+        </div>
+      )}
+      <label style={{
+        width: size, height: size, border: "2px dashed #d0cbc3", borderRadius: 8,
+        display: "flex", alignItems: "center", justifyContent: "center",
+        cursor: "pointer", color: "#aaa", fontSize: 24,
+      }}>
+        <input type="file" accept="image/*" multiple style={{ display: "none" }} onChange={handlePhoto} />+
+      </label>
+      {viewing && <PhotoViewer photo={viewing} onClose={() => setViewing(null)} />}
+    </div>
+  );
+}
+
+// One visit inside the restaurant form
+function VisitEditor({ visit, onChange, onUploading, inp, lbl }) {
+  const update = (patch) => onChange((v) => ({ ...v, ...patch }));
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10, padding: "12px 0 4px" }}>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+        <div>
+          <div style={lbl}>Date</div>
+          <input
+            type="date"
+            style={inp}
+            value={visit.date || ""}
+            onChange={(e) => update({ date: e.target.value || null })}
+          />
+        </div>
+        <div>
+          <div style={lbl}>Spend (kr)</div>
+          <input
+            type="number"
+            min="0"
+            style={inp}
+            value={visit.spend ?? ""}
+            onChange={(e) => update({ spend: e.target.value === "" ? null : Number(e.target.value) })}
+            placeholder="e.g. 850"
+          />
+        </div>
+      </div>
+      <div>
+        <div style={lbl}>Who came</div>
+        <input
+          style={inp}
+          value={visit.companions.join(", ")}
+          onChange={(e) => update({ companions: e.target.value.split(",").map((c) => c.trimStart()) })}
+          onBlur={() => update({ companions: visit.companions.map((c) => c.trim()).filter(Boolean) })}
+          placeholder="e.g. Anna, Erik"
+        />
+      </div>
+      <div>
+        <div style={lbl}>What we ordered</div>
+        <input
+          style={inp}
+          value={visit.ordered}
+          onChange={(e) => update({ ordered: e.target.value })}
+          placeholder="e.g. Tasting menu, natural wine pairing"
+        />
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        {allCategories().map((cat) => (
+          <div
+            key={cat}
+            style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}
+          >
+            <span style={{ fontSize: 14, fontWeight: 500 }}>{categoryLabel(cat)}</span>
+            <Stars
+              value={visit.ratings[cat] || 0}
+              onChange={(n) => onChange((v) => ({ ...v, ratings: { ...v.ratings, [cat]: n } }))}
+            />
+          </div>
+        ))}
+      </div>
+      <PhotoPicker
+        photos={visit.photos}
+        size={56}
+        onAdd={(photo) => onChange((v) => ({ ...v, photos: [...v.photos, photo] }))}
+        onRemove={(i) => onChange((v) => ({ ...v, photos: v.photos.filter((_, j) => j !== i) }))}
+        onUploading={onUploading}
+      />
+    </div>
+  );
+}
+
+// Weekly opening hours, holiday hours and closures inside the restaurant form;
+// onChange(fn) like VisitEditor
+function HoursEditor({ hours, onChange, inp, lbl }) {
+  const [osm, setOsm] = useState("");
+  const [osmError, setOsmError] = useState(null);
+  const small = {
+    fontSize: 12, padding: "2px 8px", borderRadius: 6,
+    border: "1.5px solid #e8e4de", background: "#faf8f5", cursor: "pointer",
+  };
+  const time = { ...inp, marginTop: 0, width: 92, padding: "4px 6px", fontSize: 13 };
+
+  const importOsm = () => {
+    try {
+      onChange(() => parseOpeningHours(osm));
+      setOsm("");
+      setOsmError(null);
+    } catch (err) {
+      setOsmError(err.message);
+    }
+  };
+  const setDay = (day, fn) => onChange((h) => ({ ...h, weekly: h.weekly.map((r, i) => i === day ? fn(r) : r) }));
+  const setRange = (day, i, patch) => setDay(day, (ranges) => ranges.map((r, j) => j === i ? { ...r, ...patch } : r));
+  const setException = (id, patch) =>
+    onChange((h) => ({ ...h, exceptions: h.exceptions.map((e) => e.id === id ? { ...e, ...patch } : e) }));
+  const year = new Date().getFullYear();
+  // Yearly exceptions keep "MM-DD"; the date inputs show them in the current year
+  const fullDate = (d) => d.length === 5 ? `${year}-${d}` : d;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 6 }}>
+      <div style={{ display: "flex", gap: 6 }}>
+        <input
+          style={{ ...inp, marginTop: 0, flex: 1, fontSize: 13 }}
+          value={osm}
+          onChange={(e) => setOsm(e.target.value)}
+          placeholder="Paste from OpenStreetMap: Mo-Fr 11:00-22:00; Sa 12:00-23:00; Su,PH off"
+        />
+        <button onClick={importOsm} disabled={!osm.trim()} style={small}>Import</button>
+      </div>
+      {osmError && <div style={{ fontSize: 12, color: "#c0392b" }}>⚠️ {osmError}</div>}
+
+      {DAYS.map((day, d) => (
+        <div key={day} style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 13 }}>
+          <span style={{ width: 36, fontWeight: 600 }}>{day}</span>
+          {hours.weekly[d].length === 0 && <span style={{ color: "#aaa" }}>Closed</span>}
+          {hours.weekly[d].map((r, i) => (
+            <span key={i} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <input type="time" style={time} value={r.open} onChange={(e) => setRange(d, i, { open: e.target.value })} />
+              –
+              <input type="time" style={time} value={r.close} onChange={(e) => setRange(d, i, { close: e.target.value })} />
+              <button onClick={() => setDay(d, (ranges) => ranges.filter((_, j) => j !== i))} style={small}>×</button>
+            </span>
+          ))}
+          <button
+            onClick={() => setDay(d, (ranges) => [...ranges, { open: "11:00", close: "22:00" }])}
+            style={small}
+          >
+            +
+          </button>
+          {d > 0 && hours.weekly[d - 1].length > 0 && (
+            <button onClick={() => setDay(d, () => hours.weekly[d - 1])} style={small} title="Same as the day before">
+              ↑ same
+            </button>
+          )}
+        </div>
+      ))}
+
+      <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+        Public holidays
+        <select
+          style={{ ...inp, marginTop: 0, width: "auto", padding: "4px 8px", fontSize: 13 }}
+          value={hours.holidays == null ? "usual" : hours.holidays.length ? "custom" : "closed"}
+          onChange={(e) => onChange((h) => ({ ...h, holidays: e.target.value === "usual" ? null : [] }))}
+        >
+          <option value="usual">Usual hours</option>
+          <option value="closed">Closed</option>
+          {hours.holidays?.length > 0 && (
+            <option value="custom">{hours.holidays.map((r) => `${r.open}–${r.close}`).join(", ")}</option>
+          )}
+        </select>
+      </label>
+
+      <div>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <div style={lbl}>Closures & exceptions</div>
+          <button
+            onClick={() => onChange((h) => ({
+              ...h,
+              exceptions: [...h.exceptions, { id: Date.now().toString(), from: `${year}-07-01`, to: `${year}-07-31`, ranges: [], label: "" }],
+            }))}
+            style={small}
+          >
+            ➕ Add
+          </button>
+        </div>
+        {hours.exceptions.map((e) => {
+          const yearly = e.from.length === 5;
+          return (
+            <div key={e.id} style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 13, marginTop: 6 }}>
+              <input
+                style={{ ...inp, marginTop: 0, width: 140, padding: "4px 8px", fontSize: 13 }}
+                value={e.label}
+                onChange={(ev) => setException(e.id, { label: ev.target.value })}
+                placeholder="e.g. Summer break"
+              />
+              <input
+                type="date"
+                style={{ ...time, width: 140 }}
+                value={fullDate(e.from)}
+                onChange={(ev) => ev.target.value && setException(e.id, { from: yearly ? ev.target.value.slice(5) : ev.target.value })}
+              />
+              –
+              <input
+                type="date"
+                style={{ ...time, width: 140 }}
+                value={fullDate(e.to || e.from)}
+                onChange={(ev) => ev.target.value && setException(e.id, { to: yearly ? ev.target.value.slice(5) : ev.target.value })}
+              />
+              <label style={{ display: "flex", alignItems: "center", gap: 4, color: "#666" }}>
+                <input
+                  type="checkbox"
+                  checked={yearly}
+                  onChange={(ev) => setException(e.id, ev.target.checked
+                    ? { from: e.from.slice(5), to: (e.to || e.from).slice(5) }
+                    : { from: fullDate(e.from), to: fullDate(e.to || e.from) })}
+                />
+                every year
+              </label>
+              <span style={{ color: "#999" }}>
+                {e.ranges.length ? e.ranges.map((r) => `${r.open}–${r.close}`).join(", ") : "closed"}
+              </span>
+              <button
+                onClick={() => onChange((h) => ({ ...h, exceptions: h.exceptions.filter((x) => x.id !== e.id) }))}
+                style={small}
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // Restaurant form with geocoding
-function RestaurantForm({ initial, onSave, onCancel, saving }) {
-  const [form, setForm] = useState(
-    initial || {
+const ADDRESS_DEBOUNCE_MS = 350;
+const MIN_ADDRESS_QUERY = 3;
+
+// restaurants: everything saved, to warn about likely duplicates
+function RestaurantForm({ initial, restaurants, user, userName, onSave, onCancel, saving }) {
+  const [form, setForm] = useState(() =>
+    initial ? { ...initial, visits: visitsOf(initial), tags: tagsOf(initial), dishes: dishesOf(initial) } : {
       name: "", neighborhood: "Södermalm", cuisine: "Swedish",
-      address: "", notes: "", visited: false, wantToTry: false,
-      ratings: { Food: 0, Vibe: 0, Service: 0, Price: 0 },
-      lat: 59.3293, lng: 18.0686, photos: [],
+      address: "", visited: false, wantToTry: true,
+      lat: 59.3293, lng: 18.0686, photos: [], visits: [], tags: [], dishes: [],
     }
   );
+  // The restaurant as it was when the form opened, for conflict checks on save
+  const [base] = useState(initial);
+  // The signed-in member's own notes
+  const [review, setReview] = useState(() => myReview(initial, user.id));
+  const [openVisit, setOpenVisit] = useState(null);
   const [pickingLocation, setPickingLocation] = useState(false);
   const [geocodeStatus, setGeocodeStatus] = useState(null); // null | "loading" | "success" | "error"
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  // Pending type-ahead timer and the in-flight lookups, so newer input cancels older;
+  // typed: the address was edited since a suggestion or map spot was picked
+  const lookupRef = useRef({ timer: null, search: null, reverse: null, locate: null, typed: false });
+  const [locating, setLocating] = useState(false); // placing the pin for a typed address
+  // New forms start on a placeholder pin; only a real location is checked against the label
+  const [located, setLocated] = useState(!!initial);
+  const [uploading, setUploading] = useState(0);
+  const [tagInput, setTagInput] = useState("");
+  const [tagFocus, setTagFocus] = useState(false);
   const mapRef = useRef(null);
   const leafletMap = useRef(null);
   const leafletMarker = useRef(null);
 
   const set = (k, v) => setForm((f) => ({ ...f, [k]: v }));
+  // Moving the pin into a known neighborhood relabels the place to match
+  const setLocation = (lat, lng) => {
+    setForm((f) => ({ ...f, lat, lng, neighborhood: neighborhoodAt({ lat, lng }) || f.neighborhood }));
+    setLocated(true);
+  };
+  const pinNeighborhood = located ? neighborhoodAt(form) : null;
+  const duplicates = likelyDuplicates(
+    { ...form, id: base?.id, ...(located ? {} : { lat: null, lng: null }) },
+    restaurants
+  ).slice(0, 3);
+  const trackUpload = (delta) => setUploading((n) => n + delta);
 
-  const handlePhoto = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => set("photos", [...(form.photos || []), ev.target.result]);
-    reader.readAsDataURL(file);
+  const setVisits = (fn) => setForm((f) => {
+    const visits = fn(f.visits);
+    return { ...f, visits, visited: visits.length > 0, wantToTry: visits.length === 0 };
+  });
+  const logVisit = () => {
+    const visit = newVisit(user, userName);
+    setVisits((vs) => [visit, ...vs]);
+    setOpenVisit(visit.id);
   };
+  const updateVisit = (id, fn) => setVisits((vs) => vs.map((v) => v.id === id ? fn(v) : v));
 
-  const handleAddressChange = (e) => {
-    set("address", e.target.value);
-    if (geocodeStatus !== null) setGeocodeStatus(null);
+  const tagOptions = tagFocus ? suggestTags(tagInput, restaurants, form.tags) : [];
+  const commitTag = (text) => {
+    setForm((f) => ({ ...f, tags: addTag(f.tags, text) }));
+    setTagInput("");
   };
+  const updateDish = (id, patch) =>
+    setForm((f) => ({ ...f, dishes: f.dishes.map((d) => d.id === id ? { ...d, ...patch } : d) }));
 
-  const handleAddressBlur = async () => {
-    const address = (form.address || "").trim();
-    if (!address) {
-      setGeocodeStatus(null);
+  const suggestAddresses = (address) => {
+    const lookup = lookupRef.current;
+    clearTimeout(lookup.timer);
+    lookup.search?.abort();
+    const query = address.trim();
+    if (query.length < MIN_ADDRESS_QUERY) {
+      setSuggestions([]);
       return;
     }
-    try {
+    lookup.timer = setTimeout(async () => {
+      const controller = new AbortController();
+      lookup.search = controller;
       setGeocodeStatus("loading");
-      const query = encodeURIComponent(address + " Stockholm");
-      const res = await fetch(`https://nominatim.openstreetmap.org/search?q=${query}&format=json&limit=1`);
-      if (!res.ok) throw new Error("Geocoding failed");
-      const results = await res.json();
-      if (Array.isArray(results) && results.length > 0) {
-        const best = results[0];
-        const lat = parseFloat(best.lat);
-        const lng = parseFloat(best.lon);
-        if (Number.isFinite(lat) && Number.isFinite(lng)) {
-          set("lat", lat);
-          set("lng", lng);
-          setGeocodeStatus("success");
-          return;
-        }
+      try {
+        const found = await searchAddresses(`${query} Stockholm`, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setSuggestions(found);
+        setActiveSuggestion(-1);
+        setGeocodeStatus(found.length ? null : "error");
+      } catch {
+        if (!controller.signal.aborted) setGeocodeStatus("error");
       }
-      setGeocodeStatus("error");
+    }, ADDRESS_DEBOUNCE_MS);
+  };
+
+  const handleAddressChange = (e) => {
+    lookupRef.current.typed = true;
+    set("address", e.target.value);
+    setGeocodeStatus(null);
+    setShowSuggestions(true);
+    suggestAddresses(e.target.value);
+  };
+
+  const pickSuggestion = (candidate) => {
+    lookupRef.current.typed = false;
+    clearTimeout(lookupRef.current.timer);
+    set("address", candidate.address);
+    setLocation(candidate.lat, candidate.lng);
+    setSuggestions([]);
+    setGeocodeStatus("success");
+  };
+
+  const handleAddressKeyDown = (e) => {
+    if (!showSuggestions || !suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveSuggestion((i) => (i + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" && activeSuggestion >= 0) {
+      e.preventDefault();
+      pickSuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === "Escape") {
+      setShowSuggestions(false);
+    }
+  };
+
+  // Left the field without picking a suggestion: put the pin on the best match for
+  // what was typed, keeping the address as written
+  const locateTyped = async () => {
+    const lookup = lookupRef.current;
+    const query = form.address.trim();
+    if (!lookup.typed || query.length < MIN_ADDRESS_QUERY) return;
+    lookup.typed = false;
+    clearTimeout(lookup.timer);
+    lookup.search?.abort();
+    const controller = new AbortController();
+    lookup.search = controller;
+    lookup.locate = controller;
+    setGeocodeStatus("loading");
+    setLocating(true);
+    try {
+      const [best] = await searchAddresses(`${query} Stockholm`, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      if (best) setLocation(best.lat, best.lng);
+      setGeocodeStatus(best ? "success" : "error");
     } catch {
-      setGeocodeStatus("error");
+      if (!controller.signal.aborted) setGeocodeStatus("error");
+    } finally {
+      if (lookup.locate === controller) setLocating(false);
+    }
+  };
+
+  // The list stays around (hidden) so focusing the field again brings it back
+  const handleAddressBlur = () => {
+    setShowSuggestions(false);
+    locateTyped();
+  };
+
+  // A spot picked on the map: move the pin, then fill in the address it has there
+  const pickSpot = async (lat, lng) => {
+    setLocation(lat, lng);
+    const lookup = lookupRef.current;
+    lookup.typed = false;
+    lookup.reverse?.abort();
+    const controller = new AbortController();
+    lookup.reverse = controller;
+    setGeocodeStatus("loading");
+    try {
+      const found = await reverseGeocode({ lat, lng }, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      if (found) set("address", found.address);
+      setSuggestions([]);
+      setGeocodeStatus(found ? "success" : null);
+    } catch {
+      if (!controller.signal.aborted) setGeocodeStatus(null);
     }
   };
+  const pickSpotRef = useRef(pickSpot); // latest pickSpot for the Leaflet handlers
+  useEffect(() => {
+    pickSpotRef.current = pickSpot;
+  });
+
+  useEffect(() => {
+    const lookup = lookupRef.current;
+    return () => {
+      clearTimeout(lookup.timer);
+      lookup.search?.abort();
+      lookup.reverse?.abort();
+    };
+  }, []);
 
   useEffect(() => {
     if (!pickingLocation || !mapRef.current) return;
     loadLeaflet().then((L) => {
       if (leafletMap.current) leafletMap.current.remove();
       const map = L.map(mapRef.current).setView([form.lat || 59.3293, form.lng || 18.0686], 13);
-      L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      L.tileLayer(TILE_URL, {
         attribution: "© OpenStreetMap",
+        crossOrigin: true,
       }).addTo(map);
       const marker = L.marker([form.lat || 59.3293, form.lng || 18.0686], { draggable: true }).addTo(map);
       marker.on("dragend", () => {
         const { lat, lng } = marker.getLatLng();
-        set("lat", lat); set("lng", lng);
+        pickSpotRef.current(lat, lng);
       });
       map.on("click", (e) => {
         marker.setLatLng(e.latlng);
-        set("lat", e.latlng.lat); set("lng", e.latlng.lng);
+        pickSpotRef.current(e.latlng.lat, e.latlng.lng);
       });
       leafletMap.current = map;
       leafletMarker.current = marker;
@@ -275,6 +758,20 @@ function RestaurantForm({ initial, onSave, onCancel, saving }) {
           >
             {NEIGHBORHOODS.map((n) => <option key={n}>{n}</option>)}
           </select>
+          {pinNeighborhood && pinNeighborhood !== form.neighborhood && (
+            <div style={{ fontSize: 11, color: "#b07020", fontWeight: 600, marginTop: 4 }}>
+              ⚠️ The pin is in {pinNeighborhood} ·{" "}
+              <button
+                onClick={() => set("neighborhood", pinNeighborhood)}
+                style={{
+                  border: "none", background: "none", padding: 0, color: "#b07020",
+                  fontWeight: 700, fontSize: 11, textDecoration: "underline", cursor: "pointer",
+                }}
+              >
+                use it
+              </button>
+            </div>
+          )}
         </div>
         <div>
           <div style={lbl}>Cuisine</div>
@@ -290,14 +787,45 @@ function RestaurantForm({ initial, onSave, onCancel, saving }) {
 
       <div>
         <div style={lbl}>Address (optional)</div>
-        <div style={{ marginTop: 4, display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ marginTop: 4, display: "flex", alignItems: "center", gap: 8, position: "relative" }}>
           <input
             style={{ ...inp, marginTop: 0 }}
             value={form.address}
             onChange={handleAddressChange}
+            onKeyDown={handleAddressKeyDown}
+            onFocus={() => setShowSuggestions(true)}
             onBlur={handleAddressBlur}
             placeholder="e.g. Stadsgårdshamnen 22"
+            autoComplete="off"
           />
+          {showSuggestions && suggestions.length > 0 && (
+            <div
+              style={{
+                position: "absolute", top: "100%", left: 0, right: 0, zIndex: 10, marginTop: 4,
+                background: "#fff", border: "1.5px solid #e8e4de", borderRadius: 8,
+                boxShadow: "0 6px 20px rgba(0,0,0,0.1)", overflow: "hidden",
+              }}
+            >
+              {suggestions.map((c, i) => (
+                <div
+                  key={`${c.lat},${c.lng}`}
+                  // mousedown, not click: the input's blur would hide the list first
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    pickSuggestion(c);
+                  }}
+                  onMouseEnter={() => setActiveSuggestion(i)}
+                  style={{
+                    padding: "8px 12px", fontSize: 13, cursor: "pointer",
+                    background: i === activeSuggestion ? "#faf8f5" : "#fff",
+                  }}
+                >
+                  <div style={{ fontWeight: 600 }}>{c.address}</div>
+                  <div style={{ fontSize: 11, color: "#999" }}>{c.label}</div>
+                </div>
+              ))}
+            </div>
+          )}
           {geocodeStatus === "loading" && (
             <span style={{ fontSize: 11, color: "#999" }}>Looking up…</span>
           )}
@@ -311,125 +839,1313 @@ function RestaurantForm({ initial, onSave, onCancel, saving }) {
       </div>
 
       <div>
-        <div style={lbl}>Status</div>
-        <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
-          {[["visited", "✅ Been there"], ["wantToTry", "🔖 Want to try"]].map(([k, l]) => (
-            <button
-              key={k}
-              onClick={() => {
-                set("visited", k === "visited");
-                set("wantToTry", k === "wantToTry");
-              }}
-              style={{
-                padding: "8px 16px", borderRadius: 8, border: "1.5px solid",
-                borderColor: form[k] ? "#2a7a4b" : "#e0dbd4",
-                background: form[k] ? "#edf7f1" : "#faf8f5",
-                color: form[k] ? "#2a7a4b" : "#888",
-                fontWeight: 600, fontSize: 13, cursor: "pointer",
-              }}
-            >
-              {l}
-            </button>
-          ))}
-        </div>
-      </div>
-
-      {form.visited && (
-        <div>
-          <div style={lbl}>Ratings</div>
-          <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 8 }}>
-            {CATEGORIES.map((cat) => (
-              <div
-                key={cat}
-                style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}
+        <div style={lbl}>Price level</div>
+        <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap" }}>
+          {[null, ...Array.from({ length: PRICE_LEVELS }, (_, i) => i + 1)].map((n) => {
+            const active = (form.priceLevel || null) === n;
+            return (
+              <button
+                key={n ?? "none"}
+                onClick={() => set("priceLevel", n)}
+                style={{
+                  padding: "5px 12px", borderRadius: 20, fontSize: 12, fontWeight: 600, cursor: "pointer",
+                  border: active ? "1.5px solid #e8a020" : "1.5px solid #e8e4de",
+                  background: active ? "#fff8ee" : "#faf8f5", color: active ? "#b07020" : "#888",
+                }}
               >
-                <span style={{ fontSize: 14, fontWeight: 500, width: 60 }}>{cat}</span>
-                <Stars
-                  value={form.ratings[cat]}
-                  onChange={(v) => set("ratings", { ...form.ratings, [cat]: v })}
-                />
-              </div>
-            ))}
-          </div>
+                {n ? priceSymbols(n) : "Not set"}
+              </button>
+            );
+          })}
+        </div>
+        <div style={{ fontSize: 11, color: "#aaa", marginTop: 4 }}>
+          How expensive it is; value for money is rated per visit
         </div>
-      )}
-
-      <div>
-        <div style={lbl}>Notes</div>
-        <textarea
-          style={{ ...inp, minHeight: 72, resize: "vertical" }}
-          value={form.notes}
-          onChange={(e) => set("notes", e.target.value)}
-          placeholder="What did you think? Any dishes to remember?"
-        />
       </div>
 
-      {form.visited && (
-        <div>
-          <div style={lbl}>Photos</div>
-          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 6 }}>
-            {(form.photos || []).map((p, i) => (
-              <div key={i} style={{ position: "relative" }}>
-                <img
-                  src={p}
-                  style={{ width: 72, height: 72, objectFit: "cover", borderRadius: 8 }}
-                  alt=""
-                />
-                <button
-                  onClick={() => set("photos", form.photos.filter((_, j) => j !== i))}
-                  style={{
-                    position: "absolute", top: -4, right: -4, background: "#e53",
-                    color: "#fff", border: "none", borderRadius: "50%",
-                    width: 20, height: 20, fontSize: 11, cursor: "pointer",
-                  }}
-                >
-                  ×
-                </button>
-              </div>
-            ))}
-            <label style={{
-              width: 72, height: 72, border: "2px dashed #d0cbc3", borderRadius: 8,
-              display: "flex", alignItems: "center", justifyContent: "center",
-              cursor: "pointer", color: "#aaa", fontSize: 24,
-            }}>
-              <input type="file" accept="image/*" style={{ display: "none" }} onChange={handlePhoto} />+
-            </label>
+      <div>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <div style={lbl}>
+            {form.visits.length
+              ? `✅ ${form.visits.length} visit${form.visits.length === 1 ? "" : "s"}`
+              : "🔖 Want to try"}
           </div>
+          <button
+            onClick={logVisit}
+            style={{
+              padding: "6px 14px", borderRadius: 8, border: "1.5px solid #2a7a4b",
+              background: "#edf7f1", color: "#2a7a4b",
+              fontWeight: 600, fontSize: 13, cursor: "pointer",
+            }}
+          >
+            ➕ Log a visit
+          </button>
         </div>
-      )}
+        {sortedVisits(form).map((v) => (
+          <div key={v.id} style={{ borderBottom: "1px solid #f0ede8", padding: "8px 0" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+              <span style={{ fontWeight: 600 }}>{v.date || "Undated"}</span>
+              <span style={{ color: "#999", flex: 1 }}>{v.by?.name}</span>
+              {isRated(v.ratings) && (
+                <span style={{ color: "#e8a020", fontWeight: 700 }}>★ {ratingAverage(v.ratings).toFixed(1)}</span>
+              )}
+              {canEditVisit(v, user.id) && (
+                <>
+                  <button
+                    onClick={() => setOpenVisit((o) => o === v.id ? null : v.id)}
+                    style={{
+                      fontSize: 12, padding: "2px 8px", borderRadius: 6,
+                      border: "1.5px solid #e8e4de", background: "#faf8f5", cursor: "pointer",
+                    }}
+                  >
+                    {openVisit === v.id ? "Done" : "Edit"}
+                  </button>
+                  <button
+                    onClick={() => setVisits((vs) => vs.filter((x) => x.id !== v.id))}
+                    style={{
+                      fontSize: 12, padding: "2px 8px", borderRadius: 6,
+                      border: "1.5px solid #fde8e8", background: "#fff5f5", cursor: "pointer",
+                    }}
+                  >
+                    ×
+                  </button>
+                </>
+              )}
+            </div>
+            {openVisit === v.id && (
+              <VisitEditor
+                visit={v}
+                onChange={(fn) => updateVisit(v.id, fn)}
+                onUploading={trackUpload}
+                inp={inp}
+                lbl={lbl}
+              />
+            )}
+          </div>
+        ))}
+      </div>
 
       <div>
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
-          <div style={lbl}>Location on Map</div>
+          <div style={lbl}>Opening hours</div>
           <button
-            onClick={() => setPickingLocation((p) => !p)}
+            onClick={() => set("hours", form.hours ? null : emptyHours())}
             style={{
               fontSize: 12, padding: "4px 10px", borderRadius: 6, border: "1.5px solid #c8c0b4",
-              background: pickingLocation ? "#fff3e0" : "#faf8f5", cursor: "pointer",
+              background: "#faf8f5", cursor: "pointer",
             }}
           >
-            {pickingLocation ? "Done" : "📍 Pick on map"}
+            {form.hours ? "Remove hours" : "🕐 Add hours"}
           </button>
         </div>
-        {pickingLocation && (
-          <div
-            ref={mapRef}
-            style={{
-              height: 220, borderRadius: 10, marginTop: 8,
-              overflow: "hidden", border: "1.5px solid #e0dbd4",
-            }}
+        {form.hours && (
+          <HoursEditor
+            hours={form.hours}
+            onChange={(fn) => setForm((f) => ({ ...f, hours: fn(f.hours) }))}
+            inp={inp}
+            lbl={lbl}
           />
         )}
-        {!pickingLocation && (
-          <div style={{ fontSize: 12, color: "#aaa", marginTop: 4 }}>
-            {form.lat ? `${form.lat.toFixed(4)}, ${form.lng.toFixed(4)}` : "Default: Stockholm center"}
+      </div>
+
+      <div>
+        <div style={lbl}>Tags</div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+          {form.tags.map((t) => (
+            <span
+              key={t}
+              style={{ padding: "3px 4px 3px 10px", borderRadius: 20, fontSize: 12, background: "#eef4ff", color: "#3b5b9a" }}
+            >
+              {t}
+              <button
+                onClick={() => set("tags", form.tags.filter((x) => x !== t))}
+                style={{ border: "none", background: "none", cursor: "pointer", color: "#8aa0c8", fontSize: 12 }}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+        <input
+          style={inp}
+          value={tagInput}
+          onChange={(e) => {
+            // Typing a comma finishes the tag
+            if (e.target.value.endsWith(",")) commitTag(e.target.value.slice(0, -1));
+            else setTagInput(e.target.value);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && tagInput.trim()) {
+              e.preventDefault();
+              commitTag(tagInput);
+            }
+            if (e.key === "Backspace" && !tagInput && form.tags.length) set("tags", form.tags.slice(0, -1));
+          }}
+          onFocus={() => setTagFocus(true)}
+          onBlur={() => {
+            setTagFocus(false);
+            if (tagInput.trim()) commitTag(tagInput);
+          }}
+          placeholder="outdoor seating, vegan-friendly, takes walk-ins…"
+        />
+        {tagOptions.length > 0 && (
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+            {tagOptions.map((t) => (
+              <button
+                key={t}
+                // mousedown so the pick lands before the input's blur
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  commitTag(t);
+                }}
+                style={{
+                  padding: "3px 10px", borderRadius: 20, fontSize: 12, cursor: "pointer",
+                  border: "1.5px dashed #c8d6f0", background: "#fff", color: "#3b5b9a",
+                }}
+              >
+                + {t}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <div style={lbl}>Dishes to remember</div>
+          <button
+            onClick={() => setForm((f) => ({ ...f, dishes: [...f.dishes, newDish()] }))}
+            style={{
+              fontSize: 12, padding: "4px 10px", borderRadius: 6, border: "1.5px solid #c8c0b4",
+              background: "#faf8f5", cursor: "pointer",
+            }}
+          >
+            ➕ Add a dish
+          </button>
+        </div>
+        {form.dishes.map((d) => (
+          <div key={d.id} style={{ borderBottom: "1px solid #f0ede8", padding: "8px 0", display: "flex", flexDirection: "column", gap: 4 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <input
+                style={{ ...inp, marginTop: 0, flex: 1 }}
+                value={d.name}
+                onChange={(e) => updateDish(d.id, { name: e.target.value })}
+                placeholder="e.g. Toast Skagen"
+              />
+              <Stars value={d.rating} onChange={(v) => updateDish(d.id, { rating: v })} size={16} />
+              <button
+                onClick={() => set("dishes", form.dishes.filter((x) => x.id !== d.id))}
+                style={{
+                  fontSize: 12, padding: "2px 8px", borderRadius: 6,
+                  border: "1.5px solid #fde8e8", background: "#fff5f5", cursor: "pointer",
+                }}
+              >
+                ×
+              </button>
+            </div>
+            <input
+              style={{ ...inp, marginTop: 0, fontSize: 13 }}
+              value={d.notes}
+              onChange={(e) => updateDish(d.id, { notes: e.target.value })}
+              placeholder="Worth ordering again? Ask for extra dill…"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <div style={lbl}>Your Notes</div>
+        <textarea
+          style={{ ...inp, minHeight: 72, resize: "vertical" }}
+          value={review.notes}
+          onChange={(e) => setReview((rv) => ({ ...rv, notes: e.target.value }))}
+          placeholder="What did you think?"
+        />
+      </div>
+
+      {form.visited && (
+        <div>
+          <div style={lbl}>Photos</div>
+          <PhotoPicker
+            photos={form.photos}
+            onAdd={(photo) => setForm((f) => ({ ...f, photos: [...(f.photos || []), photo] }))}
+            onRemove={(i) => set("photos", form.photos.filter((_, j) => j !== i))}
+            onUploading={trackUpload}
+          />
+        </div>
+      )}
+
+      <div>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <div style={lbl}>Location on Map</div>
+          <button
+            onClick={() => setPickingLocation((p) => !p)}
+            style={{
+              fontSize: 12, padding: "4px 10px", borderRadius: 6, border: "1.5px solid #c8c0b4",
+              background: pickingLocation ? "#fff3e0" : "#faf8f5", cursor: "pointer",
+            }}
+          >
+            {pickingLocation ? "Done" : "📍 Pick on map"}
+          </button>
+        </div>
+        {pickingLocation && (
+          <div
+            ref={mapRef}
+            style={{
+              height: 220, borderRadius: 10, marginTop: 8,
+              overflow: "hidden", border: "1.5px solid #e0dbd4",
+            }}
+          />
+        )}
+        {!pickingLocation && (
+          <div style={{ fontSize: 12, color: "#aaa", marginTop: 4 }}>
+            {form.lat ? `${form.lat.toFixed(4)}, ${form.lng.toFixed(4)}` : "Default: Stockholm center"}
+          </div>
+        )}
+      </div>
+
+      {duplicates.length > 0 && (
+        <div style={{ fontSize: 13, color: "#666", background: "#fff8ee", padding: "10px 12px", borderRadius: 8 }}>
+          ⚠️ Already saved?{" "}
+          {duplicates.map((d, i) => (
+            <span key={d.r.id}>
+              {i > 0 && ", "}
+              <strong>{d.r.name}</strong>
+              {d.distance != null && ` (${formatDistance(d.distance)} away)`}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 10, paddingTop: 8 }}>
+        <button
+          onClick={onCancel}
+          style={{
+            flex: 1, padding: "10px 0", borderRadius: 10, border: "1.5px solid #e0dbd4",
+            background: "#faf8f5", cursor: "pointer", fontWeight: 600,
+          }}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => form.name.trim() && !saving && !uploading && !locating && onSave({
+            ...form,
+            visits: form.visits.map((v) => ({ ...v, companions: v.companions.map((c) => c.trim()).filter(Boolean) })),
+            tags: addTag(form.tags, tagInput),
+            dishes: form.dishes.map((d) => ({ ...d, name: d.name.trim() })).filter((d) => d.name),
+            hours: hasHours(form.hours) || form.hours?.exceptions.length ? form.hours : null,
+          }, review, base)}
+          disabled={!form.name.trim() || saving || uploading > 0 || locating}
+          style={{
+            flex: 2, padding: "10px 0", borderRadius: 10, border: "none",
+            background: form.name.trim() && !saving && !uploading && !locating ? "#1a1a1a" : "#ccc",
+            color: "#fff", cursor: form.name.trim() && !saving && !uploading && !locating ? "pointer" : "default",
+            fontWeight: 700, fontSize: 15,
+          }}
+        >
+          {saving ? "Saving…" : uploading ? "Uploading photos…" : locating ? "Locating address…" : "Save Restaurant"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Merge dialog shown when a save hits a newer version from someone else
+function MergeDialog({ mine, theirs, base, userId, onResolve, onDiscard, saving }) {
+  const fields = diffRestaurants(mine, theirs, base, userId);
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(fields.map((f) => [f.id, f.suggested]))
+  );
+
+  const option = (field, choice, label, value) => {
+    const active = choices[field.id] === choice;
+    return (
+      <button
+        key={choice}
+        onClick={() => setChoices((c) => ({ ...c, [field.id]: choice }))}
+        style={{
+          flex: 1, textAlign: "left", padding: "8px 10px", borderRadius: 8,
+          border: "1.5px solid", borderColor: active ? "#2a7a4b" : "#e0dbd4",
+          background: active ? "#edf7f1" : "#faf8f5", cursor: "pointer",
+          fontSize: 13, whiteSpace: "pre-wrap", wordBreak: "break-word",
+        }}
+      >
+        <div style={{ fontSize: 10, fontWeight: 700, color: active ? "#2a7a4b" : "#aaa", textTransform: "uppercase" }}>
+          {label}
+        </div>
+        {value}
+      </button>
+    );
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+      <div style={{ fontSize: 13, color: "#666", background: "#fff8ee", padding: "10px 12px", borderRadius: 8 }}>
+        Someone else saved changes to <strong>{theirs.name}</strong> while you were editing.
+        Pick which version to keep for each field.
+      </div>
+      {fields.length === 0 && (
+        <div style={{ fontSize: 13, color: "#888" }}>Both versions are identical.</div>
+      )}
+      {fields.map((f) => (
+        <div key={f.id}>
+          <div style={{ fontSize: 12, fontWeight: 600, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" }}>
+            {f.label}
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+            {option(f, "mine", "Yours", f.format(f.get(mine)))}
+            {option(f, "theirs", "Theirs", f.format(f.get(theirs)))}
+            {f.combine && option(f, "both", "Both", f.format(f.combine(f.get(mine), f.get(theirs))))}
+          </div>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 10, paddingTop: 8 }}>
+        <button
+          onClick={onDiscard}
+          style={{
+            flex: 1, padding: "10px 0", borderRadius: 10, border: "1.5px solid #e0dbd4",
+            background: "#faf8f5", cursor: "pointer", fontWeight: 600,
+          }}
+        >
+          Discard mine
+        </button>
+        <button
+          onClick={() => !saving && onResolve(mergeRestaurants(mine, theirs, choices, userId))}
+          disabled={saving}
+          style={{
+            flex: 2, padding: "10px 0", borderRadius: 10, border: "none",
+            background: saving ? "#ccc" : "#1a1a1a", color: "#fff",
+            cursor: saving ? "default" : "pointer", fontWeight: 700, fontSize: 15,
+          }}
+        >
+          {saving ? "Saving…" : "Save merged version"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Import / export of the whole collection
+const IMPORT_BATCH_SIZE = 10;
+
+function TransferPanel({ restaurants, user, userName, onImported }) {
+  const [withPhotos, setWithPhotos] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [leftOut, setLeftOut] = useState(null); // takeout places not offered: { outside, unlocated }
+  const [progress, setProgress] = useState(null); // { done, total, failed, conflicts }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const exportAs = (kind) => kind === "json"
+    ? downloadFile(exportJson(restaurants, { photos: withPhotos }), `stockholm-eats-${stamp}.json`, "application/json")
+    : downloadFile(exportCsv(restaurants, { photos: withPhotos }), `stockholm-eats-${stamp}.csv`, "text/csv");
+
+  // source: "export" for our own files, "takeout" for Google Maps / OSM saved places
+  const readFile = (source) => async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setProgress(null);
+    try {
+      const text = await file.text();
+      if (source === "takeout") {
+        const { records, outside, unlocated } = takeoutRecords(parseTakeoutFile(text, file.name), user, userName);
+        setPlan(planImport(records, restaurants));
+        setLeftOut({ outside, unlocated });
+      } else {
+        setPlan(planImport(parseImportFile(text, file.name), restaurants));
+        setLeftOut(null);
+      }
+      setFileError(null);
+    } catch (err) {
+      setPlan(null);
+      setFileError(err.message || "Could not read this file");
+    }
+  };
+
+  const setAction = (key, action) =>
+    setPlan((p) => p.map((entry) => entry.key === key ? { ...entry, action } : entry));
+  // Select all / none over the entries that aren't invalid or duplicates
+  const setAllNew = (action) =>
+    setPlan((p) => p.map((entry) =>
+      entry.action === "invalid" || entry.duplicate || entry.warnings.includes("Appears earlier in this file")
+        ? entry
+        : { ...entry, action }
+    ));
+
+  const todo = plan ? plan.filter((e) => e.action === "add" || e.action === "replace") : [];
+  const running = progress && progress.done < progress.total;
+
+  const runImport = async () => {
+    const total = todo.length;
+    const saved = [];
+    const conflicts = [];
+    let failed = 0;
+    setProgress({ done: 0, total, failed: 0, conflicts: 0 });
+    for (let i = 0; i < total; i += IMPORT_BATCH_SIZE) {
+      const batch = todo.slice(i, i + IMPORT_BATCH_SIZE)
+        .map((entry, j) => importedRestaurant(entry, user, userName, i + j));
+      const results = await Promise.allSettled(batch.map((r) => storeRestaurant(r)));
+      results.forEach((res, j) => {
+        if (res.status === "fulfilled") saved.push(res.value.restaurant);
+        else if (res.reason instanceof ConflictError) conflicts.push({ mine: batch[j], theirs: res.reason.remote, base: null });
+        else failed++;
+      });
+      setProgress({ done: Math.min(i + IMPORT_BATCH_SIZE, total), total, failed, conflicts: conflicts.length });
+    }
+    setPlan(null);
+    onImported(saved, conflicts, failed);
+  };
+
+  const counts = plan ? {
+    add: plan.filter((e) => e.action === "add").length,
+    replace: plan.filter((e) => e.action === "replace").length,
+    skip: plan.filter((e) => e.action === "skip").length,
+    invalid: plan.filter((e) => e.action === "invalid").length,
+  } : null;
+  const lbl = { fontSize: 12, fontWeight: 600, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" };
+  const btn = {
+    padding: "8px 14px", borderRadius: 8, border: "1.5px solid #e0dbd4", background: "#faf8f5",
+    cursor: "pointer", fontWeight: 600, fontSize: 13, fontFamily: "inherit",
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div>
+        <div style={lbl}>Export {restaurants.filter((r) => !isTrashed(r)).length} restaurants</div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8, flexWrap: "wrap" }}>
+          <button onClick={() => exportAs("json")} style={btn}>⬇️ JSON</button>
+          <button onClick={() => exportAs("csv")} style={btn}>⬇️ CSV</button>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, color: "#666" }}>
+            <input type="checkbox" checked={withPhotos} onChange={(e) => setWithPhotos(e.target.checked)} />
+            Include photos
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <div style={lbl}>Import</div>
+        <div style={{ fontSize: 13, color: "#888", margin: "6px 0 8px" }}>
+          A JSON or CSV file exported from here, or a CSV with at least a name column.
+        </div>
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={readFile("export")} disabled={!!running} />
+        <div style={{ fontSize: 13, color: "#888", margin: "14px 0 8px" }}>
+          Saved places from Google Maps (Takeout “Saved Places.json” or a saved-list CSV) or an OSM app
+          (GeoJSON, GPX, KML). Places in the Stockholm area come in as “Want to try”.
+        </div>
+        <input
+          type="file"
+          accept=".json,.geojson,.csv,.gpx,.kml"
+          onChange={readFile("takeout")}
+          disabled={!!running}
+        />
+        {fileError && <div style={{ color: "#c0392b", fontSize: 13, marginTop: 8 }}>⚠️ {fileError}</div>}
+      </div>
+
+      {plan && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#666" }}>
+            <span style={{ flex: 1 }}>
+              {counts.add} new · {counts.replace} to replace · {counts.skip} skipped · {counts.invalid} invalid
+            </span>
+            <button onClick={() => setAllNew("add")} style={{ ...btn, padding: "4px 10px", fontSize: 12 }}>All</button>
+            <button onClick={() => setAllNew("skip")} style={{ ...btn, padding: "4px 10px", fontSize: 12 }}>None</button>
+          </div>
+          {leftOut && (leftOut.outside > 0 || leftOut.unlocated > 0) && (
+            <div style={{ fontSize: 12, color: "#aaa" }}>
+              Left out: {leftOut.outside} outside the Stockholm area
+              {leftOut.unlocated > 0 && `, ${leftOut.unlocated} without coordinates`}
+            </div>
+          )}
+          <div style={{ maxHeight: 320, overflowY: "auto", border: "1px solid #ede9e3", borderRadius: 8 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <tbody>
+                {plan.map((entry) => (
+                  <tr key={entry.key} style={{ borderBottom: "1px solid #f3f0eb", verticalAlign: "top" }}>
+                    <td style={{ padding: "6px 8px", whiteSpace: "nowrap" }}>
+                      {entry.action === "invalid" ? (
+                        <span style={{ color: "#c0392b", fontWeight: 600 }}>Invalid</span>
+                      ) : entry.duplicate ? (
+                        <select value={entry.action} onChange={(e) => setAction(entry.key, e.target.value)}>
+                          <option value="skip">Skip</option>
+                          <option value="replace">Replace</option>
+                        </select>
+                      ) : (
+                        <select value={entry.action} onChange={(e) => setAction(entry.key, e.target.value)}>
+                          <option value="add">Add</option>
+                          <option value="skip">Skip</option>
+                        </select>
+                      )}
+                    </td>
+                    <td style={{ padding: "6px 8px" }}>
+                      <div style={{ fontWeight: 600 }}>{entry.restaurant.name || "—"}</div>
+                      <div style={{ color: "#888" }}>
+                        {entry.restaurant.neighborhood} · {entry.restaurant.cuisine}
+                      </div>
+                      {entry.duplicate && (
+                        <div style={{ color: "#b07020" }}>Already saved as “{entry.duplicate.name}”</div>
+                      )}
+                      {[...entry.errors, ...entry.warnings].map((w) => (
+                        <div key={w} style={{ color: entry.errors.includes(w) ? "#c0392b" : "#aaa", fontSize: 12 }}>{w}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={() => !running && todo.length && runImport()}
+            disabled={!!running || !todo.length}
+            style={{
+              padding: "10px 0", borderRadius: 10, border: "none",
+              background: running || !todo.length ? "#ccc" : "#1a1a1a", color: "#fff",
+              cursor: running || !todo.length ? "default" : "pointer", fontWeight: 700, fontSize: 15,
+            }}
+          >
+            {running ? "Importing…" : `Import ${todo.length} restaurant${todo.length === 1 ? "" : "s"}`}
+          </button>
+        </div>
+      )}
+
+      {progress && (
+        <div>
+          <div style={{ height: 6, borderRadius: 3, background: "#f0ece6", overflow: "hidden" }}>
+            <div
+              style={{
+                height: "100%", background: "#2a7a4b",
+                width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%`,
+              }}
+            />
           </div>
+          <div style={{ fontSize: 12, color: "#888", marginTop: 6 }}>
+            {progress.done} / {progress.total}
+            {progress.failed > 0 && ` · ${progress.failed} failed`}
+            {progress.conflicts > 0 && ` · ${progress.conflicts} changed meanwhile`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Suspected duplicate pairs, merged one pair at a time
+const NOT_DUPLICATES_KEY = "stockholm-eats:not-duplicates";
+
+function DuplicatesPanel({ restaurants, canDelete, onMerge, merging }) {
+  // Pairs someone marked as two different places, remembered on this device
+  const [dismissed, setDismissed] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(NOT_DUPLICATES_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+  const [keepers, setKeepers] = useState({}); // pair key -> id of the one to keep
+
+  const pairs = duplicatePairs(restaurants).filter((p) => !dismissed.includes(p.key));
+  const dismiss = (key) => {
+    const next = [...dismissed, key];
+    setDismissed(next);
+    localStorage.setItem(NOT_DUPLICATES_KEY, JSON.stringify(next));
+  };
+
+  const side = (pair, r, keep) => (
+    <button
+      key={r.id}
+      onClick={() => setKeepers((k) => ({ ...k, [pair.key]: r.id }))}
+      style={{
+        flex: 1, textAlign: "left", padding: "8px 10px", borderRadius: 8, fontSize: 13,
+        border: "1.5px solid", borderColor: keep ? "#2a7a4b" : "#e0dbd4",
+        background: keep ? "#edf7f1" : "#faf8f5", cursor: "pointer", fontFamily: "inherit",
+      }}
+    >
+      <div style={{ fontSize: 10, fontWeight: 700, color: keep ? "#2a7a4b" : "#aaa", textTransform: "uppercase" }}>
+        {keep ? "Keep" : "Merge away"}
+      </div>
+      <div style={{ fontWeight: 700 }}>{r.name}</div>
+      <div style={{ color: "#888" }}>{r.cuisine} · {r.neighborhood}</div>
+      {r.address && <div style={{ color: "#888" }}>{r.address}</div>}
+      <div style={{ color: "#aaa", fontSize: 12, marginTop: 4 }}>
+        {visitsOf(r).length} visits · {(r.photos || []).length} photos · {memberNotes(r).length} notes
+        {r.addedBy && ` · added by ${r.addedBy.name}`}
+      </div>
+    </button>
+  );
+
+  if (!pairs.length) {
+    return <div style={{ fontSize: 14, color: "#888", padding: "20px 0", textAlign: "center" }}>No likely duplicates 🎉</div>;
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 18 }}>
+      <div style={{ fontSize: 13, color: "#666" }}>
+        Pick the one to keep. Photos, visits and notes from the other are folded into it, then the other is removed.
+      </div>
+      {pairs.map((pair) => {
+        const keep = [pair.a, pair.b].find((r) => r.id === keepers[pair.key]) ||
+          suggestedKeeper(pair.a, pair.b, canDelete);
+        const duplicate = keep === pair.a ? pair.b : pair.a;
+        const allowed = canDelete(duplicate);
+        return (
+          <div key={pair.key} style={{ borderBottom: "1px solid #f0ece6", paddingBottom: 14 }}>
+            <div style={{ fontSize: 12, color: "#888", marginBottom: 6 }}>
+              {Math.round(pair.similarity * 100)}% similar names
+              {pair.distance != null && ` · ${formatDistance(pair.distance)} apart`}
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              {side(pair, pair.a, keep === pair.a)}
+              {side(pair, pair.b, keep === pair.b)}
+            </div>
+            {!allowed && (
+              <div style={{ fontSize: 12, color: "#b07020", marginTop: 6 }}>
+                🔒 Only {duplicate.addedBy?.name || "the person who added it"} can remove “{duplicate.name}” — keep that one instead
+              </div>
+            )}
+            <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+              <button
+                onClick={() => dismiss(pair.key)}
+                style={{
+                  flex: 1, padding: "8px 0", borderRadius: 8, border: "1.5px solid #e0dbd4",
+                  background: "#faf8f5", cursor: "pointer", fontWeight: 600, fontSize: 13,
+                }}
+              >
+                Not duplicates
+              </button>
+              <button
+                onClick={() => allowed && !merging && onMerge(keep, duplicate)}
+                disabled={!allowed || merging}
+                style={{
+                  flex: 2, padding: "8px 0", borderRadius: 8, border: "none",
+                  background: allowed && !merging ? "#1a1a1a" : "#ccc", color: "#fff",
+                  cursor: allowed && !merging ? "pointer" : "default", fontWeight: 700, fontSize: 13,
+                }}
+              >
+                {merging ? "Merging…" : `Merge into “${keep.name}”`}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// "Where should we eat tonight?" picker
+const REVEAL_STEPS = [50, 50, 60, 70, 80, 100, 120, 150, 190, 240, 300];
+const DISTANCES = [[0, "Anywhere"], [500, "500 m"], [1000, "1 km"], [2000, "2 km"], [5000, "5 km"]];
+
+function PickerPanel({ restaurants, here, onShowOnMap }) {
+  const [constraints, setConstraints] = useState(DEFAULT_PICKER);
+  const [spot, setSpot] = useState(here); // where max distance is measured from
+  const [locating, setLocating] = useState(false);
+  const [locateFailed, setLocateFailed] = useState(false);
+  const [shown, setShown] = useState(null); // candidate on screen, mid-spin or final
+  const [spinning, setSpinning] = useState(false);
+  const timers = useRef([]);
+
+  useEffect(() => () => timers.current.forEach(clearTimeout), []);
+
+  const origin = here || spot;
+  const candidates = pickerCandidates(restaurants, constraints, origin);
+  const update = (patch) => setConstraints((c) => ({ ...c, ...patch }));
+  const toggle = (key, value) => update({
+    [key]: constraints[key].includes(value)
+      ? constraints[key].filter((v) => v !== value)
+      : [...constraints[key], value],
+  });
+
+  const canLocate = !!(origin || navigator.geolocation);
+  const setMaxDistance = (maxDistance) => {
+    update({ maxDistance });
+    setLocateFailed(false);
+    if (!maxDistance || origin || !navigator.geolocation) return;
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setSpot({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+        setLocating(false);
+      },
+      () => {
+        update({ maxDistance: 0 });
+        setLocateFailed(true);
+        setLocating(false);
+      },
+      { maximumAge: 60000, timeout: 20000 }
+    );
+  };
+
+  // Flick through names, slowing down, then land on the weighted pick
+  const spin = () => {
+    const pick = weightedPick(candidates, shown?.r.id);
+    if (!pick) return;
+    timers.current.forEach(clearTimeout);
+    setSpinning(true);
+    let at = 0;
+    timers.current = REVEAL_STEPS.map((delay, i) => {
+      at += delay;
+      return setTimeout(() => {
+        if (i < REVEAL_STEPS.length - 1) {
+          setShown(candidates[Math.floor(Math.random() * candidates.length)]);
+        } else {
+          setShown(pick);
+          setSpinning(false);
+        }
+      }, at);
+    });
+  };
+
+  const chip = (key, value) => {
+    const active = constraints[key].includes(value);
+    return (
+      <button
+        key={value}
+        onClick={() => toggle(key, value)}
+        style={{
+          padding: "4px 10px", borderRadius: 999, border: "1.5px solid",
+          borderColor: active ? "#1a1a1a" : "#e0dbd4",
+          background: active ? "#1a1a1a" : "#fff", color: active ? "#fff" : "#444",
+          fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: "inherit",
+        }}
+      >
+        {value}
+      </button>
+    );
+  };
+  const lbl = { fontSize: 11, fontWeight: 700, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" };
+  const select = {
+    padding: "4px 8px", borderRadius: 8, border: "1.5px solid #e0dbd4",
+    background: "#fff", fontSize: 12, fontFamily: "inherit",
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div>
+        <div style={lbl}>Neighborhood</div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+          {NEIGHBORHOODS.map((n) => chip("neighborhoods", n))}
+        </div>
+      </div>
+      <div>
+        <div style={lbl}>Cuisine</div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+          {CUISINES.map((c) => chip("cuisines", c))}
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center", fontSize: 12, color: "#666" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          Within
+          <select
+            style={select}
+            value={constraints.maxDistance}
+            disabled={!canLocate}
+            title={canLocate ? undefined : "Distance needs your location"}
+            onChange={(e) => setMaxDistance(Number(e.target.value))}
+          >
+            {DISTANCES.map(([m, label]) => <option key={m} value={m}>{label}</option>)}
+          </select>
+          {locating ? (
+            <span style={{ color: "#999" }}>Locating…</span>
+          ) : locateFailed ? (
+            <span style={{ color: "#b07020" }}>Couldn't find you — distance needs your location</span>
+          ) : constraints.maxDistance > 0 && !distanceApplies(constraints, origin) ? (
+            <span style={{ color: "#b07020" }}>Needs your location, so any distance counts</span>
+          ) : null}
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <input
+            type="checkbox"
+            checked={constraints.includeVisited}
+            onChange={(e) => update({ includeVisited: e.target.checked })}
+          />
+          Also places we liked, rated ≥
+          <select
+            style={select}
+            value={constraints.minRating}
+            disabled={!constraints.includeVisited}
+            onChange={(e) => update({ minRating: Number(e.target.value) })}
+          >
+            {[3, 3.5, 4, 4.5].map((n) => <option key={n} value={n}>★ {n}</option>)}
+          </select>
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          Value
+          <select style={select} value={constraints.minPrice} onChange={(e) => update({ minPrice: Number(e.target.value) })}>
+            <option value={0}>any</option>
+            {[2, 3, 4, 5].map((n) => <option key={n} value={n}>≥ {n}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div
+        style={{
+          minHeight: 120, borderRadius: 12, background: "#faf8f5", border: "1px solid #ede9e3",
+          display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center",
+          padding: 16, textAlign: "center",
+        }}
+      >
+        {!candidates.length ? (
+          <div style={{ fontSize: 13, color: "#aaa" }}>Nothing fits — loosen the constraints</div>
+        ) : !shown ? (
+          <div style={{ fontSize: 13, color: "#aaa" }}>
+            {candidates.length} place{candidates.length === 1 ? "" : "s"} in the hat
+          </div>
+        ) : (
+          <div
+            key={spinning ? "spinning" : shown.r.id}
+            style={{ animation: spinning ? "none" : "revealPop 0.35s ease" }}
+          >
+            <div
+              style={{
+                fontFamily: "'Playfair Display', serif", fontSize: spinning ? 20 : 26,
+                fontWeight: 700, color: spinning ? "#bbb" : "#1a1a1a",
+              }}
+            >
+              {shown.r.name}
+            </div>
+            {!spinning && (
+              <>
+                <div style={{ fontSize: 13, color: "#888", marginTop: 4 }}>
+                  {shown.r.cuisine} · {shown.r.neighborhood}
+                  {origin && ` · ${formatDistance(haversine(origin, shown.r))}`}
+                </div>
+                {shown.reasons.length > 0 && (
+                  <div style={{ fontSize: 12, color: "#2a7a4b", marginTop: 6 }}>{shown.reasons.join(" · ")}</div>
+                )}
+                <button
+                  onClick={() => onShowOnMap(shown.r.id)}
+                  style={{
+                    marginTop: 10, padding: "6px 14px", borderRadius: 8, border: "1.5px solid #e0dbd4",
+                    background: "#fff", cursor: "pointer", fontWeight: 600, fontSize: 13, fontFamily: "inherit",
+                  }}
+                >
+                  🗺 Show on map
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <button
+        onClick={() => !spinning && spin()}
+        disabled={spinning || !candidates.length}
+        style={{
+          padding: "12px 0", borderRadius: 10, border: "none",
+          background: spinning || !candidates.length ? "#ccc" : "#1a1a1a", color: "#fff",
+          cursor: spinning || !candidates.length ? "default" : "pointer", fontWeight: 700, fontSize: 15,
+        }}
+      >
+        {spinning ? "🎲 …" : shown ? "🎲 Spin again" : "🎲 Pick for us"}
+      </button>
+    </div>
+  );
+}
+
+// Group voting: pick a shortlist and start a session, or join one by code
+const VOTE_MINUTES = [2, 5, 10, 15];
+
+function VoteSetup({ restaurants, onStart, onJoin }) {
+  const [picked, setPicked] = useState(() => restaurants.slice(0, 5).map((r) => r.id));
+  const [minutes, setMinutes] = useState(5);
+  const [joinCode, setJoinCode] = useState("");
+
+  const toggle = (id) => setPicked((p) =>
+    p.includes(id) ? p.filter((x) => x !== id) : p.length < MAX_SHORTLIST ? [...p, id] : p
+  );
+  const shortlist = restaurants.filter((r) => picked.includes(r.id));
+  const lbl = { fontSize: 12, fontWeight: 600, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" };
+  const inp = {
+    padding: "8px 12px", borderRadius: 8, border: "1.5px solid #e8e4de", fontSize: 14,
+    fontFamily: "inherit", background: "#faf8f5",
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 18 }}>
+      <div>
+        <div style={lbl}>Join a vote</div>
+        <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+          <input
+            style={{ ...inp, flex: 1, textTransform: "uppercase", letterSpacing: "0.2em" }}
+            value={joinCode}
+            onChange={(e) => setJoinCode(normalizeCode(e.target.value))}
+            placeholder="CODE"
+            maxLength={5}
+          />
+          <button
+            onClick={() => joinCode.length === 5 && onJoin(joinCode)}
+            disabled={joinCode.length !== 5}
+            style={{
+              padding: "8px 18px", borderRadius: 8, border: "none", fontWeight: 700,
+              background: joinCode.length === 5 ? "#1a1a1a" : "#ccc", color: "#fff",
+              cursor: joinCode.length === 5 ? "pointer" : "default",
+            }}
+          >
+            Join
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <div style={lbl}>
+          Start one · shortlist {shortlist.length}/{MAX_SHORTLIST} from the current list
+        </div>
+        <div style={{ maxHeight: 260, overflowY: "auto", marginTop: 6, border: "1px solid #ede9e3", borderRadius: 8 }}>
+          {restaurants.length === 0 && (
+            <div style={{ padding: 12, fontSize: 13, color: "#aaa" }}>Nothing matches the current filters</div>
+          )}
+          {restaurants.map((r) => (
+            <label
+              key={r.id}
+              style={{
+                display: "flex", alignItems: "center", gap: 8, padding: "6px 10px", fontSize: 13,
+                borderBottom: "1px solid #f3f0eb", cursor: "pointer",
+              }}
+            >
+              <input type="checkbox" checked={picked.includes(r.id)} onChange={() => toggle(r.id)} />
+              <span style={{ fontWeight: 600 }}>{r.name}</span>
+              <span style={{ color: "#999" }}>{r.cuisine} · {r.neighborhood}</span>
+            </label>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 10 }}>
+          <label style={{ fontSize: 13, color: "#666", display: "flex", alignItems: "center", gap: 6 }}>
+            Voting closes after
+            <select style={{ ...inp, padding: "4px 8px", fontSize: 13 }} value={minutes} onChange={(e) => setMinutes(Number(e.target.value))}>
+              {VOTE_MINUTES.map((m) => <option key={m} value={m}>{m} min</option>)}
+            </select>
+          </label>
+          <button
+            onClick={() => shortlist.length >= 2 && onStart(shortlist, minutes)}
+            disabled={shortlist.length < 2}
+            style={{
+              marginLeft: "auto", padding: "10px 20px", borderRadius: 10, border: "none", fontWeight: 700,
+              background: shortlist.length >= 2 ? "#1a1a1a" : "#ccc", color: "#fff",
+              cursor: shortlist.length >= 2 ? "pointer" : "default",
+            }}
+          >
+            Start vote
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// hosted: the session when this member just created it; everyone else gets it
+// from the host after saying hello
+function VoteSession({ code, hosted, user, userName, onShare, onShowOnMap }) {
+  const [session, setSession] = useState(hosted);
+  const [now, setNow] = useState(() => Date.now());
+  const sessionRef = useRef(hosted);
+  const channelRef = useRef(null);
+  const voteSeqRef = useRef(0); // seq of the last vote sent, see nextVoteSeq
+
+  useEffect(() => {
+    const member = { id: user.id, name: userName };
+    const channel = openVoteChannel(code, (event) => {
+      const next = applyVoteEvent(sessionRef.current, event);
+      sessionRef.current = next;
+      setSession(next);
+      // The host brings late joiners up to date; anyone does it for a host who reloaded
+      if (event.type === "hello" && next && (next.host.id === member.id || event.member.id === next.host.id)) {
+        channel.send({ type: "session", session: next });
+      }
+    });
+    channelRef.current = channel;
+    if (sessionRef.current) channel.send({ type: "session", session: sessionRef.current });
+    else channel.send({ type: "hello", member });
+    return () => channel.close();
+  }, [code, user.id, userName]);
+
+  const finished = session ? isFinished(session, now) : false;
+  const live = !!session && !finished;
+  useEffect(() => {
+    if (!live) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [live]);
+
+  if (!session) {
+    return (
+      <div style={{ fontSize: 14, color: "#888", textAlign: "center", padding: "24px 0" }}>
+        Joining <strong>{code}</strong>… the host needs to have the vote open.
+      </div>
+    );
+  }
+
+  const member = { id: user.id, name: userName };
+  const mine = session.votes[user.id] || {};
+  const iAmDone = !!session.done[user.id];
+  const send = (event) => channelRef.current.send(event);
+  const vote = (restaurantId, v) => {
+    voteSeqRef.current = nextVoteSeq(session, user.id, voteSeqRef.current);
+    send({ type: "vote", member, restaurantId, vote: mine[restaurantId] === v ? null : v, seq: voteSeqRef.current });
+  };
+  const winner = finished ? winnerOf(session) : null;
+  const secondsLeft = Math.max(0, Math.ceil((session.endsAt - now) / 1000));
+  const participants = Object.entries(session.participants);
+
+  const small = (active, color) => ({
+    padding: "4px 10px", borderRadius: 8, border: "1.5px solid", fontSize: 13,
+    borderColor: active ? color : "#e0dbd4", background: active ? color : "#fff",
+    color: active ? "#fff" : "#666", cursor: finished || iAmDone ? "default" : "pointer",
+  });
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+        <div style={{ fontSize: 26, fontWeight: 700, letterSpacing: "0.2em" }}>{session.code}</div>
+        <button
+          onClick={() => onShare(session.code)}
+          style={{
+            padding: "4px 10px", borderRadius: 8, border: "1.5px solid #e0dbd4", background: "#faf8f5",
+            cursor: "pointer", fontSize: 12, fontWeight: 600,
+          }}
+        >
+          🔗 Share
+        </button>
+        <div style={{ marginLeft: "auto", fontSize: 13, fontWeight: 600, color: finished ? "#2a7a4b" : "#b07020" }}>
+          {finished ? "Voting closed" : `⏱ ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, "0")}`}
+        </div>
+      </div>
+      <div style={{ fontSize: 12, color: "#888" }}>
+        {participants.map(([id, name]) => `${name}${session.done[id] ? " ✓" : ""}`).join(" · ")}
+      </div>
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {tally(session).map((r) => {
+          const won = winner?.id === r.id;
+          return (
+            <div
+              key={r.id}
+              style={{
+                display: "flex", alignItems: "center", gap: 8, padding: "8px 10px", borderRadius: 8,
+                border: "1.5px solid", borderColor: won ? "#2a7a4b" : "#ede9e3",
+                background: won ? "#edf7f1" : r.vetoes ? "#faf8f5" : "#fff",
+                opacity: finished && !won ? 0.6 : 1,
+                animation: won ? "revealPop 0.35s ease" : "none",
+              }}
+            >
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 700, textDecoration: r.vetoes ? "line-through" : "none" }}>
+                  {won && "🏆 "}{r.name}
+                </div>
+                <div style={{ fontSize: 12, color: "#999" }}>{r.cuisine} · {r.neighborhood}</div>
+              </div>
+              <span style={{ fontSize: 12, color: "#888" }}>👍 {r.up}{r.vetoes > 0 && ` · 🚫 ${r.vetoes}`}</span>
+              {!finished && (
+                <>
+                  <button disabled={iAmDone} onClick={() => vote(r.id, "up")} style={small(mine[r.id] === "up", "#2a7a4b")}>👍</button>
+                  <button disabled={iAmDone} onClick={() => vote(r.id, "veto")} style={small(mine[r.id] === "veto", "#c0392b")}>🚫</button>
+                </>
+              )}
+              {won && (
+                <button onClick={() => onShowOnMap(r.id)} style={small(false, "#2a7a4b")}>🗺 Map</button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {finished && !winner && (
+        <div style={{ fontSize: 13, color: "#888", textAlign: "center" }}>
+          No winner: nothing got an upvote without also getting vetoed.
+        </div>
+      )}
+      {!finished && (
+        <div style={{ display: "flex", gap: 10 }}>
+          {session.host.id === user.id && (
+            <button
+              onClick={() => send({ type: "close" })}
+              style={{
+                flex: 1, padding: "10px 0", borderRadius: 10, border: "1.5px solid #e0dbd4",
+                background: "#faf8f5", cursor: "pointer", fontWeight: 600,
+              }}
+            >
+              End now
+            </button>
+          )}
+          <button
+            onClick={() => !iAmDone && send({ type: "done", member })}
+            disabled={iAmDone}
+            style={{
+              flex: 2, padding: "10px 0", borderRadius: 10, border: "none",
+              background: iAmDone ? "#ccc" : "#1a1a1a", color: "#fff",
+              cursor: iAmDone ? "default" : "pointer", fontWeight: 700, fontSize: 15,
+            }}
+          >
+            {iAmDone ? "Waiting for the others…" : "I'm done voting"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// code: the session in the URL, if any; restaurants: the current filtered list
+function VotePanel({ code, restaurants, user, userName, onOpen, onShare, onShowOnMap }) {
+  const [hosted, setHosted] = useState(null);
+  const start = (shortlist, minutes) => {
+    const session = createSession({
+      code: newSessionCode(),
+      host: { id: user.id, name: userName },
+      restaurants: shortlist,
+      minutes,
+    });
+    setHosted(session);
+    onOpen(session.code);
+  };
+
+  if (code) {
+    const key = normalizeCode(code);
+    return (
+      <VoteSession
+        key={key}
+        code={key}
+        hosted={hosted?.code === key ? hosted : null}
+        user={user}
+        userName={userName}
+        onShare={onShare}
+        onShowOnMap={onShowOnMap}
+      />
+    );
+  }
+  return <VoteSetup restaurants={restaurants} onStart={start} onJoin={onOpen} />;
+}
+
+// Curated lists: pick one to edit, reorder its entries, share it
+function ListsPanel({ lists, restaurants, user, userName, onSave, onDelete, onShare, onShow }) {
+  const [draft, setDraft] = useState(null); // the list being edited, unsaved
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const byId = Object.fromEntries(restaurants.map((r) => [r.id, r]));
+  const addable = draft ? restaurants.filter((r) => !draft.entries.includes(r.id)) : [];
+  const inp = {
+    width: "100%", padding: "8px 12px", borderRadius: 8, border: "1.5px solid #e8e4de", fontSize: 14,
+    outline: "none", fontFamily: "inherit", background: "#faf8f5", boxSizing: "border-box", marginTop: 4,
+  };
+  const lbl = { fontSize: 12, fontWeight: 600, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" };
+  const small = {
+    padding: "2px 8px", borderRadius: 6, border: "1.5px solid #e0dbd4", background: "#fff",
+    cursor: "pointer", fontSize: 12, fontFamily: "inherit",
+  };
+
+  if (!draft) {
+    return (
+      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        {lists.length === 0 && (
+          <div style={{ fontSize: 13, color: "#aaa" }}>No lists yet. Make one for date nights, office lunches, visiting friends…</div>
         )}
+        {lists.map((l) => (
+          <div
+            key={l.id}
+            style={{ display: "flex", alignItems: "center", gap: 10, padding: "10px 12px", borderRadius: 10, border: "1px solid #ede9e3" }}
+          >
+            <span style={{ fontSize: 22 }}>{l.emoji}</span>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 700 }}>
+                {l.name} <span style={{ fontWeight: 400, fontSize: 12, color: "#aaa" }}>{l.entries.length}</span>
+                {l.shareToken && <span style={{ fontSize: 11, color: "#3b82f6", marginLeft: 6 }}>🔗 public</span>}
+              </div>
+              {l.description && <div style={{ fontSize: 12, color: "#888" }}>{l.description}</div>}
+            </div>
+            <button onClick={() => onShow(l.id)} style={small}>Show</button>
+            <button onClick={() => setDraft(l)} style={small}>Edit</button>
+          </div>
+        ))}
+        <button
+          onClick={() => setDraft(newList(user, userName))}
+          style={{
+            padding: "10px 0", borderRadius: 10, border: "none", background: "#1a1a1a", color: "#fff",
+            cursor: "pointer", fontWeight: 700, fontSize: 14,
+          }}
+        >
+          + New list
+        </button>
       </div>
+    );
+  }
 
-      <div style={{ display: "flex", gap: 10, paddingTop: 8 }}>
+  const existing = lists.find((l) => l.id === draft.id);
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+        {LIST_EMOJIS.map((e) => (
+          <button
+            key={e}
+            onClick={() => set({ emoji: e })}
+            style={{
+              fontSize: 20, padding: "4px 6px", borderRadius: 8, cursor: "pointer",
+              border: "1.5px solid", borderColor: draft.emoji === e ? "#1a1a1a" : "transparent", background: "none",
+            }}
+          >
+            {e}
+          </button>
+        ))}
+      </div>
+      <div>
+        <div style={lbl}>Name *</div>
+        <input style={inp} value={draft.name} onChange={(e) => set({ name: e.target.value })} placeholder="e.g. Date night" />
+      </div>
+      <div>
+        <div style={lbl}>Description</div>
+        <textarea
+          style={{ ...inp, resize: "vertical", minHeight: 50 }}
+          value={draft.description}
+          onChange={(e) => set({ description: e.target.value })}
+          placeholder="What's this list for?"
+        />
+      </div>
+      <div>
+        <div style={lbl}>Places, in order</div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 6 }}>
+          {draft.entries.filter((id) => byId[id]).map((id, i, shown) => (
+            <div key={id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+              <span style={{ width: 18, color: "#aaa" }}>{i + 1}.</span>
+              <span style={{ flex: 1 }}>{byId[id].name}</span>
+              <button disabled={i === 0} onClick={() => setDraft((d) => moveEntry(d, id, -1))} style={small}>↑</button>
+              <button disabled={i === shown.length - 1} onClick={() => setDraft((d) => moveEntry(d, id, 1))} style={small}>↓</button>
+              <button onClick={() => setDraft((d) => toggleEntry(d, id))} style={small}>✕</button>
+            </div>
+          ))}
+        </div>
+        {addable.length > 0 && (
+          <select
+            style={{ ...inp, marginTop: 8 }}
+            value=""
+            onChange={(e) => e.target.value && setDraft((d) => toggleEntry(d, e.target.value))}
+          >
+            <option value="">+ Add a place…</option>
+            {addable.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+          </select>
+        )}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#666" }}>
+        <input
+          type="checkbox"
+          checked={!!draft.shareToken}
+          onChange={(e) => setDraft((d) => withSharing(d, e.target.checked))}
+        />
+        Anyone with the link can see this list (read-only, no notes or names)
+        {existing?.shareToken && draft.shareToken === existing.shareToken && (
+          <button onClick={() => onShare(existing)} style={small}>🔗 Copy link</button>
+        )}
+      </label>
+      <div style={{ display: "flex", gap: 10 }}>
+        {existing && (!existing.createdBy || existing.createdBy.id === user.id) && (
+          <button
+            onClick={() => onDelete(existing).then((deleted) => deleted && setDraft(null))}
+            style={{
+              padding: "10px 14px", borderRadius: 10, border: "1.5px solid #f5c6c6",
+              background: "#fff5f5", color: "#c0392b", cursor: "pointer", fontWeight: 600,
+            }}
+          >
+            Delete
+          </button>
+        )}
         <button
-          onClick={onCancel}
+          onClick={() => setDraft(null)}
           style={{
             flex: 1, padding: "10px 0", borderRadius: 10, border: "1.5px solid #e0dbd4",
             background: "#faf8f5", cursor: "pointer", fontWeight: 600,
@@ -438,33 +2154,434 @@ function RestaurantForm({ initial, onSave, onCancel, saving }) {
           Cancel
         </button>
         <button
-          onClick={() => form.name.trim() && !saving && onSave(form)}
-          disabled={!form.name.trim() || saving}
+          onClick={() => draft.name.trim() && onSave({ ...draft, name: draft.name.trim() }).then((ok) => ok && setDraft(null))}
+          disabled={!draft.name.trim()}
           style={{
             flex: 2, padding: "10px 0", borderRadius: 10, border: "none",
-            background: form.name.trim() && !saving ? "#1a1a1a" : "#ccc",
-            color: "#fff", cursor: form.name.trim() && !saving ? "pointer" : "default",
-            fontWeight: 700, fontSize: 15,
+            background: draft.name.trim() ? "#1a1a1a" : "#ccc", color: "#fff",
+            cursor: draft.name.trim() ? "pointer" : "default", fontWeight: 700, fontSize: 15,
           }}
         >
-          {saving ? "Saving…" : "Save Restaurant"}
+          Save list
         </button>
       </div>
     </div>
   );
 }
 
-// Restaurant card
-function RestaurantCard({ r, onEdit, onDelete }) {
-  const [expanded, setExpanded] = useState(false);
-  const avg = r.visited
-    ? (Object.values(r.ratings).reduce((a, b) => a + b, 0) / CATEGORIES.length).toFixed(1)
-    : null;
+// Public read-only page for a shared list; no account needed
+function SharedList({ token }) {
+  const [shared, setShared] = useState(undefined); // undefined while loading, null if not found
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSharedList(token)
+      .then((data) => !cancelled && setShared(data))
+      .catch(() => !cancelled && setShared(null));
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const page = { minHeight: "100vh", background: "#f7f4f0", fontFamily: "'DM Sans', sans-serif", color: "#1a1a1a" };
+  if (shared === undefined) return <div style={{ ...page, padding: 40, textAlign: "center", color: "#aaa" }}>Loading…</div>;
+  if (!shared) {
+    return (
+      <div style={{ ...page, padding: 40, textAlign: "center", color: "#888" }}>
+        This list isn't shared anymore.
+      </div>
+    );
+  }
+  const { list, restaurants } = shared;
+  return (
+    <div style={page}>
+      <div style={{ maxWidth: 900, margin: "0 auto", padding: "28px 24px" }}>
+        <div style={{ fontSize: 40 }}>{list.emoji}</div>
+        <h1 style={{ fontFamily: "'Playfair Display', serif", margin: "4px 0" }}>{list.name}</h1>
+        {list.description && <div style={{ color: "#666" }}>{list.description}</div>}
+        <div style={{ fontSize: 12, color: "#aaa", marginTop: 4 }}>Stockholm Eats · {restaurants.length} places</div>
+        {restaurants.length > 0 && (
+          <div style={{ height: 360, borderRadius: 14, overflow: "hidden", margin: "20px 0", boxShadow: "0 4px 20px rgba(0,0,0,0.1)" }}>
+            <MapView restaurants={restaurants} selectedId={selected} onSelect={setSelected} />
+          </div>
+        )}
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          {restaurants.map((r, i) => {
+            const avg = r.visited ? groupAverage(r) : null;
+            return (
+              <div
+                key={r.id}
+                onClick={() => setSelected(r.id)}
+                style={{
+                  background: "#fff", borderRadius: 12, padding: "12px 16px", cursor: "pointer",
+                  border: selected === r.id ? "1.5px solid #e8a020" : "1px solid #f0ede8",
+                  display: "flex", gap: 12, alignItems: "center",
+                }}
+              >
+                <span style={{ fontSize: 18, fontWeight: 700, color: "#ccc", width: 24 }}>{i + 1}</span>
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontFamily: "'Playfair Display', serif", fontWeight: 700 }}>{r.name}</div>
+                  <div style={{ fontSize: 12, color: "#999" }}>
+                    {r.cuisine} · {r.neighborhood}{r.address && ` · ${r.address}`}
+                  </div>
+                </div>
+                {avg != null && <span style={{ fontWeight: 700, color: "#e8a020" }}>★ {avg.toFixed(1)}</span>}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Rows that failed validation, set aside instead of rendered: the problems, the raw
+// JSON to fix by hand, and delete for rows beyond repair
+function QuarantinedRow({ row, onSave, onDelete, saving }) {
+  const [text, setText] = useState(() => JSON.stringify(row.data, null, 2));
+  const [editing, setEditing] = useState(false);
+  let parsed = null;
+  let problems = row.problems;
+  if (editing) {
+    try {
+      const result = readRestaurant(JSON.parse(text));
+      parsed = result.restaurant || null;
+      problems = result.problems || [];
+    } catch (err) {
+      problems = [`Not valid JSON: ${err.message}`];
+    }
+  }
+  const small = {
+    padding: "4px 10px", borderRadius: 8, border: "1.5px solid #e0dbd4", background: "#fff",
+    cursor: "pointer", fontSize: 12, fontWeight: 600, fontFamily: "inherit",
+  };
+  return (
+    <div style={{ border: "1px solid #f5c6c6", borderRadius: 10, padding: "10px 12px", background: "#fffafa" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 14 }}>
+          {typeof row.data?.name === "string" && row.data.name ? row.data.name : "Unnamed"}
+          <span style={{ fontWeight: 400, fontSize: 11, color: "#aaa", marginLeft: 6 }}>{row.id}</span>
+        </div>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button onClick={() => setEditing(!editing)} style={small}>{editing ? "Cancel" : "Fix JSON"}</button>
+          <button onClick={() => onDelete(row)} disabled={saving} style={{ ...small, color: "#c0392b", borderColor: "#f5c6c6" }}>
+            Delete
+          </button>
+        </div>
+      </div>
+      <ul style={{ margin: "6px 0 0", paddingLeft: 18, fontSize: 12, color: problems.length ? "#c0392b" : "#2a7a4b" }}>
+        {problems.length ? problems.slice(0, 8).map((p) => <li key={p}>{p}</li>) : <li>Reads fine now</li>}
+        {problems.length > 8 && <li>…and {problems.length - 8} more</li>}
+      </ul>
+      {editing && (
+        <>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            spellCheck={false}
+            style={{
+              width: "100%", minHeight: 220, marginTop: 8, boxSizing: "border-box", borderRadius: 8,
+              border: "1.5px solid #e0dbd4", fontFamily: "monospace", fontSize: 12, padding: 8,
+            }}
+          />
+          <button
+            onClick={() => parsed && onSave(row, parsed)}
+            disabled={!parsed || saving}
+            style={{
+              marginTop: 6, padding: "8px 14px", borderRadius: 8, border: "none", fontWeight: 700,
+              background: parsed && !saving ? "#1a1a1a" : "#ccc", color: "#fff",
+              cursor: parsed && !saving ? "pointer" : "default",
+            }}
+          >
+            {saving ? "Saving…" : "Save fixed version"}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function QuarantinePanel({ rows, onSave, onDelete, saving }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ fontSize: 13, color: "#666" }}>
+        These rows couldn't be read, so they're kept out of the list and map. Usually an older
+        or broken client wrote them; fix the JSON or delete the row.
+      </div>
+      {rows.length === 0 && <div style={{ fontSize: 13, color: "#aaa" }}>Nothing in quarantine.</div>}
+      {rows.map((row) => (
+        <QuarantinedRow key={row.id} row={row} onSave={onSave} onDelete={onDelete} saving={saving} />
+      ))}
+    </div>
+  );
+}
+
+// The last scoring settings seen, so offline starts use the same weights
+const SCORING_KEY = "stockholm-eats:scoring";
+
+function cachedScoring() {
+  try {
+    return readScoring(JSON.parse(localStorage.getItem(SCORING_KEY)));
+  } catch {
+    return DEFAULT_SCORING;
+  }
+}
+
+// Category weights and the group's own rating categories. Averages use the saved
+// weights everywhere; a removed category's scores stay on the visits, unused.
+function ScoringPanel({ settings, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  const [name, setName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const categories = [...CATEGORIES, ...draft.categories];
+  const weightOf = (cat) => draft.weights[cat] ?? 1;
+  const newName = cleanCategoryName(name);
+  const taken = categories.some((c) => c.toLowerCase() === newName.toLowerCase());
+  const lbl = { fontSize: 12, fontWeight: 600, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" };
+  const small = {
+    padding: "2px 8px", borderRadius: 6, border: "1.5px solid #e0dbd4", background: "#fff",
+    cursor: "pointer", fontSize: 12, fontFamily: "inherit",
+  };
+
+  const setWeight = (cat, w) => setDraft((d) => ({ ...d, weights: { ...d.weights, [cat]: w } }));
+  const addCategory = () => {
+    if (!newName || taken) return;
+    setDraft((d) => ({ ...d, categories: [...d.categories, newName] }));
+    setName("");
+  };
+  const removeCategory = (cat) => setDraft((d) => {
+    const { [cat]: _removed, ...weights } = d.weights;
+    return { ...d, categories: d.categories.filter((c) => c !== cat), weights };
+  });
+  const save = async () => {
+    setSaving(true);
+    await onSave(draft);
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div style={{ fontSize: 13, color: "#666" }}>
+        A place's score is the weighted average of the categories it was rated in; categories
+        left unrated don't count. Weight 0 leaves a category out of the average; a place rated
+        only in weight-0 categories gets their plain average instead.
+      </div>
+      <div>
+        <div style={lbl}>Weights</div>
+        {categories.map((cat) => (
+          <div key={cat} style={{ display: "flex", alignItems: "center", gap: 10, marginTop: 8 }}>
+            <span style={{ fontSize: 14, fontWeight: 500, flex: 1, minWidth: 0 }}>{categoryLabel(cat)}</span>
+            <input
+              type="range"
+              min={0}
+              max={MAX_WEIGHT}
+              step={0.5}
+              value={weightOf(cat)}
+              onChange={(e) => setWeight(cat, Number(e.target.value))}
+              style={{ width: 140, accentColor: "#e8a020" }}
+            />
+            <span style={{ fontSize: 12, color: "#888", width: 34, textAlign: "right" }}>×{weightOf(cat)}</span>
+            {CATEGORIES.includes(cat)
+              ? <span style={{ width: 24 }} />
+              : <button onClick={() => removeCategory(cat)} title="Remove category" style={{ ...small, width: 24, padding: "2px 0" }}>×</button>}
+          </div>
+        ))}
+      </div>
+      <div>
+        <div style={lbl}>Add a category</div>
+        <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addCategory()}
+            placeholder="e.g. Wine list, Kid-friendly"
+            style={{
+              flex: 1, padding: "8px 12px", borderRadius: 8, border: "1.5px solid #e8e4de", fontSize: 14,
+              outline: "none", fontFamily: "inherit", background: "#faf8f5",
+            }}
+          />
+          <button onClick={addCategory} disabled={!newName || taken} style={{ ...small, padding: "6px 12px" }}>Add</button>
+        </div>
+        {newName && taken && <div style={{ fontSize: 12, color: "#b07020", marginTop: 4 }}>There's already a category called that</div>}
+      </div>
+      <button
+        onClick={save}
+        disabled={saving}
+        style={{
+          padding: "10px 0", borderRadius: 10, border: "none", fontWeight: 700, fontSize: 14,
+          background: saving ? "#ccc" : "#1a1a1a", color: "#fff", cursor: saving ? "default" : "pointer",
+        }}
+      >
+        {saving ? "Saving…" : "Save for everyone"}
+      </button>
+    </div>
+  );
+}
+
+// Deleted restaurants, newest first, until they're restored or purged
+function TrashPanel({ trash, canDelete, onRestore, onPurge }) {
+  const small = {
+    padding: "4px 10px", borderRadius: 6, border: "1.5px solid #e0dbd4", background: "#fff",
+    cursor: "pointer", fontSize: 12, fontFamily: "inherit",
+  };
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ fontSize: 13, color: "#666" }}>
+        Deleted places stay here for {TRASH_DAYS} days, then they're gone for good. Anyone can
+        restore one; only the person who added it can delete it right away.
+      </div>
+      {trash.length === 0 && <div style={{ fontSize: 13, color: "#aaa" }}>The trash is empty.</div>}
+      {trash.map((r) => (
+        <div
+          key={r.id}
+          style={{ display: "flex", alignItems: "center", gap: 10, padding: "10px 12px", borderRadius: 10, border: "1px solid #ede9e3" }}
+        >
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontWeight: 700 }}>{r.name}</div>
+            <div style={{ fontSize: 12, color: "#888" }}>
+              Deleted by {r.deletedBy?.name || "someone"} · {new Date(r.deletedAt).toLocaleDateString()}
+            </div>
+            <div style={{ fontSize: 11, color: "#b07020" }}>
+              {daysLeft(r) === 0 ? "Purged today" : `Purged in ${daysLeft(r)} day${daysLeft(r) === 1 ? "" : "s"}`}
+            </div>
+          </div>
+          <button onClick={() => onRestore(r)} style={small}>↩️ Restore</button>
+          {canDelete(r) && (
+            <button onClick={() => onPurge(r)} style={{ ...small, color: "#c0392b", borderColor: "#f5c6c6" }}>
+              Delete
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Text with the words of the search marked
+function Highlight({ text, search }) {
+  return highlightParts(text, search).map((part, i) => part.match
+    ? <mark key={i} style={{ background: "#fde9b8", color: "inherit", borderRadius: 2 }}>{part.text}</mark>
+    : part.text);
+}
+
+// Saved versions of one restaurant, newest first, with what changed in each. New
+// revisions from any client are added while it's open.
+const HISTORY_PAGE = 10;
+const clip = (text) => text.length > 80 ? `${text.slice(0, 80)}…` : text;
+
+function HistoryPanel({ r, onRevert }) {
+  const [revisions, setRevisions] = useState(null); // null while loading
+  const [failed, setFailed] = useState(false);
+  const [shown, setShown] = useState(HISTORY_PAGE);
+
+  useEffect(() => {
+    let cancelled = false;
+    const add = (rev) => setRevisions((prev) =>
+      prev && !prev.some((x) => x.id === rev.id) ? [rev, ...prev].sort((a, b) => b.id - a.id) : prev
+    );
+    const unsubscribe = subscribeRevisions(r.id, add);
+    fetchRevisions(r.id)
+      .then((data) => !cancelled && setRevisions(data))
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [r.id]);
+
+  if (failed) return <div style={{ fontSize: 12, color: "#aaa", marginTop: 6 }}>History needs a connection.</div>;
+  if (!revisions) return <div style={{ fontSize: 12, color: "#aaa", marginTop: 6 }}>Loading history…</div>;
+  if (!revisions.length) return <div style={{ fontSize: 12, color: "#aaa", marginTop: 6 }}>No saved versions yet.</div>;
+
+  const described = describeRevisions(revisions);
+  return (
+    <div style={{ borderLeft: "2px solid #ede9e3", marginLeft: 4, marginTop: 6 }}>
+      {described.slice(0, shown).map((rev, i) => (
+        <div key={rev.id} style={{ padding: "0 0 10px 12px" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, fontSize: 12 }}>
+            <span>
+              <span style={{ fontWeight: 700 }}>{rev.author.name}</span>
+              <span style={{ color: "#aaa" }}> · {new Date(rev.at).toLocaleString()}</span>
+            </span>
+            {i === 0 ? (
+              <span style={{ fontSize: 11, color: "#2a7a4b", fontWeight: 600 }}>Current</span>
+            ) : (
+              <button
+                onClick={() => onRevert(r, rev)}
+                style={{
+                  fontSize: 11, padding: "1px 8px", borderRadius: 6, border: "1.5px solid #e0dbd4",
+                  background: "#fff", cursor: "pointer", fontFamily: "inherit", whiteSpace: "nowrap",
+                }}
+              >
+                Restore
+              </button>
+            )}
+          </div>
+          {rev.created && <div style={{ fontSize: 11, color: "#999" }}>Added</div>}
+          {!rev.created && i === described.length - 1 && rev.changes.length === 0 && (
+            <div style={{ fontSize: 11, color: "#999" }}>Oldest saved version</div>
+          )}
+          {i < described.length - 1 && rev.changes.length === 0 && (
+            <div style={{ fontSize: 11, color: "#999" }}>No visible changes</div>
+          )}
+          {rev.changes.map((c, j) => (
+            <div key={j} style={{ fontSize: 11, color: "#666", marginTop: 2 }}>
+              <span style={{ fontWeight: 600 }}>{c.label}: </span>
+              <span style={{ color: "#b0a99f", textDecoration: "line-through" }}>{clip(c.before)}</span>
+              {" → "}
+              <span>{clip(c.after)}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+      {described.length > shown && (
+        <button
+          onClick={() => setShown((n) => n + HISTORY_PAGE)}
+          style={{ marginLeft: 12, fontSize: 11, border: "none", background: "none", color: "#3b82f6", cursor: "pointer", padding: 0 }}
+        >
+          Show older versions
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Restaurant card; lists: every curated list, onToggleList(list) adds or removes r;
+// search: the current search text, highlighted wherever it matched; now: the time
+// the opening-hours badge is for; onRevert(r, revision) restores an older version
+function RestaurantCard({
+  r, pending, distance, canDelete, selected, lists, search, now,
+  onSelect, onShare, onEdit, onDelete, onToggleList, onRevert,
+}) {
+  const [open, setOpen] = useState(false);
+  const [listsOpen, setListsOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const expanded = open || selected;
+  const cardRef = useRef(null);
+
+  // Deep-linked restaurant: bring it into view
+  useEffect(() => {
+    if (selected) cardRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [selected]);
+  const [viewing, setViewing] = useState(null);
+  const visits = sortedVisits(r);
+  const scores = memberScores(r);
+  const notes = memberNotes(r);
+  const photos = visitPhotos(r);
+  const groupAvg = r.visited ? groupAverage(r) : null;
+  const avg = groupAvg != null ? groupAvg.toFixed(1) : null;
+  const onLists = listsWith(lists, r.id);
+  const tags = tagsOf(r);
+  const dishes = rankedDishes(r);
+  const snippets = searchSnippets(r, search);
+  const status = openStatus(r.hours, now);
   return (
     <div
+      ref={cardRef}
       style={{
         background: "#fff", borderRadius: 14, overflow: "hidden",
-        boxShadow: "0 2px 12px rgba(0,0,0,0.07)", border: "1px solid #f0ede8",
+        boxShadow: "0 2px 12px rgba(0,0,0,0.07)",
+        border: selected ? "1.5px solid #e8a020" : "1px solid #f0ede8",
         transition: "transform 0.15s, box-shadow 0.15s",
       }}
       onMouseEnter={(e) => {
@@ -476,10 +2593,12 @@ function RestaurantCard({ r, onEdit, onDelete }) {
         e.currentTarget.style.boxShadow = "0 2px 12px rgba(0,0,0,0.07)";
       }}
     >
-      {r.photos?.length > 0 && (
+      {photos.length > 0 && (
         <img
-          src={r.photos[0]}
-          style={{ width: "100%", height: 160, objectFit: "cover" }}
+          src={photoThumb(photos[0])}
+          onClick={() => setViewing(photos[0])}
+          loading="lazy"
+          style={{ width: "100%", height: 160, objectFit: "cover", cursor: "zoom-in", display: "block" }}
           alt=""
         />
       )}
@@ -487,11 +2606,56 @@ function RestaurantCard({ r, onEdit, onDelete }) {
         <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start" }}>
           <div>
             <div style={{ fontFamily: "'Playfair Display', serif", fontWeight: 700, fontSize: 16 }}>
-              {r.name}
+              <Highlight text={r.name} search={search} />
             </div>
             <div style={{ fontSize: 12, color: "#999", marginTop: 2 }}>
-              {r.cuisine} · {r.neighborhood}
+              <Highlight text={r.cuisine} search={search} /> · <Highlight text={r.neighborhood} search={search} />
+              {r.priceLevel > 0 && <span title="Price level"> · {priceSymbols(r.priceLevel)}</span>}
             </div>
+            {distance != null && (
+              <div style={{ fontSize: 12, color: "#3b82f6", fontWeight: 600, marginTop: 2 }}>
+                📍 {formatDistance(distance)} · {walkingMinutes(distance)} min walk
+              </div>
+            )}
+            {status && (
+              <div
+                style={{
+                  fontSize: 12, fontWeight: 600, marginTop: 2,
+                  color: { open: "#2a7a4b", closing: "#b07020", closed: "#c0392b" }[status.state],
+                }}
+              >
+                🕐 {status.text}
+              </div>
+            )}
+            {pending > 0 && (
+              <div style={{ fontSize: 11, color: "#b07020", fontWeight: 600, marginTop: 4 }}>
+                ⏳ {pending} change{pending === 1 ? "" : "s"} waiting to sync
+              </div>
+            )}
+            {tags.length > 0 && (
+              <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginTop: 6 }}>
+                {tags.map((t) => (
+                  <span
+                    key={t}
+                    style={{ padding: "1px 8px", borderRadius: 20, fontSize: 11, background: "#eef4ff", color: "#3b5b9a" }}
+                  >
+                    <Highlight text={t} search={search} />
+                  </span>
+                ))}
+              </div>
+            )}
+            {onLists.length > 0 && (
+              <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginTop: 6 }}>
+                {onLists.map((l) => (
+                  <span
+                    key={l.id}
+                    style={{ padding: "1px 8px", borderRadius: 20, fontSize: 11, background: "#f3efe9", color: "#666" }}
+                  >
+                    {l.emoji} {l.name}
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
           <span
             style={{
@@ -510,32 +2674,175 @@ function RestaurantCard({ r, onEdit, onDelete }) {
             <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
               <Stars value={Math.round(parseFloat(avg))} size={14} />
               <span style={{ fontSize: 13, fontWeight: 700, color: "#e8a020" }}>{avg}</span>
+              <span style={{ fontSize: 11, color: "#aaa" }}>
+                {visits.length} visit{visits.length === 1 ? "" : "s"}
+              </span>
+            </div>
+            {expanded && (
+              <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 4 }}>
+                {allCategories().filter((cat) => categoryAverage(r, cat) > 0).map((cat) => (
+                  <div
+                    key={cat}
+                    style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}
+                  >
+                    <span style={{ fontSize: 12, color: "#888" }}>{categoryLabel(cat)}</span>
+                    <Stars value={Math.round(categoryAverage(r, cat))} size={12} />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {expanded && scores.length > 0 && (
+          <div style={{ marginTop: 10, display: "flex", flexDirection: "column", gap: 6 }}>
+            {scores.map((m) => (
+              <div key={m.id} style={{ borderTop: "1px solid #f0ede8", paddingTop: 6 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                  <span style={{ fontWeight: 700 }}>{m.name}</span>
+                  <span style={{ fontWeight: 700, color: "#e8a020" }}>★ {ratingAverage(m.ratings).toFixed(1)}</span>
+                </div>
+                <div style={{ fontSize: 11, color: "#999", marginTop: 2 }}>
+                  {allCategories().filter((cat) => m.ratings[cat] > 0)
+                    .map((cat) => `${categoryLabel(cat)} ${m.ratings[cat].toFixed(1)}`).join(" · ")}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!expanded && snippets.slice(0, 2).map((hit, i) => (
+          <div key={i} style={{ marginTop: 6, fontSize: 12, color: "#666" }}>
+            <span style={{ fontWeight: 700, color: "#999" }}>{hit.label}: </span>
+            <Highlight text={hit.text} search={search} />
+          </div>
+        ))}
+
+        {!expanded && !snippets.length && notes.length > 0 && (
+          <div
+            style={{
+              marginTop: 8, fontSize: 13, color: "#666", fontStyle: "italic",
+              display: "-webkit-box",
+              WebkitLineClamp: 2, WebkitBoxOrient: "vertical", overflow: "hidden",
+            }}
+          >
+            "{notes[0].notes}"
+          </div>
+        )}
+
+        {expanded && notes.map((rv) => (
+          <div key={rv.id} style={{ marginTop: 8, fontSize: 13, color: "#666" }}>
+            <span style={{ fontWeight: 700, fontSize: 12, color: "#1a1a1a" }}>{rv.name}: </span>
+            <em>"<Highlight text={rv.notes} search={search} />"</em>
+          </div>
+        ))}
+
+        {expanded && r.hours && (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" }}>
+              Opening hours
+            </div>
+            {weeklySummary(r.hours).map((row) => (
+              <div key={row.days} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: "#666", marginTop: 2 }}>
+                <span>{row.days}</span>
+                <span>{row.text}</span>
+              </div>
+            ))}
+            {r.hours.holidays && (
+              <div style={{ fontSize: 12, color: "#999", marginTop: 2 }}>
+                Public holidays: {r.hours.holidays.length
+                  ? r.hours.holidays.map((x) => `${x.open}–${x.close}`).join(", ")
+                  : "closed"}
+              </div>
+            )}
+            {r.hours.exceptions.map((e) => (
+              <div key={e.id} style={{ fontSize: 12, color: "#999", marginTop: 2 }}>
+                {e.label || "Exception"}: {e.from}{e.to && e.to !== e.from ? ` – ${e.to}` : ""}{" "}
+                {e.ranges.length ? e.ranges.map((x) => `${x.open}–${x.close}`).join(", ") : "closed"}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {expanded && dishes.length > 0 && (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" }}>
+              Dishes
+            </div>
+            {dishes.map((d) => (
+              <div key={d.id} style={{ marginTop: 6 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 13 }}>
+                  <span style={{ fontWeight: 600 }}>🍴 <Highlight text={d.name} search={search} /></span>
+                  {d.rating > 0 && <Stars value={d.rating} size={11} />}
+                </div>
+                {d.notes && (
+                  <div style={{ fontSize: 12, color: "#888" }}><Highlight text={d.notes} search={search} /></div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {expanded && visits.length > 0 && (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" }}>
+              Visits
             </div>
-            {expanded && (
-              <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 4 }}>
-                {CATEGORIES.map((cat) => (
-                  <div
-                    key={cat}
-                    style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}
-                  >
-                    <span style={{ fontSize: 12, color: "#888" }}>{cat}</span>
-                    <Stars value={r.ratings[cat]} size={12} />
+            <div style={{ borderLeft: "2px solid #ede9e3", marginLeft: 4, marginTop: 6 }}>
+              {visits.map((v) => (
+                <div key={v.id} style={{ position: "relative", padding: "0 0 10px 12px" }}>
+                  <span style={{
+                    position: "absolute", left: -5, top: 4, width: 8, height: 8,
+                    borderRadius: "50%", background: "#2ecc71",
+                  }} />
+                  <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                    <span style={{ fontWeight: 700 }}>{v.date || "Undated"}</span>
+                    {isRated(v.ratings) && (
+                      <span style={{ fontWeight: 700, color: "#e8a020" }}>★ {ratingAverage(v.ratings).toFixed(1)}</span>
+                    )}
                   </div>
-                ))}
-              </div>
-            )}
+                  <div style={{ fontSize: 11, color: "#999" }}>
+                    {[v.by?.name, ...(v.companions || [])].filter(Boolean).join(", ")}
+                    {v.spend != null && ` · ${v.spend} kr`}
+                  </div>
+                  {v.ordered && (
+                    <div style={{ fontSize: 12, color: "#666", marginTop: 2 }}>
+                      🍴 <Highlight text={v.ordered} search={search} />
+                    </div>
+                  )}
+                  {v.photos?.length > 0 && (
+                    <div style={{ display: "flex", gap: 4, marginTop: 4, flexWrap: "wrap" }}>
+                      {v.photos.map((p, i) => (
+                        <img
+                          key={i}
+                          src={photoThumb(p)}
+                          onClick={() => setViewing(p)}
+                          loading="lazy"
+                          style={{ width: 40, height: 40, objectFit: "cover", borderRadius: 4, cursor: "zoom-in" }}
+                          alt=""
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
           </div>
         )}
 
-        {r.notes && (
-          <div
-            style={{
-              marginTop: 8, fontSize: 13, color: "#666", fontStyle: "italic",
-              display: expanded ? "block" : "-webkit-box",
-              WebkitLineClamp: 2, WebkitBoxOrient: "vertical", overflow: "hidden",
-            }}
-          >
-            "{r.notes}"
+        {expanded && r.addedBy && (
+          <div style={{ fontSize: 11, color: "#aaa", marginTop: 8 }}>Added by {r.addedBy.name}</div>
+        )}
+
+        {expanded && (
+          <div style={{ marginTop: 8 }}>
+            <button
+              onClick={() => setHistoryOpen(!historyOpen)}
+              style={{ fontSize: 11, fontWeight: 700, color: "#888", border: "none", background: "none", padding: 0, cursor: "pointer" }}
+            >
+              🕓 {historyOpen ? "Hide history" : "History"}
+            </button>
+            {historyOpen && <HistoryPanel r={r} onRevert={onRevert} />}
           </div>
         )}
 
@@ -544,17 +2851,24 @@ function RestaurantCard({ r, onEdit, onDelete }) {
             {r.photos.slice(1).map((p, i) => (
               <img
                 key={i}
-                src={p}
-                style={{ width: 64, height: 64, objectFit: "cover", borderRadius: 6 }}
+                src={photoThumb(p)}
+                onClick={() => setViewing(p)}
+                loading="lazy"
+                style={{ width: 64, height: 64, objectFit: "cover", borderRadius: 6, cursor: "zoom-in" }}
                 alt=""
               />
             ))}
           </div>
         )}
 
+        {viewing && <PhotoViewer photo={viewing} onClose={() => setViewing(null)} />}
+
         <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
           <button
-            onClick={() => setExpanded((e) => !e)}
+            onClick={() => {
+              setOpen(!expanded);
+              if (expanded && selected) onSelect(null);
+            }}
             style={{
               flex: 1, padding: "6px 0", borderRadius: 8, border: "1.5px solid #e8e4de",
               background: "#faf8f5", cursor: "pointer", fontSize: 12, fontWeight: 600, color: "#666",
@@ -563,94 +2877,733 @@ function RestaurantCard({ r, onEdit, onDelete }) {
             {expanded ? "Show less" : "Show more"}
           </button>
           <button
-            onClick={() => onEdit(r)}
+            onClick={() => onShare(r)}
+            title="Copy link"
             style={{
               padding: "6px 14px", borderRadius: 8, border: "1.5px solid #e8e4de",
               background: "#faf8f5", cursor: "pointer", fontSize: 12,
             }}
           >
-            ✏️
+            🔗
+          </button>
+          <button
+            onClick={() => setListsOpen(!listsOpen)}
+            title="Lists"
+            style={{
+              padding: "6px 14px", borderRadius: 8, border: "1.5px solid #e8e4de",
+              background: listsOpen ? "#f3efe9" : "#faf8f5", cursor: "pointer", fontSize: 12,
+            }}
+          >
+            📑
           </button>
           <button
-            onClick={() => onDelete(r.id)}
+            onClick={() => onEdit(r)}
             style={{
-              padding: "6px 14px", borderRadius: 8, border: "1.5px solid #fde8e8",
-              background: "#fff5f5", cursor: "pointer", fontSize: 12,
+              padding: "6px 14px", borderRadius: 8, border: "1.5px solid #e8e4de",
+              background: "#faf8f5", cursor: "pointer", fontSize: 12,
             }}
           >
-            🗑️
+            ✏️
           </button>
+          {canDelete && (
+            <button
+              onClick={() => onDelete(r.id)}
+              style={{
+                padding: "6px 14px", borderRadius: 8, border: "1.5px solid #fde8e8",
+                background: "#fff5f5", cursor: "pointer", fontSize: 12,
+              }}
+            >
+              🗑️
+            </button>
+          )}
         </div>
+
+        {listsOpen && (
+          <div style={{ marginTop: 8, padding: "8px 10px", borderRadius: 8, background: "#faf8f5", border: "1px solid #ede9e3" }}>
+            {lists.length === 0 && <div style={{ fontSize: 12, color: "#aaa" }}>No lists yet; make one with 📑 at the top.</div>}
+            {lists.map((l) => (
+              <label key={l.id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, padding: "2px 0", cursor: "pointer" }}>
+                <input type="checkbox" checked={l.entries.includes(r.id)} onChange={() => onToggleList(l)} />
+                {l.emoji} {l.name}
+              </label>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
 // Map view
-function MapView({ restaurants, filter }) {
+function markerIcon(L, r) {
+  const color = r.visited ? "#2ecc71" : "#f39c12";
+  return L.divIcon({
+    html: `<div style="width:28px;height:28px;border-radius:50% 50% 50% 0;background:${color};border:3px solid #fff;box-shadow:0 3px 10px rgba(0,0,0,0.3);transform:rotate(-45deg)"></div>`,
+    iconSize: [28, 28], iconAnchor: [14, 28], className: "",
+  });
+}
+
+// Popups are HTML strings, and names and notes can come from imported files or
+// other members, so everything from the record is escaped on the way in
+const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+// Photo links only ever point at storage or an inline image
+const photoUrl = (url) => /^(https?:|data:image\/)/i.test(url) ? escapeHtml(url) : "";
+
+function popupHtml(r) {
+  const groupAvg = r.visited ? groupAverage(r) : null;
+  const avg = groupAvg != null ? groupAvg.toFixed(1) : null;
+  const note = memberNotes(r)[0]?.notes;
+  const photo = visitPhotos(r)[0];
+  const full = photo && photoUrl(photoFull(photo));
+  const thumb = photo && photoUrl(photoThumb(photo));
+  return `
+    <div style="font-family:'Playfair Display',serif;min-width:160px">
+      ${full && thumb ? `<a href="${full}" target="_blank" rel="noreferrer"><img src="${thumb}" style="width:100%;height:100px;object-fit:cover;border-radius:6px;margin-bottom:8px"/></a>` : ""}
+      <strong style="font-size:15px">${escapeHtml(r.name)}</strong><br/>
+      <span style="font-size:12px;color:#888">${escapeHtml(r.cuisine)} · ${escapeHtml(r.neighborhood)}${r.priceLevel ? ` · ${priceSymbols(r.priceLevel)}` : ""}</span><br/>
+      ${r.visited && avg ? `<span style="color:#e8a020;font-weight:700">★ ${avg}</span><br/>` : ""}
+      ${note ? `<em style="font-size:12px;color:#666">"${escapeHtml(note.substring(0, 80))}${note.length > 80 ? "…" : ""}"</em>` : ""}
+    </div>`;
+}
+
+// Count bubble split green/orange by how many of the clustered places we've visited
+function clusterIcon(L, cluster) {
+  const children = cluster.getAllChildMarkers();
+  const visited = children.filter((m) => m.options.visited).length;
+  const pct = Math.round((visited / children.length) * 100);
+  const size = children.length < 10 ? 34 : children.length < 50 ? 40 : 48;
+  return L.divIcon({
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:conic-gradient(#2ecc71 0 ${pct}%,#f39c12 ${pct}% 100%);display:flex;align-items:center;justify-content:center;box-shadow:0 3px 10px rgba(0,0,0,0.3)"><span style="width:${size - 12}px;height:${size - 12}px;border-radius:50%;background:#fff;display:flex;align-items:center;justify-content:center;font:700 12px 'DM Sans',sans-serif;color:#1a1a1a">${children.length}</span></div>`,
+    iconSize: [size, size], className: "",
+  });
+}
+
+// restaurants: already filtered by the shared filter state; here/radius draw the Near me circle;
+// selectedId opens that restaurant's popup and onSelect reports marker clicks; shading tints
+// each neighborhood by how many of the restaurants are labelled with it
+function MapView({ restaurants, here, radius, selectedId, onSelect, shading = false }) {
   const mapRef = useRef(null);
   const mapInstance = useRef(null);
-  const markersRef = useRef([]);
+  const clusterRef = useRef(null);
+  const markersRef = useRef(new Map()); // restaurant id -> { marker, r }
+  const hereRef = useRef(null); // { dot, circle }
+  const shadingRef = useRef(null);
+  const selectRef = useRef({ selectedId, onSelect }); // latest values for Leaflet handlers
+  const ready = restaurants.length > 0;
 
-  const filtered = restaurants.filter((r) => {
-    if (filter === "visited") return r.visited;
-    if (filter === "wantToTry") return !r.visited;
-    return true;
+  useEffect(() => {
+    selectRef.current = { selectedId, onSelect };
   });
 
+  const ensureMap = (L) => {
+    if (!mapInstance.current) {
+      mapInstance.current = L.map(mapRef.current).setView([59.3293, 18.0686], 12);
+      L.tileLayer(TILE_URL, {
+        attribution: "© OpenStreetMap contributors",
+        crossOrigin: true, // CORS responses so the service worker can store them
+      }).addTo(mapInstance.current);
+      clusterRef.current = L.markerClusterGroup({
+        chunkedLoading: true,
+        removeOutsideVisibleBounds: true,
+        showCoverageOnHover: false,
+        maxClusterRadius: 50,
+        iconCreateFunction: (cluster) => clusterIcon(L, cluster),
+      }).addTo(mapInstance.current);
+    }
+    return mapInstance.current;
+  };
+
   useEffect(() => {
-    loadLeaflet().then((L) => {
+    loadMarkerCluster().then((L) => {
       if (!mapRef.current) return;
-      if (!mapInstance.current) {
-        mapInstance.current = L.map(mapRef.current).setView([59.3293, 18.0686], 12);
-        L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-          attribution: "© OpenStreetMap contributors",
-        }).addTo(mapInstance.current);
-      }
-      markersRef.current.forEach((m) => m.remove());
-      markersRef.current = [];
-
-      filtered.forEach((r) => {
-        if (!r.lat || !r.lng) return;
-        const color = r.visited ? "#2ecc71" : "#f39c12";
-        const icon = L.divIcon({
-          html: `<div style="width:28px;height:28px;border-radius:50% 50% 50% 0;background:${color};border:3px solid #fff;box-shadow:0 3px 10px rgba(0,0,0,0.3);transform:rotate(-45deg)"></div>`,
-          iconSize: [28, 28], iconAnchor: [14, 28], className: "",
-        });
-        const avg = r.visited
-          ? (Object.values(r.ratings).reduce((a, b) => a + b, 0) / CATEGORIES.length).toFixed(1)
-          : null;
-        const popup = `
-          <div style="font-family:'Playfair Display',serif;min-width:160px">
-            ${r.photos?.[0] ? `<img src="${r.photos[0]}" style="width:100%;height:100px;object-fit:cover;border-radius:6px;margin-bottom:8px"/>` : ""}
-            <strong style="font-size:15px">${r.name}</strong><br/>
-            <span style="font-size:12px;color:#888">${r.cuisine} · ${r.neighborhood}</span><br/>
-            ${r.visited && avg ? `<span style="color:#e8a020;font-weight:700">★ ${avg}</span><br/>` : ""}
-            ${r.notes ? `<em style="font-size:12px;color:#666">"${r.notes.substring(0, 80)}${r.notes.length > 80 ? "…" : ""}"</em>` : ""}
-          </div>`;
-        const marker = L.marker([r.lat, r.lng], { icon })
-          .addTo(mapInstance.current)
-          .bindPopup(popup);
-        markersRef.current.push(marker);
+      ensureMap(L);
+
+      const filtered = restaurants.filter((r) => r.lat && r.lng);
+
+      // Diff against the markers already on the map so an update only touches
+      // the places that actually changed
+      const markers = markersRef.current;
+      const cluster = clusterRef.current;
+      const wanted = new Map(filtered.map((r) => [r.id, r]));
+      const stale = [];
+      const changed = []; // moved or restyled, so their clusters need redrawing
+      markers.forEach((entry, id) => {
+        const next = wanted.get(id);
+        if (!next) {
+          stale.push(entry.marker);
+          markers.delete(id);
+        } else if (next !== entry.r) {
+          const moved = next.lat !== entry.r.lat || next.lng !== entry.r.lng;
+          if (moved) entry.marker.setLatLng([next.lat, next.lng]);
+          if (next.visited !== entry.r.visited) {
+            entry.marker.options.visited = next.visited;
+            entry.marker.setIcon(markerIcon(L, next));
+          }
+          if (moved || next.visited !== entry.r.visited) changed.push(entry.marker);
+          entry.marker.setPopupContent(popupHtml(next));
+          entry.r = next;
+        }
       });
+      cluster.removeLayers(stale);
+
+      const added = filtered
+        .filter((r) => !markers.has(r.id))
+        .map((r) => {
+          const marker = L.marker([r.lat, r.lng], { icon: markerIcon(L, r), visited: r.visited })
+            .bindPopup(popupHtml(r))
+            .on("click", () => selectRef.current.onSelect(r.id))
+            .on("popupclose", () => {
+              if (selectRef.current.selectedId === r.id) selectRef.current.onSelect(null);
+            });
+          markers.set(r.id, { marker, r });
+          return marker;
+        });
+      cluster.addLayers(added);
+      if (changed.length) cluster.refreshClusters(changed);
+    });
+  }, [restaurants]);
+
+  // Deep-linked restaurant: zoom until its marker leaves the cluster, then open it
+  useEffect(() => {
+    if (!selectedId || !ready) return;
+    loadMarkerCluster().then(() => {
+      const entry = markersRef.current.get(selectedId);
+      if (entry) clusterRef.current.zoomToShowLayer(entry.marker, () => entry.marker.openPopup());
+    });
+  }, [selectedId, ready]);
+
+  // You-are-here dot and walking radius
+  useEffect(() => {
+    loadMarkerCluster().then((L) => {
+      if (!mapRef.current) return;
+      const map = ensureMap(L);
+      if (!here) {
+        if (hereRef.current) {
+          hereRef.current.dot.remove();
+          hereRef.current.circle.remove();
+          hereRef.current = null;
+        }
+        return;
+      }
+      if (!hereRef.current) {
+        hereRef.current = {
+          circle: L.circle([here.lat, here.lng], {
+            radius, color: "#3b82f6", weight: 1.5, fillColor: "#3b82f6", fillOpacity: 0.08,
+          }).addTo(map),
+          dot: L.circleMarker([here.lat, here.lng], {
+            radius: 7, color: "#fff", weight: 3, fillColor: "#3b82f6", fillOpacity: 1,
+          }).addTo(map).bindPopup("You are here"),
+        };
+        map.fitBounds(hereRef.current.circle.getBounds());
+      } else {
+        hereRef.current.dot.setLatLng([here.lat, here.lng]);
+        hereRef.current.circle.setLatLng([here.lat, here.lng]).setRadius(radius);
+      }
+    });
+  }, [here, radius]);
+
+  // Neighborhood shading, rebuilt when the counts change
+  useEffect(() => {
+    loadMarkerCluster().then((L) => {
+      if (!mapRef.current) return;
+      const map = ensureMap(L);
+      if (shadingRef.current) {
+        shadingRef.current.remove();
+        shadingRef.current = null;
+      }
+      if (!shading) return;
+      const counts = restaurants.reduce((acc, r) => ({ ...acc, [r.neighborhood]: (acc[r.neighborhood] || 0) + 1 }), {});
+      const max = Math.max(1, ...Object.values(counts));
+      shadingRef.current = L.geoJSON(NEIGHBORHOOD_BOUNDARIES, {
+        interactive: true,
+        style: (feature) => ({
+          color: "#2a7a4b",
+          weight: 1,
+          fillColor: "#2a7a4b",
+          fillOpacity: 0.04 + 0.4 * ((counts[feature.properties.name] || 0) / max),
+        }),
+        onEachFeature: (feature, layer) => {
+          const n = counts[feature.properties.name] || 0;
+          layer.bindTooltip(`${feature.properties.name}: ${n} place${n === 1 ? "" : "s"}`, { sticky: true });
+        },
+      }).addTo(map);
+      shadingRef.current.bringToBack();
     });
-  }, [filtered.length, filter, restaurants]);
+  }, [shading, restaurants]);
 
   return <div ref={mapRef} style={{ height: "100%", width: "100%", borderRadius: 14 }} />;
 }
 
+// Stats tab: small hand-drawn SVG charts, no chart library
+const scoreColor = (v) => v == null ? "#f3f0eb" : `rgba(232, 160, 32, ${0.15 + (0.85 * (v - 1)) / 4})`;
+
+function ChartCard({ title, children }) {
+  return (
+    <div style={{ background: "#fff", borderRadius: 14, padding: "16px 18px", boxShadow: "0 2px 12px rgba(0,0,0,0.06)" }}>
+      <div style={{ fontSize: 12, fontWeight: 700, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase", marginBottom: 10 }}>
+        {title}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// rows x categories grid of average scores, darker = better
+function ScoreMatrix({ rows }) {
+  if (!rows.length) return <div style={{ fontSize: 13, color: "#aaa" }}>No ratings yet</div>;
+  const categories = allCategories();
+  const labelW = 120;
+  const cellW = 56;
+  const cellH = 26;
+  return (
+    <svg width="100%" viewBox={`0 0 ${labelW + cellW * categories.length} ${cellH * (rows.length + 1)}`} style={{ fontFamily: "inherit" }}>
+      {categories.map((cat, j) => (
+        <text key={cat} x={labelW + cellW * j + cellW / 2} y={cellH - 8} textAnchor="middle" fontSize="11" fill="#888">
+          {categoryLabel(cat).length > 8 ? `${categoryLabel(cat).slice(0, 7)}…` : categoryLabel(cat)}
+          <title>{categoryLabel(cat)}</title>
+        </text>
+      ))}
+      {rows.map((row, i) => (
+        <g key={row.key} transform={`translate(0, ${cellH * (i + 1)})`}>
+          <text x={0} y={cellH / 2 + 4} fontSize="12" fill="#444">{row.key} <tspan fill="#aaa">({row.count})</tspan></text>
+          {categories.map((cat, j) => {
+            const v = row.averages[cat];
+            return (
+              <g key={cat}>
+                <rect x={labelW + cellW * j + 2} y={2} width={cellW - 4} height={cellH - 4} rx={4} fill={scoreColor(v)}>
+                  <title>{`${row.key} · ${categoryLabel(cat)}: ${v != null ? v.toFixed(1) : "not rated"}`}</title>
+                </rect>
+                <text x={labelW + cellW * j + cellW / 2} y={cellH / 2 + 4} textAnchor="middle" fontSize="11" fill="#1a1a1a">
+                  {v != null ? v.toFixed(1) : "–"}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function Histogram({ bins }) {
+  const max = Math.max(1, ...bins.map((b) => b.count));
+  const w = 36;
+  const h = 120;
+  return (
+    <svg width="100%" viewBox={`0 0 ${w * bins.length} ${h + 20}`}>
+      {bins.map((b, i) => {
+        const barH = (b.count / max) * (h - 14);
+        return (
+          <g key={b.from}>
+            <rect x={i * w + 4} y={h - barH} width={w - 8} height={barH} rx={3} fill="#e8a020">
+              <title>{`★ ${b.from}–${b.from + 0.5}: ${b.count}`}</title>
+            </rect>
+            {b.count > 0 && <text x={i * w + w / 2} y={h - barH - 3} textAnchor="middle" fontSize="10" fill="#888">{b.count}</text>}
+            <text x={i * w + w / 2} y={h + 14} textAnchor="middle" fontSize="10" fill="#888">{b.from}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function GrowthChart({ series }) {
+  if (series.length < 2) return <div style={{ fontSize: 13, color: "#aaa" }}>Not enough history yet</div>;
+  const w = 560;
+  const h = 160;
+  const pad = 24;
+  const max = Math.max(1, ...series.map((p) => p.added));
+  const x = (i) => pad + (i / (series.length - 1)) * (w - pad * 2);
+  const y = (v) => h - pad - (v / max) * (h - pad * 2);
+  const line = (key) => series.map((p, i) => `${x(i)},${y(p[key])}`).join(" ");
+  const every = Math.ceil(series.length / 6);
+  const last = series[series.length - 1];
+  return (
+    <svg width="100%" viewBox={`0 0 ${w} ${h}`}>
+      <line x1={pad} y1={h - pad} x2={w - pad} y2={h - pad} stroke="#ede9e3" />
+      <polyline points={line("added")} fill="none" stroke="#f39c12" strokeWidth={2} />
+      <polyline points={line("visited")} fill="none" stroke="#2ecc71" strokeWidth={2} />
+      {series.map((p, i) => i % every === 0 && (
+        <text key={p.month} x={x(i)} y={h - 6} textAnchor="middle" fontSize="10" fill="#aaa">{p.month}</text>
+      ))}
+      <text x={w - pad} y={y(last.added) - 6} textAnchor="end" fontSize="11" fill="#f39c12">{last.added} added</text>
+      <text x={w - pad} y={y(last.visited) + 14} textAnchor="end" fontSize="11" fill="#2a7a4b">{last.visited} visited</text>
+    </svg>
+  );
+}
+
+// Neighborhood x cuisine: green = been there, orange = only on the list, empty = unexplored
+function ExplorationGrid({ grid }) {
+  const hoods = Object.keys(grid);
+  const cuisines = Object.keys(grid[hoods[0]]);
+  const labelW = 96;
+  const cell = 30;
+  return (
+    <svg width="100%" viewBox={`0 0 ${labelW + cell * cuisines.length} ${cell * hoods.length + 70}`}>
+      {cuisines.map((c, j) => (
+        <text
+          key={c}
+          transform={`translate(${labelW + cell * j + cell / 2}, 64) rotate(-45)`}
+          fontSize="10"
+          fill="#888"
+        >
+          {c}
+        </text>
+      ))}
+      {hoods.map((n, i) => (
+        <g key={n} transform={`translate(0, ${70 + cell * i})`}>
+          <text x={0} y={cell / 2 + 4} fontSize="11" fill="#444">{n}</text>
+          {cuisines.map((c, j) => {
+            const { visited, listed } = grid[n][c];
+            return (
+              <rect
+                key={c}
+                x={labelW + cell * j + 2}
+                y={2}
+                width={cell - 4}
+                height={cell - 4}
+                rx={4}
+                fill={visited ? "#2ecc71" : listed ? "#f39c12" : "#fff"}
+                fillOpacity={visited ? Math.min(1, 0.35 + visited * 0.2) : listed ? 0.5 : 1}
+                stroke={visited || listed ? "none" : "#e0dbd4"}
+                strokeDasharray={visited || listed ? undefined : "3 2"}
+              >
+                <title>{`${c} in ${n}: ${visited} visited, ${listed} on the list`}</title>
+              </rect>
+            );
+          })}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function StatsView({ restaurants }) {
+  const top = topRatedByCategory(restaurants);
+  const grid = explorationGrid(restaurants);
+  const unexplored = Object.values(grid).flatMap((row) => Object.values(row)).filter((c) => !c.visited && !c.listed).length;
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))", gap: 16 }}>
+        <ChartCard title="Scores by cuisine">
+          <ScoreMatrix rows={categoryAveragesBy(restaurants, "cuisine")} />
+        </ChartCard>
+        <ChartCard title="Scores by neighborhood">
+          <ScoreMatrix rows={categoryAveragesBy(restaurants, "neighborhood")} />
+        </ChartCard>
+        <ChartCard title="Rating distribution">
+          <Histogram bins={ratingHistogram(restaurants)} />
+        </ChartCard>
+        <ChartCard title="Top rated per category">
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+            {allCategories().map((cat) => (
+              <div key={cat}>
+                <div style={{ fontSize: 12, fontWeight: 700, color: "#444" }}>{categoryLabel(cat)}</div>
+                {top[cat].length === 0 && <div style={{ fontSize: 12, color: "#aaa" }}>—</div>}
+                {top[cat].map(({ r, score }) => (
+                  <div key={r.id} style={{ fontSize: 12, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                    <span style={{ color: "#e8a020", fontWeight: 700 }}>★ {score.toFixed(1)}</span> {r.name}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </ChartCard>
+      </div>
+      <ChartCard title="Backlog over time">
+        <GrowthChart series={backlogGrowth(restaurants)} />
+      </ChartCard>
+      <ChartCard title={`Unexplored combinations · ${unexplored} neighborhood/cuisine pairs with nothing yet`}>
+        <ExplorationGrid grid={grid} />
+      </ChartCard>
+    </div>
+  );
+}
+
+// Facet chips, rating thresholds and sort order
+function FilterPanel({ filters, onChange, neighborhoodCounts, cuisineCounts, nearMe }) {
+  const toggle = (key, value) =>
+    onChange({
+      [key]: filters[key].includes(value)
+        ? filters[key].filter((v) => v !== value)
+        : [...filters[key], value],
+    });
+
+  const chips = (key, values, counts) => (
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+      {values.map((v) => {
+        const active = filters[key].includes(v);
+        const count = counts[v] || 0;
+        return (
+          <button
+            key={v}
+            onClick={() => toggle(key, v)}
+            style={{
+              padding: "4px 10px", borderRadius: 999, border: "1.5px solid",
+              borderColor: active ? "#1a1a1a" : "#e0dbd4",
+              background: active ? "#1a1a1a" : "#fff",
+              color: active ? "#fff" : count ? "#444" : "#bbb",
+              fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: "inherit",
+            }}
+          >
+            {v} <span style={{ opacity: 0.6 }}>{count}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  const lbl = { fontSize: 11, fontWeight: 700, color: "#888", letterSpacing: "0.05em", textTransform: "uppercase" };
+  const select = {
+    padding: "4px 8px", borderRadius: 8, border: "1.5px solid #e0dbd4",
+    background: "#fff", fontSize: 12, fontFamily: "inherit",
+  };
+  const pill = (active) => ({
+    padding: "4px 10px", borderRadius: 999, border: "1.5px solid",
+    borderColor: active ? "#1a1a1a" : "#e0dbd4",
+    background: active ? "#1a1a1a" : "#fff",
+    color: active ? "#fff" : "#444",
+    fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: "inherit",
+  });
+  const openAt = !!filters.open && filters.open !== "now";
+
+  return (
+    <div
+      style={{
+        width: "100%",
+        background: "#fff",
+        borderRadius: 12,
+        border: "1px solid #ede9e3",
+        padding: "14px 16px",
+        display: "flex",
+        flexDirection: "column",
+        gap: 14,
+      }}
+    >
+      <div>
+        <div style={lbl}>Neighborhood</div>
+        {chips("neighborhoods", NEIGHBORHOODS, neighborhoodCounts)}
+      </div>
+      <div>
+        <div style={lbl}>Cuisine</div>
+        {chips("cuisines", CUISINES, cuisineCounts)}
+      </div>
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", alignItems: "flex-start" }}>
+        <div style={{ flex: 1, minWidth: 200 }}>
+          <div style={lbl}>Minimum rating: {filters.minRating > 0 ? `★ ${filters.minRating}` : "any"}</div>
+          <input
+            type="range"
+            min={0}
+            max={5}
+            step={0.5}
+            value={filters.minRating}
+            onChange={(e) => onChange({ minRating: Number(e.target.value) })}
+            style={{ width: "100%", accentColor: "#e8a020" }}
+          />
+        </div>
+        <div>
+          <div style={lbl}>Per category</div>
+          <div style={{ display: "flex", gap: 8, marginTop: 6, flexWrap: "wrap" }}>
+            {allCategories().map((cat) => (
+              <label key={cat} style={{ fontSize: 12, color: "#666", display: "flex", alignItems: "center", gap: 4 }}>
+                {categoryLabel(cat)}
+                <select
+                  style={select}
+                  value={filters.categoryMins[cat] || 0}
+                  onChange={(e) => onChange({ categoryMins: { ...filters.categoryMins, [cat]: Number(e.target.value) } })}
+                >
+                  <option value={0}>any</option>
+                  {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>≥ {n}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div>
+        <div style={lbl}>Opening hours</div>
+        <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap", alignItems: "center" }}>
+          {[["", "Any time"], ["now", "Open now"]].map(([v, label]) => (
+            <button key={v} onClick={() => onChange({ open: v })} style={pill(filters.open === v)}>{label}</button>
+          ))}
+          <button
+            onClick={() => !openAt && onChange({ open: `${stockholmTime().date}T19:00` })}
+            style={pill(openAt)}
+          >
+            Open at…
+          </button>
+          {openAt && (
+            <input
+              type="datetime-local"
+              style={select}
+              value={filters.open}
+              onChange={(e) => e.target.value && onChange({ open: e.target.value })}
+            />
+          )}
+          {filters.open && (
+            <span style={{ fontSize: 12, color: "#999" }}>Stockholm time · places without hours are hidden</span>
+          )}
+        </div>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+        <label style={{ fontSize: 12, color: "#666", display: "flex", alignItems: "center", gap: 6 }}>
+          Sort by
+          <select
+            style={select}
+            value={filters.sort}
+            disabled={nearMe}
+            onChange={(e) => onChange({ sort: e.target.value })}
+          >
+            {SORTS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+          </select>
+          {nearMe && <span style={{ color: "#3b82f6" }}>distance while Near me is on</span>}
+        </label>
+        <button
+          onClick={() => onChange({
+            neighborhoods: DEFAULT_FILTERS.neighborhoods,
+            cuisines: DEFAULT_FILTERS.cuisines,
+            minRating: DEFAULT_FILTERS.minRating,
+            categoryMins: DEFAULT_FILTERS.categoryMins,
+            sort: DEFAULT_FILTERS.sort,
+            open: DEFAULT_FILTERS.open,
+          })}
+          style={{
+            border: "none", background: "none", color: "#999", fontSize: 12,
+            textDecoration: "underline", cursor: "pointer", fontFamily: "inherit", padding: 0,
+          }}
+        >
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Sign-in screen
+function SignIn() {
+  const [email, setEmail] = useState("");
+  const [status, setStatus] = useState(null); // null | "sending" | "sent" | "error"
+
+  const sendLink = async () => {
+    if (!email.trim()) return;
+    setStatus("sending");
+    const { error } = await signInWithEmail(email.trim());
+    setStatus(error ? "error" : "sent");
+  };
+
+  const btn = {
+    width: "100%", padding: "10px 0", borderRadius: 10, fontWeight: 700,
+    fontSize: 14, cursor: "pointer", fontFamily: "inherit",
+  };
+
+  return (
+    <div style={{
+      minHeight: "100vh", background: "#f7f4f0", fontFamily: "'DM Sans', sans-serif",
+      color: "#1a1a1a", display: "flex", alignItems: "center", justifyContent: "center", padding: 16,
+    }}>
+      <div style={{
+        background: "#fff", borderRadius: 16, padding: "32px 28px", width: "100%", maxWidth: 360,
+        boxShadow: "0 8px 32px rgba(0,0,0,0.08)", textAlign: "center",
+      }}>
+        <div style={{ fontSize: 40 }}>🍽</div>
+        <div style={{ fontFamily: "'Playfair Display', serif", fontSize: 26, fontWeight: 800, marginTop: 4 }}>
+          Stockholm Eats
+        </div>
+        <div style={{ fontSize: 13, color: "#999", marginTop: 4, marginBottom: 20 }}>
+          Sign in to see and rate the group's list.
+        </div>
+        {status === "sent" ? (
+          <div style={{ fontSize: 14, color: "#2a7a4b", fontWeight: 600 }}>
+            📬 Check {email} for your sign-in link.
+          </div>
+        ) : (
+          <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && sendLink()}
+              placeholder="you@example.com"
+              style={{
+                padding: "10px 12px", borderRadius: 10, border: "1.5px solid #e0dbd4",
+                fontSize: 14, fontFamily: "inherit", outline: "none", background: "#faf8f5",
+              }}
+            />
+            <button
+              onClick={sendLink}
+              disabled={status === "sending"}
+              style={{ ...btn, border: "none", background: "#1a1a1a", color: "#fff" }}
+            >
+              {status === "sending" ? "Sending…" : "✉️ Email me a magic link"}
+            </button>
+            {status === "error" && (
+              <div style={{ fontSize: 12, color: "#c0392b" }}>Couldn't send the link — try again</div>
+            )}
+            <div style={{ fontSize: 12, color: "#bbb", margin: "4px 0" }}>or</div>
+            <button
+              onClick={() => signInWithProvider("google")}
+              style={{ ...btn, border: "1.5px solid #e0dbd4", background: "#fff", color: "#1a1a1a" }}
+            >
+              Continue with Google
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // Main app
 export default function App() {
-  const [restaurants, setRestaurants] = useState([]);
-  const [tab, setTab] = useState("list");
-  const [filter, setFilter] = useState("all");
-  const [search, setSearch] = useState("");
-  const [showForm, setShowForm] = useState(false);
-  const [editingR, setEditingR] = useState(null);
+  const [session, setSession] = useState(undefined); // undefined while restoring
+
+  useEffect(() => subscribeSession(setSession), []);
+
+  // Shared lists are public: no sign-in needed
+  const listToken = sharedListToken(window.location.search);
+  if (listToken) return <SharedList token={listToken} />;
+  if (session === undefined) return null;
+  if (!session) return <SignIn />;
+  return <Eats key={session.user.id} user={session.user} />;
+}
+
+function Eats({ user }) {
+  const userName = displayName(user);
+  // Every readable row, trashed ones included; the rest of the app sees `restaurants`
+  const [allRestaurants, setRestaurants] = useState([]);
+  const restaurants = allRestaurants.filter((r) => !isTrashed(r));
+  const trash = trashOf(allRestaurants);
+  // Tab, filters, selected restaurant and open modal all live in the URL
+  const [route, setRoute] = useState(() => parseRoute(window.location.search));
+  const { tab, filters, selected } = route;
+  const [showFilters, setShowFilters] = useState(false);
+  const [shadeNeighborhoods, setShadeNeighborhoods] = useState(false);
+  const [nearMe, setNearMe] = useState(false);
+  const [here, setHere] = useState(null); // { lat, lng, accuracy } while nearMe is on
+  const [radius, setRadius] = useState(1000); // meters
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-  const [toast, setToast] = useState(null);
+  const [toast, setToast] = useState(null); // text, or { text, action: { label, onClick } }
   const [syncStatus, setSyncStatus] = useState("connecting"); // connecting | live | error
+  const [pending, setPending] = useState({}); // { [restaurantId]: queued write count }
+  const [conflicts, setConflicts] = useState([]); // [{ mine, theirs, base }]
+  const [lists, setLists] = useState([]); // curated lists, newest change first
+  const [quarantined, setQuarantined] = useState([]); // [{ id, data, problems }] rows that failed validation
+  const [now, setNow] = useState(() => Date.now()); // for opening hours, ticks every minute
+  // Shared scoring setup; the copy from last time until the server answers
+  const [settings, setSettings] = useState(() => {
+    const cached = cachedScoring();
+    setScoringSettings(cached);
+    return cached;
+  });
+
+  // The scoring module reads the settings outside React, so it's updated before the re-render
+  const applySettings = (next) => {
+    const scoring = readScoring(next);
+    setScoringSettings(scoring);
+    setSettings(scoring);
+    localStorage.setItem(SCORING_KEY, JSON.stringify(scoring));
+  };
 
   // Load fonts
   useEffect(() => {
@@ -662,11 +3615,106 @@ export default function App() {
     }
   }, []);
 
-  // Initial load
+  // Moves base64 photos from older rows into storage, one restaurant at a time
+  const migratePhotos = async (list, userId) => {
+    for (const r of list.filter((x) => hasInlinePhotos(x, userId))) {
+      if (hasPending(r.id)) continue;
+      try {
+        const { restaurant: migrated } = await storeRestaurant(await migrateInlinePhotos(r, userId));
+        setRestaurants((prev) => prev.map((x) => x.id === r.id ? migrated : x));
+      } catch {
+        // Offline or already migrated by someone else; try again next load
+      }
+    }
+  };
+
+  // Rows upgraded to the current schema on load go back to the server, one at a
+  // time; resolves with the list as it stands afterwards
+  const saveMigrated = async (list, migrated) => {
+    const saved = {};
+    for (const r of migrated) {
+      if (hasPending(r.id)) continue;
+      try {
+        const { restaurant: upgraded } = await storeRestaurant({ ...r, revision: (r.revision || 0) + 1 });
+        saved[r.id] = upgraded;
+        setRestaurants((prev) => prev.map((x) => x.id === r.id ? upgraded : x));
+      } catch {
+        // Offline, or someone else saved it first; it's upgraded again on the next load
+      }
+    }
+    return list.map((r) => saved[r.id] || r);
+  };
+
+  // Initial load: cached copy first, then the server
+  useEffect(() => {
+    let cancelled = false;
+    loadCachedRestaurants().then((cached) => {
+      if (cancelled || cached.length === 0) return;
+      setRestaurants((prev) => prev.length ? prev : cached);
+      setLoading(false);
+    });
+    syncRestaurants()
+      .then(async ({ restaurants: data, migrated, quarantined: bad }) => {
+        if (cancelled) return;
+        setRestaurants(data);
+        setQuarantined(bad);
+        setLoading(false);
+        migratePhotos(await saveMigrated(data, migrated), user.id);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setLoading(false);
+        setToast("⚠️ Offline — showing saved copy");
+      });
+    fetchLists()
+      .then((data) => !cancelled && setLists(data))
+      .catch(() => {});
+    fetchSettings()
+      .then((data) => !cancelled && data && applySettings(data))
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [user.id]);
+
+  // Near me: follow the device position while the mode is on
+  useEffect(() => {
+    if (!nearMe) return;
+    const watchId = navigator.geolocation.watchPosition(
+      (pos) => setHere({ lat: pos.coords.latitude, lng: pos.coords.longitude, accuracy: pos.coords.accuracy }),
+      () => {
+        setNearMe(false);
+        setHere(null);
+        setToast("⚠️ Couldn't get your location");
+      },
+      { enableHighAccuracy: true, maximumAge: 30000, timeout: 20000 }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [nearMe]);
+
+  const toggleNearMe = () => {
+    if (nearMe) {
+      setNearMe(false);
+      setHere(null);
+    } else if (!navigator.geolocation) {
+      setToast("⚠️ Location isn't available in this browser");
+    } else {
+      setNearMe(true);
+    }
+  };
+
+  // Pending offline writes, and how replaying them went
+  useEffect(() => subscribePending(setPending), []);
+  useEffect(() => watchQueue(({ synced, failed, conflicts: found }) => {
+    if (found.length) {
+      setConflicts((prev) => [...prev, ...found.map((c) => ({ ...c, base: null }))]);
+      setRestaurants((prev) => prev.map((r) => found.find((c) => c.theirs.id === r.id)?.theirs || r));
+      setToast(`⚠️ ${found.length} offline edit${found.length === 1 ? "" : "s"} clashed with newer changes`);
+    } else if (failed) setToast(`⚠️ ${failed} offline change${failed === 1 ? "" : "s"} could not be saved`);
+    else if (synced) setToast(`🔄 Synced ${synced} offline change${synced === 1 ? "" : "s"}`);
+  }), []);
+
   useEffect(() => {
-    fetchAll()
-      .then((data) => { setRestaurants(data); setLoading(false); })
-      .catch(() => { setLoading(false); setToast("⚠️ Failed to load — check your connection"); });
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
   }, []);
 
   // Real-time subscription
@@ -675,76 +3723,371 @@ export default function App() {
       .channel("restaurants-realtime")
       .on(
         "postgres_changes",
-        { event: "*", schema: "public", table: "restaurants" },
+        { event: "*", schema: "public", table: "restaurants" },
+        (payload) => {
+          const id = payload.eventType === "DELETE" ? payload.old.id : payload.new.id;
+          // Our own queued edit is newer than whatever the server just sent
+          if (hasPending(id)) return;
+          cacheRemoteChange(payload);
+          setQuarantined((prev) => prev.some((q) => q.id === id) ? prev.filter((q) => q.id !== id) : prev);
+          if (payload.eventType === "INSERT" || payload.eventType === "UPDATE") {
+            const { restaurant, quarantined: bad } = readRow(payload.new);
+            if (bad) {
+              setQuarantined((prev) => [...prev, bad]);
+              setRestaurants((prev) => prev.filter((r) => r.id !== id));
+              return;
+            }
+            setRestaurants((prev) => {
+              const exists = prev.find((r) => r.id === id);
+              if (exists) return prev.map((r) => r.id === id ? restaurant : r);
+              return [restaurant, ...prev];
+            });
+          }
+          if (payload.eventType === "DELETE") {
+            setRestaurants((prev) => prev.filter((r) => r.id !== payload.old.id));
+          }
+        }
+      )
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "lists" },
+        (payload) => {
+          if (payload.eventType === "DELETE") {
+            setLists((prev) => prev.filter((l) => l.id !== payload.old.id));
+            return;
+          }
+          const list = payload.new.data;
+          setLists((prev) => [list, ...prev.filter((l) => l.id !== list.id)]);
+        }
+      )
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "settings" },
         (payload) => {
-          if (payload.eventType === "INSERT" || payload.eventType === "UPDATE") {
-            setRestaurants((prev) => {
-              const exists = prev.find((r) => r.id === payload.new.data.id);
-              if (exists) return prev.map((r) => r.id === payload.new.data.id ? payload.new.data : r);
-              return [payload.new.data, ...prev];
-            });
-          }
-          if (payload.eventType === "DELETE") {
-            setRestaurants((prev) => prev.filter((r) => r.id !== payload.old.id));
-          }
+          if (payload.eventType !== "DELETE" && payload.new.id === "group") applySettings(payload.new.data);
         }
       )
       .subscribe((status) => {
-        if (status === "SUBSCRIBED") setSyncStatus("live");
+        if (status === "SUBSCRIBED") {
+          setSyncStatus("live");
+          replayQueue();
+        }
         if (status === "CLOSED" || status === "CHANNEL_ERROR") setSyncStatus("error");
       });
 
     return () => supabase.removeChannel(channel);
   }, []);
 
-  const saveRestaurant = async (form) => {
+  // Filter tweaks replace the current history entry; everything else pushes one
+  const navigate = (patch, { replace = false } = {}) => {
+    const next = { ...route, ...patch };
+    const state = { modal: !!next.modal };
+    if (replace) window.history.replaceState(state, "", routeSearch(next));
+    else window.history.pushState(state, "", routeSearch(next));
+    setRoute(next);
+  };
+
+  useEffect(() => {
+    const onPop = () => setRoute(parseRoute(window.location.search));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const openForm = (r) => navigate({ modal: r ? { type: "edit", id: r.id } : { type: "add" } });
+  const selectRestaurant = (id) => navigate({ selected: id });
+
+  // A modal we pushed closes by going back, so Back and the × agree
+  const closeForm = () => {
+    if (!route.modal) return;
+    if (window.history.state?.modal) window.history.back();
+    else navigate({ modal: null }, { replace: true });
+  };
+  const editingR = route.modal?.type === "edit"
+    ? restaurants.find((r) => r.id === route.modal.id) || null
+    : null;
+
+  const persist = async (restaurant, base) => {
     setSaving(true);
     try {
-      const restaurant = editingR
-        ? { ...form, id: editingR.id }
-        : { ...form, id: Date.now().toString() };
-      await upsertRestaurant(restaurant);
+      const { queued, restaurant: stored } = await storeRestaurant(restaurant);
       setRestaurants((prev) =>
-        editingR
-          ? prev.map((r) => r.id === editingR.id ? restaurant : r)
-          : [restaurant, ...prev]
+        prev.some((r) => r.id === stored.id)
+          ? prev.map((r) => r.id === stored.id ? stored : r)
+          : [stored, ...prev]
       );
-      setToast(editingR ? "✅ Updated!" : "✅ Restaurant added!");
-      setShowForm(false);
-      setEditingR(null);
-    } catch {
-      setToast("⚠️ Failed to save — try again");
+      if (queued) setToast("💾 Saved offline — will sync when back online");
+      else setToast(base ? "✅ Updated!" : "✅ Restaurant added!");
+      setConflicts((prev) => prev.filter((c) => c.mine.id !== restaurant.id));
+      closeForm();
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        setRestaurants((prev) => prev.map((r) => r.id === restaurant.id ? err.remote : r));
+        setConflicts((prev) => [
+          { mine: restaurant, theirs: err.remote, base },
+          ...prev.filter((c) => c.mine.id !== restaurant.id),
+        ]);
+      } else if (err instanceof PermissionError) {
+        setToast(`🔒 ${err.message}`);
+      } else if (err instanceof InvalidRecordError) {
+        setToast(`⚠️ Not saved: ${err.problems[0]}`);
+      } else {
+        setToast("⚠️ Failed to save — try again");
+      }
     } finally {
       setSaving(false);
     }
   };
 
-  const deleteR = async (id) => {
-    if (!window.confirm("Remove this restaurant?")) return;
+  // base: the restaurant as it was when the form opened
+  const saveRestaurant = (form, review, base) =>
+    persist(withReview({
+      ...form,
+      id: base ? base.id : Date.now().toString(),
+      revision: (base?.revision || 0) + 1,
+      ...(base ? {} : { addedBy: { id: user.id, name: userName } }),
+    }, user, userName, review), base);
+
+  const conflict = conflicts[0];
+  const resolveConflict = (merged) => persist(merged, conflict.theirs);
+  const discardConflict = () => {
+    setConflicts((prev) => prev.slice(1));
+    closeForm();
+  };
+
+  const importDone = (saved, found, failed) => {
+    const ids = new Set(saved.map((r) => r.id));
+    setRestaurants((prev) => [
+      ...saved.filter((r) => !prev.some((x) => x.id === r.id)),
+      ...prev.map((r) => ids.has(r.id) ? saved.find((x) => x.id === r.id) : r),
+    ]);
+    if (found.length) {
+      setConflicts((prev) => [...prev, ...found]);
+      setRestaurants((prev) => prev.map((r) => found.find((c) => c.theirs.id === r.id)?.theirs || r));
+    }
+    setToast(`📥 Imported ${saved.length}` +
+      (found.length ? ` · ${found.length} to resolve` : "") +
+      (failed ? ` · ${failed} failed` : ""));
+  };
+
+  const canDelete = (r) => !r.addedBy || r.addedBy.id === user.id;
+
+  // Online only: the merge runs on the server and can't wait in the offline queue
+  const mergeDuplicatePair = async (keep, duplicate) => {
+    if (!navigator.onLine) {
+      setToast("📡 Merging needs a connection");
+      return;
+    }
+    setSaving(true);
+    try {
+      const kept = await mergeDuplicate(keep.id, duplicate.id, mergeDuplicates(keep, duplicate, user, userName));
+      setRestaurants((prev) => prev.filter((r) => r.id !== duplicate.id).map((r) => r.id === keep.id ? kept : r));
+      setToast(`🧹 Merged into ${keep.name}`);
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        setRestaurants((prev) => prev.map((r) => r.id === keep.id ? err.remote : r));
+        setToast(`⚠️ ${keep.name} just changed — check it and merge again`);
+      } else if (err instanceof PermissionError) {
+        setToast("🔒 Only the person who added it can remove it");
+      } else {
+        setToast("⚠️ Merge failed — try again");
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Quarantined rows are fixed or deleted straight on the server, never queued
+  const saveQuarantined = async (row, fixed) => {
+    if (!navigator.onLine) {
+      setToast("📡 Fixing rows needs a connection");
+      return;
+    }
+    setSaving(true);
+    try {
+      const restaurant = writableRestaurant({ ...fixed, id: row.id, revision: (Number(row.data?.revision) || 0) + 1 });
+      await upsertRestaurant(restaurant);
+      setQuarantined((prev) => prev.filter((q) => q.id !== row.id));
+      setRestaurants((prev) => [restaurant, ...prev.filter((r) => r.id !== row.id)]);
+      setToast(`✅ ${restaurant.name} is back`);
+    } catch (err) {
+      if (err instanceof ConflictError) setToast("⚠️ This row changed meanwhile — reload and try again");
+      else if (err instanceof InvalidRecordError) setToast(`⚠️ Still not valid: ${err.problems[0]}`);
+      else setToast("⚠️ Save failed — try again");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteQuarantined = async (row) => {
+    if (!window.confirm("Delete this row for good?")) return;
     try {
-      await deleteRestaurant(id);
-      setRestaurants((prev) => prev.filter((r) => r.id !== id));
+      await deleteRestaurant(row.id);
+      setQuarantined((prev) => prev.filter((q) => q.id !== row.id));
       setToast("🗑️ Removed");
+    } catch (err) {
+      setToast(err instanceof PermissionError
+        ? "🔒 Only the person who added it can remove it"
+        : "⚠️ Failed to delete — try again");
+    }
+  };
+
+  const shareRestaurant = async (r) => {
+    selectRestaurant(r.id);
+    try {
+      await navigator.clipboard.writeText(restaurantUrl(r.id));
+      setToast("🔗 Link copied");
     } catch {
-      setToast("⚠️ Failed to delete — try again");
+      setToast(`🔗 ${restaurantUrl(r.id)}`);
     }
   };
 
-  const filtered = restaurants.filter((r) => {
-    const matchFilter =
-      filter === "all" ||
-      (filter === "visited" && r.visited) ||
-      (filter === "wantToTry" && !r.visited);
-    const q = search.toLowerCase();
-    const matchSearch =
-      !search ||
-      r.name.toLowerCase().includes(q) ||
-      r.neighborhood.toLowerCase().includes(q) ||
-      r.cuisine.toLowerCase().includes(q);
-    return matchFilter && matchSearch;
-  });
+  const shareVote = async (code) => {
+    try {
+      await navigator.clipboard.writeText(voteUrl(code));
+      setToast("🔗 Vote link copied");
+    } catch {
+      setToast(`🔗 ${voteUrl(code)}`);
+    }
+  };
+
+  // Trashing and restoring are ordinary edits, so they queue offline like any other
+  const storeTrashChange = async (next) => {
+    const { queued, restaurant: stored } = await storeRestaurant(next);
+    setRestaurants((prev) => prev.map((r) => r.id === stored.id ? stored : r));
+    return queued;
+  };
+
+  const trashFailed = (err, r) => {
+    if (err instanceof ConflictError) {
+      setRestaurants((prev) => prev.map((x) => x.id === r.id ? err.remote : x));
+      setToast(`⚠️ ${r.name} just changed — try again`);
+    } else if (err instanceof PermissionError) {
+      setToast("🔒 Only the person who added it can remove it");
+    } else {
+      setToast("⚠️ Failed to save — try again");
+    }
+  };
+
+  const deleteR = async (id) => {
+    const r = restaurants.find((x) => x.id === id);
+    if (!r) return;
+    const deleted = trashed(r, user, userName);
+    try {
+      const queued = await storeTrashChange(deleted);
+      setToast({
+        text: queued ? "🗑️ Moved to trash offline — will sync when back online" : `🗑️ ${r.name} moved to trash`,
+        action: { label: "Undo", onClick: () => restoreR(deleted) },
+      });
+    } catch (err) {
+      trashFailed(err, r);
+    }
+  };
+
+  const restoreR = async (r) => {
+    try {
+      const queued = await storeTrashChange(restored(r));
+      setToast(queued ? "↩️ Restored offline — will sync when back online" : `↩️ ${r.name} is back`);
+    } catch (err) {
+      trashFailed(err, r);
+    }
+  };
+
+  // Putting an older version back is a new revision on top, so it can be undone the same way
+  const revertR = async (r, rev) => {
+    const when = new Date(rev.at).toLocaleString();
+    if (!window.confirm(`Restore ${r.name} to the version ${rev.author.name} saved on ${when}?`)) return;
+    const next = revertTo(r, rev.data, user.id);
+    try {
+      const { queued, restaurant: stored } = await storeRestaurant(next);
+      setRestaurants((prev) => prev.map((x) => x.id === r.id ? stored : x));
+      setToast(queued ? "💾 Restored offline — will sync when back online" : `🕓 Restored the version from ${when}`);
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        setRestaurants((prev) => prev.map((x) => x.id === r.id ? err.remote : x));
+        setToast(`⚠️ ${r.name} just changed — check it and try again`);
+      } else if (err instanceof PermissionError) {
+        setToast(`🔒 ${err.message}`);
+      } else {
+        setToast("⚠️ Failed to save — try again");
+      }
+    }
+  };
+
+  const purgeR = async (r) => {
+    if (!window.confirm(`Delete ${r.name} for good? This can't be undone.`)) return;
+    try {
+      const { queued } = await removeRestaurant(r.id);
+      setRestaurants((prev) => prev.filter((x) => x.id !== r.id));
+      setToast(queued ? "🗑️ Deleted offline — will sync when back online" : "🗑️ Deleted for good");
+    } catch (err) {
+      setToast(err instanceof PermissionError
+        ? "🔒 Only the person who added it can delete it"
+        : "⚠️ Failed to delete — try again");
+    }
+  };
+
+  // Lists are small and shared; last write wins, no offline queue
+  const saveList = async (list) => {
+    const previous = lists;
+    setLists((prev) => [list, ...prev.filter((l) => l.id !== list.id)]);
+    try {
+      await upsertList(list);
+      return true;
+    } catch {
+      setLists(previous);
+      setToast("⚠️ Couldn't save the list — try again");
+      return false;
+    }
+  };
+
+  const toggleInList = (list, id) => saveList(toggleEntry(list, id));
+
+  const removeList = async (list) => {
+    if (!window.confirm(`Delete the list "${list.name}"? The restaurants stay.`)) return false;
+    try {
+      await deleteList(list.id);
+      setLists((prev) => prev.filter((l) => l.id !== list.id));
+      if (filters.list === list.id) updateFilters({ list: "" });
+      setToast("🗑️ List deleted");
+      return true;
+    } catch (err) {
+      setToast(err instanceof PermissionError ? "🔒 Only the person who made it can delete it" : "⚠️ Failed to delete — try again");
+      return false;
+    }
+  };
+
+  const saveScoring = async (next) => {
+    const previous = settings;
+    applySettings(next);
+    try {
+      await saveSettings(next);
+      setToast("⚖️ Scoring saved");
+      navigate({ modal: null }, { replace: true });
+    } catch {
+      applySettings(previous);
+      setToast("⚠️ Couldn't save the scoring — try again");
+    }
+  };
+
+  const shareList = async (list) => {
+    const url = listUrl(list.shareToken);
+    try {
+      await navigator.clipboard.writeText(url);
+      setToast("🔗 Public link copied");
+    } catch {
+      setToast(`🔗 ${url}`);
+    }
+  };
+
+  const updateFilters = (patch) => navigate({ filters: { ...filters, ...patch } }, { replace: true });
+  const near = here ? { here, radius } : null;
+  const filtered = applyFilters(restaurants, filters, near, lists, now);
+  const distances = here
+    ? Object.fromEntries(filtered.map((r) => [r.id, haversine(here, r)]))
+    : null;
 
   const visitedCount = restaurants.filter((r) => r.visited).length;
+  const pendingCount = Object.values(pending).reduce((a, b) => a + b, 0);
   const wantCount = restaurants.filter((r) => !r.visited).length;
 
   return (
@@ -757,7 +4100,8 @@ export default function App() {
       }}
     >
       <style>
-        {`@keyframes fadeInUp { from { opacity:0; transform:translateX(-50%) translateY(8px); } to { opacity:1; transform:translateX(-50%) translateY(0); } }`}
+        {`@keyframes fadeInUp { from { opacity:0; transform:translateX(-50%) translateY(8px); } to { opacity:1; transform:translateX(-50%) translateY(0); } }
+@keyframes revealPop { from { opacity:0; transform:scale(0.8); } to { opacity:1; transform:scale(1); } }`}
       </style>
 
       {/* Header */}
@@ -809,6 +4153,23 @@ export default function App() {
                 <span>·</span>
                 <span style={{ fontSize: 13 }}>Discover the best restaurants in Stockholm.</span>
                 <span style={{ fontSize: 14 }}>🇸🇪</span>
+                <span>·</span>
+                <span>{userName}</span>
+                <button
+                  onClick={signOut}
+                  style={{
+                    border: "none",
+                    background: "none",
+                    padding: 0,
+                    color: "#999",
+                    fontSize: 12,
+                    textDecoration: "underline",
+                    cursor: "pointer",
+                    fontFamily: "inherit",
+                  }}
+                >
+                  Sign out
+                </button>
                 <span
                   style={{
                     display: "inline-flex",
@@ -841,6 +4202,19 @@ export default function App() {
                     : syncStatus === "error"
                     ? "Offline"
                     : "Connecting…"}
+                  {pendingCount > 0 && (
+                    <span
+                      style={{
+                        marginLeft: 2,
+                        padding: "1px 6px",
+                        borderRadius: 999,
+                        background: "#fff3e0",
+                        color: "#b07020",
+                      }}
+                    >
+                      {pendingCount} pending
+                    </span>
+                  )}
                 </span>
               </div>
             </div>
@@ -851,10 +4225,11 @@ export default function App() {
               {[
                 ["list", "📋 List"],
                 ["map", "🗺 Map"],
+                ["stats", "📊 Stats"],
               ].map(([t, label]) => (
                 <button
                   key={t}
-                  onClick={() => setTab(t)}
+                  onClick={() => navigate({ tab: t })}
                   style={{
                     padding: "8px 14px",
                     borderRadius: 999,
@@ -871,10 +4246,142 @@ export default function App() {
                 </button>
               ))}
             </div>
+            <button
+              onClick={() => navigate({ modal: { type: "vote" } })}
+              title="Vote with the group"
+              style={{
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: "1px solid #ede9e3",
+                background: "#fff",
+                color: "#666",
+                fontSize: 13,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              🗳
+            </button>
+            {quarantined.length > 0 && (
+              <button
+                onClick={() => navigate({ modal: { type: "quarantine" } })}
+                title="Rows that couldn't be read"
+                style={{
+                  padding: "8px 12px",
+                  borderRadius: 10,
+                  border: "1px solid #f5c6c6",
+                  background: "#fff5f5",
+                  color: "#c0392b",
+                  fontSize: 13,
+                  fontWeight: 700,
+                  cursor: "pointer",
+                  fontFamily: "inherit",
+                }}
+              >
+                ⚠️ {quarantined.length}
+              </button>
+            )}
+            {trash.length > 0 && (
+              <button
+                onClick={() => navigate({ modal: { type: "trash" } })}
+                title="Trash"
+                style={{
+                  padding: "8px 12px",
+                  borderRadius: 10,
+                  border: "1px solid #ede9e3",
+                  background: "#fff",
+                  color: "#666",
+                  fontSize: 13,
+                  cursor: "pointer",
+                  fontFamily: "inherit",
+                }}
+              >
+                🗑️ {trash.length}
+              </button>
+            )}
+            <button
+              onClick={() => navigate({ modal: { type: "scoring" } })}
+              title="Scoring"
+              style={{
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: "1px solid #ede9e3",
+                background: "#fff",
+                color: "#666",
+                fontSize: 13,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              ⚖️
+            </button>
+            <button
+              onClick={() => navigate({ modal: { type: "lists" } })}
+              title="Lists"
+              style={{
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: "1px solid #ede9e3",
+                background: "#fff",
+                color: "#666",
+                fontSize: 13,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              📑
+            </button>
+            <button
+              onClick={() => navigate({ modal: { type: "picker" } })}
+              title="Where should we eat tonight?"
+              style={{
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: "1px solid #ede9e3",
+                background: "#fff",
+                color: "#666",
+                fontSize: 13,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              🎲
+            </button>
+            <button
+              onClick={() => navigate({ modal: { type: "transfer" } })}
+              title="Import / export"
+              style={{
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: "1px solid #ede9e3",
+                background: "#fff",
+                color: "#666",
+                fontSize: 13,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              ⇅
+            </button>
+            <button
+              onClick={() => navigate({ modal: { type: "duplicates" } })}
+              title="Find duplicates"
+              style={{
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: "1px solid #ede9e3",
+                background: "#fff",
+                color: "#666",
+                fontSize: 13,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              🧹
+            </button>
             <button
               onClick={() => {
-                setEditingR(null);
-                setShowForm(true);
+                openForm(null);
               }}
               style={{
                 background: "#1a1a1a",
@@ -899,9 +4406,9 @@ export default function App() {
         {/* Filters */}
         <div style={{ display: "flex", gap: 10, marginBottom: 20, flexWrap: "wrap" }}>
           <input
-            value={search}
-            onChange={(e) => setSearch(e.target.value)}
-            placeholder="Search restaurants, neighborhoods, cuisines…"
+            value={filters.search}
+            onChange={(e) => updateFilters({ search: e.target.value })}
+            placeholder="Search names, tags, dishes, notes…"
             style={{
               flex: 1,
               minWidth: 200,
@@ -922,14 +4429,14 @@ export default function App() {
             ].map(([f, label]) => (
               <button
                 key={f}
-                onClick={() => setFilter(f)}
+                onClick={() => updateFilters({ status: f })}
                 style={{
                   padding: "8px 14px",
                   borderRadius: 10,
                   border: "1.5px solid",
-                  borderColor: filter === f ? "#1a1a1a" : "#e0dbd4",
-                  background: filter === f ? "#1a1a1a" : "#fff",
-                  color: filter === f ? "#fff" : "#666",
+                  borderColor: filters.status === f ? "#1a1a1a" : "#e0dbd4",
+                  background: filters.status === f ? "#1a1a1a" : "#fff",
+                  color: filters.status === f ? "#fff" : "#666",
                   fontWeight: 600,
                   fontSize: 13,
                   cursor: "pointer",
@@ -940,10 +4447,100 @@ export default function App() {
               </button>
             ))}
           </div>
+          {lists.length > 0 && (
+            <select
+              value={filters.list}
+              onChange={(e) => updateFilters({ list: e.target.value })}
+              style={{
+                padding: "8px 10px",
+                borderRadius: 10,
+                border: "1.5px solid",
+                borderColor: filters.list ? "#1a1a1a" : "#e0dbd4",
+                background: "#fff",
+                color: "#666",
+                fontWeight: 600,
+                fontSize: 13,
+                fontFamily: "inherit",
+              }}
+            >
+              <option value="">📑 All lists</option>
+              {lists.map((l) => <option key={l.id} value={l.id}>{l.emoji} {l.name}</option>)}
+            </select>
+          )}
+          <button
+            onClick={toggleNearMe}
+            style={{
+              padding: "8px 14px",
+              borderRadius: 10,
+              border: "1.5px solid",
+              borderColor: nearMe ? "#3b82f6" : "#e0dbd4",
+              background: nearMe ? "#3b82f6" : "#fff",
+              color: nearMe ? "#fff" : "#666",
+              fontWeight: 600,
+              fontSize: 13,
+              cursor: "pointer",
+              fontFamily: "inherit",
+            }}
+          >
+            {nearMe && !here ? "📍 Locating…" : "📍 Near me"}
+          </button>
+          <button
+            onClick={() => setShowFilters((v) => !v)}
+            style={{
+              padding: "8px 14px",
+              borderRadius: 10,
+              border: "1.5px solid",
+              borderColor: showFilters || activeFilterCount(filters) ? "#1a1a1a" : "#e0dbd4",
+              background: showFilters ? "#1a1a1a" : "#fff",
+              color: showFilters ? "#fff" : "#666",
+              fontWeight: 600,
+              fontSize: 13,
+              cursor: "pointer",
+              fontFamily: "inherit",
+            }}
+          >
+            ⚙️ Filters{activeFilterCount(filters) > 0 && ` (${activeFilterCount(filters)})`}
+          </button>
+          {nearMe && (
+            <div
+              style={{
+                width: "100%",
+                display: "flex",
+                alignItems: "center",
+                gap: 10,
+                fontSize: 13,
+                color: "#666",
+              }}
+            >
+              <span style={{ whiteSpace: "nowrap" }}>
+                Within {formatDistance(radius)} · ~{walkingMinutes(radius)} min walk
+              </span>
+              <input
+                type="range"
+                min={250}
+                max={5000}
+                step={250}
+                value={radius}
+                onChange={(e) => setRadius(Number(e.target.value))}
+                style={{ flex: 1, accentColor: "#3b82f6" }}
+              />
+            </div>
+          )}
+          {showFilters && (
+            <FilterPanel
+              filters={filters}
+              onChange={updateFilters}
+              neighborhoodCounts={facetCounts(restaurants, filters, near, "neighborhoods", lists, now)}
+              cuisineCounts={facetCounts(restaurants, filters, near, "cuisines", lists, now)}
+              nearMe={!!here}
+            />
+          )}
         </div>
 
         {/* Body */}
-        {tab === "list" ? (
+        {tab === "stats" ? (
+          <StatsView restaurants={filtered} />
+        ) : tab === "list" ? (
           loading ? (
             <div
               style={{
@@ -976,8 +4573,7 @@ export default function App() {
               {restaurants.length === 0 && (
                 <button
                   onClick={() => {
-                    setEditingR(null);
-                    setShowForm(true);
+                    openForm(null);
                   }}
                   style={{
                     marginTop: 20,
@@ -1008,11 +4604,19 @@ export default function App() {
                 <RestaurantCard
                   key={r.id}
                   r={r}
-                  onEdit={(rr) => {
-                    setEditingR(rr);
-                    setShowForm(true);
-                  }}
+                  pending={pending[r.id] || 0}
+                  distance={distances?.[r.id]}
+                  canDelete={canDelete(r)}
+                  selected={selected === r.id}
+                  onSelect={selectRestaurant}
+                  onShare={shareRestaurant}
+                  onEdit={openForm}
                   onDelete={deleteR}
+                  lists={lists}
+                  search={filters.search}
+                  now={now}
+                  onToggleList={(l) => toggleInList(l, r.id)}
+                  onRevert={revertR}
                 />
               ))}
             </div>
@@ -1027,7 +4631,14 @@ export default function App() {
                 boxShadow: "0 4px 20px rgba(0,0,0,0.1)",
               }}
             >
-              <MapView restaurants={restaurants} filter={filter} />
+              <MapView
+                restaurants={filtered}
+                here={here}
+                radius={radius}
+                selectedId={selected}
+                onSelect={(id) => navigate({ selected: id }, { replace: !id })}
+                shading={shadeNeighborhoods}
+              />
             </div>
             <div
               style={{
@@ -1061,34 +4672,123 @@ export default function App() {
                 />{" "}
                 Want to try
               </div>
+              <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={shadeNeighborhoods}
+                  onChange={(e) => setShadeNeighborhoods(e.target.checked)}
+                />
+                Shade neighborhoods
+              </label>
             </div>
           </>
         )}
       </div>
 
-      {/* Add/Edit Modal */}
-      {showForm && (
+      {/* Merge Modal */}
+      {conflict ? (
+        <Modal title={`Resolve changes: ${conflict.theirs.name}`} onClose={discardConflict}>
+          <MergeDialog
+            key={conflict.mine.id + conflict.theirs.revision}
+            mine={conflict.mine}
+            theirs={conflict.theirs}
+            base={conflict.base}
+            userId={user.id}
+            onResolve={resolveConflict}
+            onDiscard={discardConflict}
+            saving={saving}
+          />
+        </Modal>
+      ) : route.modal?.type === "transfer" ? (
+        <Modal title="Import & export" onClose={closeForm}>
+          <TransferPanel restaurants={restaurants} user={user} userName={userName} onImported={importDone} />
+        </Modal>
+      ) : route.modal?.type === "vote" ? (
+        <Modal title="Group vote" onClose={closeForm}>
+          <VotePanel
+            code={route.modal.code}
+            restaurants={filtered}
+            user={user}
+            userName={userName}
+            onOpen={(code) => navigate({ modal: { type: "vote", code } }, { replace: true })}
+            onShare={shareVote}
+            onShowOnMap={(id) => navigate({ tab: "map", selected: id, modal: null }, { replace: true })}
+          />
+        </Modal>
+      ) : route.modal?.type === "picker" ? (
+        <Modal title="Where should we eat tonight?" onClose={closeForm}>
+          <PickerPanel
+            restaurants={restaurants}
+            here={here}
+            onShowOnMap={(id) => navigate({ tab: "map", selected: id, modal: null }, { replace: true })}
+          />
+        </Modal>
+      ) : route.modal?.type === "scoring" ? (
+        <Modal title="Scoring" onClose={closeForm}>
+          <ScoringPanel settings={settings} onSave={saveScoring} />
+        </Modal>
+      ) : route.modal?.type === "trash" ? (
+        <Modal title="Trash" onClose={closeForm}>
+          <TrashPanel trash={trash} canDelete={canDelete} onRestore={restoreR} onPurge={purgeR} />
+        </Modal>
+      ) : route.modal?.type === "quarantine" ? (
+        <Modal title="Quarantined rows" onClose={closeForm}>
+          <QuarantinePanel
+            rows={quarantined}
+            onSave={saveQuarantined}
+            onDelete={deleteQuarantined}
+            saving={saving}
+          />
+        </Modal>
+      ) : route.modal?.type === "lists" ? (
+        <Modal title="Lists" onClose={closeForm}>
+          <ListsPanel
+            lists={lists}
+            restaurants={restaurants}
+            user={user}
+            userName={userName}
+            onSave={saveList}
+            onDelete={removeList}
+            onShare={shareList}
+            onShow={(id) => navigate({ filters: { ...filters, list: id }, modal: null }, { replace: true })}
+          />
+        </Modal>
+      ) : route.modal?.type === "duplicates" ? (
+        <Modal title="Duplicates" onClose={closeForm}>
+          <DuplicatesPanel
+            restaurants={restaurants}
+            canDelete={canDelete}
+            onMerge={mergeDuplicatePair}
+            merging={saving}
+          />
+        </Modal>
+      ) : (route.modal?.type === "add" || editingR) && (
+        /* Add/Edit Modal */
         <Modal
           title={editingR ? `Edit: ${editingR.name}` : "Add a Restaurant"}
-          onClose={() => {
-            setShowForm(false);
-            setEditingR(null);
-          }}
+          onClose={closeForm}
         >
           <RestaurantForm
+            key={editingR?.id || "new"}
             initial={editingR}
+            restaurants={restaurants}
+            user={user}
+            userName={userName}
             onSave={saveRestaurant}
-            onCancel={() => {
-              setShowForm(false);
-              setEditingR(null);
-            }}
+            onCancel={closeForm}
             saving={saving}
           />
         </Modal>
       )}
 
       {/* Toast */}
-      {toast && <Toast message={toast} onDone={() => setToast(null)} />}
+      {toast && (
+        <Toast
+          message={typeof toast === "string" ? toast : toast.text}
+          action={toast.action}
+          onDone={() => setToast(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,30 @@
+import { supabase } from "./supabase";
+
+// Supabase Auth: magic link by email, or OAuth
+export function signInWithEmail(email) {
+  return supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: window.location.origin + window.location.pathname },
+  });
+}
+
+export function signInWithProvider(provider) {
+  return supabase.auth.signInWithOAuth({
+    provider,
+    options: { redirectTo: window.location.origin + window.location.pathname },
+  });
+}
+
+export const signOut = () => supabase.auth.signOut();
+
+// Calls fn with the current session (or null) now and whenever it changes
+export function subscribeSession(fn) {
+  supabase.auth.getSession().then(({ data }) => fn(data.session));
+  const { data } = supabase.auth.onAuthStateChange((_event, session) => fn(session));
+  return () => data.subscription.unsubscribe();
+}
+
+export function displayName(user) {
+  const meta = user.user_metadata || {};
+  return meta.full_name || meta.name || (user.email || "").split("@")[0] || "Someone";
+}
@@ -0,0 +1,151 @@
+import { photoKey } from "./photoRefs";
+import { visitsOf, keepOthersVisits } from "./visits";
+import { tagsOf, dishesOf } from "./tags";
+import { weeklySummary } from "./hours";
+import { priceSymbols } from "./scoring";
+
+// Field-by-field comparison of two versions of a restaurant for the merge dialog
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const plain = (key, label, extra = {}) => ({
+  id: key,
+  label,
+  get: (r) => r[key] ?? "",
+  set: (r, v) => ({ ...r, [key]: v }),
+  format: (v) => v || "—",
+  ...extra,
+});
+
+const BASE_FIELDS = [
+  plain("name", "Name"),
+  plain("neighborhood", "Neighborhood"),
+  plain("cuisine", "Cuisine"),
+  plain("address", "Address"),
+  plain("priceLevel", "Price level", { get: (r) => r.priceLevel || null, format: (v) => priceSymbols(v) || "—" }),
+  {
+    id: "status",
+    label: "Status",
+    get: (r) => ({ visited: !!r.visited, wantToTry: !!r.wantToTry }),
+    set: (r, v) => ({ ...r, ...v }),
+    format: (v) => v.visited ? "✅ Been there" : "🔖 Want to try",
+  },
+  {
+    id: "trash",
+    label: "Trash",
+    get: (r) => r.deletedAt ? { deletedAt: r.deletedAt, deletedBy: r.deletedBy } : null,
+    set: (r, v) => {
+      const { deletedAt: _at, deletedBy: _by, ...rest } = r;
+      return v ? { ...rest, ...v } : rest;
+    },
+    format: (v) => v ? `🗑️ Deleted by ${v.deletedBy?.name || "someone"}` : "Not deleted",
+  },
+  {
+    id: "location",
+    label: "Location",
+    get: (r) => ({ lat: r.lat, lng: r.lng }),
+    set: (r, v) => ({ ...r, ...v }),
+    format: (v) => v.lat != null ? `${v.lat.toFixed(4)}, ${v.lng.toFixed(4)}` : "—",
+  },
+  {
+    id: "photos",
+    label: "Photos",
+    get: (r) => r.photos || [],
+    set: (r, v) => ({ ...r, photos: v }),
+    format: (v) => `${v.length} photo${v.length === 1 ? "" : "s"}`,
+    combine: (a, b) => [...a, ...b.filter((p) => !a.some((q) => photoKey(q) === photoKey(p)))],
+  },
+  {
+    id: "visits",
+    label: "Visits",
+    get: visitsOf,
+    set: (r, v) => ({ ...r, visits: v, visited: v.length > 0, wantToTry: v.length === 0 }),
+    format: (v) => v.length
+      ? v.map((visit) => `${visit.date || "Undated"} · ${visit.by?.name || "Someone"}`).join("\n")
+      : "No visits",
+    combine: (a, b) => [...a, ...b.filter((v) => !a.some((w) => w.id === v.id))],
+  },
+  {
+    id: "hours",
+    label: "Opening hours",
+    get: (r) => r.hours || null,
+    set: (r, v) => ({ ...r, hours: v }),
+    format: (v) => v ? weeklySummary(v).map((row) => `${row.days} ${row.text}`).join("\n") : "—",
+  },
+  {
+    id: "tags",
+    label: "Tags",
+    get: tagsOf,
+    set: (r, v) => ({ ...r, tags: v }),
+    format: (v) => v.length ? v.join(", ") : "—",
+    combine: (a, b) => [...a, ...b.filter((t) => !a.includes(t))],
+  },
+  {
+    id: "dishes",
+    label: "Dishes",
+    get: dishesOf,
+    set: (r, v) => ({ ...r, dishes: v }),
+    format: (v) => v.length ? v.map((d) => `${d.name}${d.rating ? ` ★${d.rating}` : ""}`).join("\n") : "—",
+    combine: (a, b) => [...a, ...b.filter((d) => !a.some((e) => e.id === d.id))],
+  },
+];
+
+// What differs between two versions, formatted for display: [{ id, label, before, after }]
+export const fieldChanges = (before, after) => BASE_FIELDS
+  .filter((f) => !same(f.get(before), f.get(after)))
+  .map((f) => ({ id: f.id, label: f.label, before: f.format(f.get(before)), after: f.format(f.get(after)) }));
+
+// Only the signed-in member's own review can be merged; everyone else's entries
+// always come from the stored version.
+const review = (r, userId) => r.reviews?.[userId] || {};
+const setReview = (r, userId, patch) => ({
+  ...r,
+  reviews: { ...r.reviews, [userId]: { ...review(r, userId), ...patch } },
+});
+
+function reviewFields(userId) {
+  return [
+    {
+      id: "notes",
+      label: "Your notes",
+      get: (r) => review(r, userId).notes || "",
+      set: (r, v) => setReview(r, userId, { notes: v }),
+      format: (v) => v || "—",
+      combine: (a, b) => [a, b].filter(Boolean).join("\n\n"),
+    },
+  ];
+}
+
+function mergeFields(userId) {
+  return userId ? [...BASE_FIELDS, ...reviewFields(userId)] : BASE_FIELDS;
+}
+
+// Fields that differ, each with a suggested choice: if only one side changed the
+// field since `base`, take that side; otherwise default to "mine".
+export function diffRestaurants(mine, theirs, base, userId) {
+  return mergeFields(userId)
+    .filter((f) => !same(f.get(mine), f.get(theirs)))
+    .map((f) => ({
+      ...f,
+      suggested: base && same(f.get(mine), f.get(base)) ? "theirs" : "mine",
+    }));
+}
+
+// choices: { [fieldId]: "mine" | "theirs" | "both" }
+export function mergeRestaurants(mine, theirs, choices, userId) {
+  const merged = diffRestaurants(mine, theirs, null, userId).reduce((r, f) => {
+    const choice = choices[f.id] || "mine";
+    if (choice === "theirs") return r;
+    const value = choice === "both" && f.combine
+      ? f.combine(f.get(mine), f.get(theirs))
+      : f.get(mine);
+    return f.set(r, value);
+  }, { ...theirs });
+  const own = userId && mine.reviews?.[userId];
+  const stamped = own && merged.reviews?.[userId]
+    ? setReview(merged, userId, { name: own.name, updatedAt: own.updatedAt })
+    : merged;
+  // Other members' visits can't be overwritten from here either
+  const visits = userId ? keepOthersVisits(stamped, theirs, userId) : stamped;
+  return { ...visits, revision: (theirs.revision || 0) + 1 };
+}
@@ -0,0 +1,10 @@
+// Constants
+export const CATEGORIES = ["Food", "Vibe", "Service", "Price"];
+export const NEIGHBORHOODS = [
+  "Södermalm", "Östermalm", "Vasastan", "Kungsholmen", "Gamla Stan",
+  "Norrmalm", "Lidingö", "Djurgården", "Nacka", "Solna", "Other",
+];
+export const CUISINES = [
+  "Swedish", "Italian", "Japanese", "Thai", "Indian", "Mexican",
+  "French", "Middle Eastern", "American", "Chinese", "Korean", "Other",
+];
@@ -0,0 +1,135 @@
+import { haversine } from "./geo";
+import { photoKey } from "./photoRefs";
+import { myReview, withReview } from "./reviews";
+import { LEGACY_VISIT, visitsOf } from "./visits";
+import { isRated } from "./scoring";
+import { tagsOf, dishesOf } from "./tags";
+
+// Fuzzy duplicate detection ("Fotografiska" vs "Fotografiska Matsalen") and the
+// merge of a suspected pair into one restaurant
+
+// Words that say what kind of place it is rather than which one
+const GENERIC_WORDS = new Set(["restaurant", "restaurang", "bar", "cafe", "kafe", "the", "och", "and"]);
+
+export const normalizeName = (name) => String(name || "").toLowerCase().normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+
+function nameTokens(name) {
+  const tokens = normalizeName(name).split(" ").filter(Boolean);
+  const specific = tokens.filter((t) => !GENERIC_WORDS.has(t));
+  return specific.length ? specific : tokens;
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+// 0..1; one name's words all appearing in the other counts as a near match
+export function nameSimilarity(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (!ta.length || !tb.length) return 0;
+  const [shorter, longer] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+  if (shorter.every((t) => longer.includes(t))) return shorter.length === longer.length ? 1 : 0.9;
+  const ga = bigrams(ta.join(" "));
+  const gb = bigrams(tb.join(" "));
+  const rest = [...gb];
+  let shared = 0;
+  for (const g of ga) {
+    const i = rest.indexOf(g);
+    if (i >= 0) {
+      shared++;
+      rest.splice(i, 1);
+    }
+  }
+  return ga.length + gb.length ? (2 * shared) / (ga.length + gb.length) : 0;
+}
+
+const located = (r) => Number.isFinite(r?.lat) && Number.isFinite(r?.lng);
+
+// Similar names close together; without a location only near-identical names count
+function matchScore(a, b) {
+  const similarity = nameSimilarity(a.name, b.name);
+  const distance = located(a) && located(b) ? haversine(a, b) : null;
+  const likely = distance == null
+    ? similarity >= 0.9
+    : (distance <= 150 && similarity >= 0.6) || (distance <= 1000 && similarity >= 0.85);
+  return likely ? { similarity, distance, score: similarity - (distance || 0) / 5000 } : null;
+}
+
+// Saved restaurants that look like the candidate, best match first.
+// candidate.lat/lng may be null while the form has no real location yet.
+export function likelyDuplicates(candidate, restaurants) {
+  if (!normalizeName(candidate.name)) return [];
+  return restaurants
+    .filter((r) => r.id !== candidate.id)
+    .map((r) => ({ r, ...matchScore(candidate, r) }))
+    .filter((m) => m.score != null)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Every suspected pair in the collection, best match first
+export function duplicatePairs(restaurants) {
+  const pairs = [];
+  restaurants.forEach((a, i) => {
+    restaurants.slice(i + 1).forEach((b) => {
+      const match = matchScore(a, b);
+      if (match) pairs.push({ key: [a.id, b.id].sort().join("|"), a, b, ...match });
+    });
+  });
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+const richness = (r) => visitsOf(r).length * 3 + (r.photos || []).length +
+  Object.keys(r.reviews || {}).length + (r.address ? 1 : 0);
+
+// Which of the pair to keep by default: the one the member couldn't delete
+// anyway, otherwise the one with more in it
+export function suggestedKeeper(a, b, canDelete) {
+  if (canDelete(a) !== canDelete(b)) return canDelete(a) ? b : a;
+  return richness(b) > richness(a) ? b : a;
+}
+
+const ratedCount = (v) => Object.values(v.ratings || {}).filter((x) => x > 0).length;
+
+// Both sides' visits; two pre-log visits collapse into the better-rated one
+function combineVisits(keep, other) {
+  const legacy = [keep, other].map((vs) => vs.find((v) => v.id === LEGACY_VISIT)).filter(Boolean);
+  const best = legacy.sort((x, y) => ratedCount(y) - ratedCount(x))[0];
+  const dated = [...keep, ...other.filter((v) => !keep.some((w) => w.id === v.id))]
+    .filter((v) => v.id !== LEGACY_VISIT);
+  return best && (isRated(best.ratings) || !dated.length) ? [...dated, best] : dated;
+}
+
+const joinNotes = (...notes) => [...new Set(notes.filter(Boolean))].join("\n\n");
+
+// The kept restaurant with the duplicate's photos, visits, tags, dishes and notes
+// folded in. Other members' reviews can't be written from here; they move over on
+// the server (mergeDuplicate) when the duplicate is removed.
+export function mergeDuplicates(keep, duplicate, user, userName) {
+  const visits = combineVisits(visitsOf(keep), visitsOf(duplicate));
+  const photos = [
+    ...(keep.photos || []),
+    ...(duplicate.photos || []).filter((p) => !(keep.photos || []).some((q) => photoKey(q) === photoKey(p))),
+  ];
+  const notes = joinNotes(keep.notes, duplicate.notes);
+  const merged = {
+    ...keep,
+    address: keep.address || duplicate.address || "",
+    photos,
+    visits,
+    tags: [...tagsOf(keep), ...tagsOf(duplicate).filter((t) => !tagsOf(keep).includes(t))],
+    dishes: [
+      ...dishesOf(keep),
+      ...dishesOf(duplicate).filter((d) => !dishesOf(keep).some((e) => normalizeName(e.name) === normalizeName(d.name))),
+    ],
+    visited: visits.length > 0,
+    wantToTry: visits.length === 0,
+    ...(notes ? { notes } : {}),
+    revision: (keep.revision || 0) + 1,
+  };
+  const mine = joinNotes(myReview(keep, user.id).notes, myReview(duplicate, user.id).notes);
+  return withReview(merged, user, userName, { notes: mine });
+}
@@ -0,0 +1,81 @@
+import { haversine } from "./geo";
+import { groupAverage, categoryAverage } from "./visits";
+import { matchesSearch } from "./search";
+import { isOpenAt, openMoment } from "./hours";
+
+// Filter state shared by the list grid and the map
+export const DEFAULT_FILTERS = {
+  status: "all", // all | visited | wantToTry
+  search: "",
+  neighborhoods: [],
+  cuisines: [],
+  minRating: 0,
+  categoryMins: {}, // { [category]: minimum average score }
+  sort: "default", // default | rating | newest | name
+  list: "", // id of a curated list to stay within; "" = any
+  open: "", // "now" or a "2026-10-24T19:00" Stockholm time; "" = any, else only places with hours
+};
+
+export const SORTS = [
+  ["default", "Recently updated"],
+  ["rating", "Top rated"],
+  ["newest", "Newest"],
+  ["name", "Name"],
+];
+
+// Number of non-default facets, for the "Filters" button badge
+export function activeFilterCount(filters) {
+  return filters.neighborhoods.length + filters.cuisines.length +
+    (filters.minRating > 0 ? 1 : 0) + (filters.open ? 1 : 0) +
+    Object.values(filters.categoryMins).filter((v) => v > 0).length;
+}
+
+// ids are Date.now() strings unless the entry says otherwise
+export const addedTime = (r) => r.createdAt ? Date.parse(r.createdAt) : Number(r.id) || 0;
+
+// skip: a facet to leave out, so its own counts aren't narrowed by its selection;
+// list: the curated list picked in filters.list, if it exists (a deleted list, or one
+// not loaded yet, doesn't narrow anything); at: the moment for filters.open
+function matches(r, filters, near, skip, list, at) {
+  if (filters.status === "visited" && !r.visited) return false;
+  if (filters.status === "wantToTry" && r.visited) return false;
+  if (!matchesSearch(r, filters.search)) return false;
+  if (skip !== "neighborhoods" && filters.neighborhoods.length && !filters.neighborhoods.includes(r.neighborhood)) return false;
+  if (skip !== "cuisines" && filters.cuisines.length && !filters.cuisines.includes(r.cuisine)) return false;
+  if (filters.minRating > 0 && (groupAverage(r) ?? 0) < filters.minRating) return false;
+  for (const [cat, min] of Object.entries(filters.categoryMins)) {
+    if (min > 0 && categoryAverage(r, cat) < min) return false;
+  }
+  if (near?.here && haversine(near.here, r) > near.radius) return false;
+  if (list && !list.entries.includes(r.id)) return false;
+  if (at && !isOpenAt(r.hours, at)) return false;
+  return true;
+}
+
+// near: { here, radius } while "Near me" is on; results are then sorted by distance.
+// lists: the curated lists, for filters.list; the list's own order is the default sort.
+// now: the time "Open now" means.
+export function applyFilters(restaurants, filters, near, lists = [], now = Date.now()) {
+  const picked = filters.list ? lists.find((l) => l.id === filters.list) : null;
+  const at = filters.open ? openMoment(filters.open, now) : null;
+  const list = restaurants.filter((r) => matches(r, filters, near, null, picked, at));
+  if (near?.here) {
+    const d = Object.fromEntries(list.map((r) => [r.id, haversine(near.here, r)]));
+    return list.sort((a, b) => d[a.id] - d[b.id]);
+  }
+  if (filters.sort === "rating") return list.sort((a, b) => (groupAverage(b) ?? -1) - (groupAverage(a) ?? -1));
+  if (filters.sort === "newest") return list.sort((a, b) => addedTime(b) - addedTime(a));
+  if (filters.sort === "name") return list.sort((a, b) => a.name.localeCompare(b.name, "sv"));
+  if (picked) return list.sort((a, b) => picked.entries.indexOf(a.id) - picked.entries.indexOf(b.id));
+  return list;
+}
+
+// { [value]: count } for "neighborhoods" (by r.neighborhood) or "cuisines" (by r.cuisine)
+export function facetCounts(restaurants, filters, near, facet, lists = [], now = Date.now()) {
+  const field = facet === "neighborhoods" ? "neighborhood" : "cuisine";
+  const picked = filters.list ? lists.find((l) => l.id === filters.list) : null;
+  const at = filters.open ? openMoment(filters.open, now) : null;
+  return restaurants
+    .filter((r) => matches(r, filters, near, facet, picked, at))
+    .reduce((acc, r) => ({ ...acc, [r[field]]: (acc[r[field]] || 0) + 1 }), {});
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_FILTERS, applyFilters } from "./filters";
+
+const place = (id, name) => ({
+  id, name, neighborhood: "Södermalm", cuisine: "Swedish", address: "", lat: 59.31, lng: 18.07,
+  visited: false, wantToTry: true, photos: [], visits: [], reviews: {}, tags: [], dishes: [],
+});
+const restaurants = [place("1", "Pelikan"), place("2", "Tranan"), place("3", "Nytorget 6")];
+const names = (list) => list.map((r) => r.name);
+
+describe("list filter", () => {
+  const lists = [{ id: "date", name: "Date night", entries: ["3", "1"] }];
+
+  it("keeps a list's places in list order", () => {
+    expect(names(applyFilters(restaurants, { ...DEFAULT_FILTERS, list: "date" }, null, lists))).toEqual(["Nytorget 6", "Pelikan"]);
+  });
+
+  it("ignores a list that was deleted or hasn't loaded yet", () => {
+    expect(names(applyFilters(restaurants, { ...DEFAULT_FILTERS, list: "gone" }, null, lists))).toEqual(["Pelikan", "Tranan", "Nytorget 6"]);
+    expect(applyFilters(restaurants, { ...DEFAULT_FILTERS, list: "date" }, null, [])).toHaveLength(3);
+  });
+});
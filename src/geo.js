@@ -0,0 +1,20 @@
+// Distances between lat/lng points
+const EARTH_RADIUS_M = 6371000;
+const WALKING_M_PER_MIN = 80;
+
+const rad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in meters
+export function haversine(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+export function formatDistance(m) {
+  return m < 1000 ? `${Math.round(m / 10) * 10} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+export const walkingMinutes = (m) => Math.max(1, Math.round(m / WALKING_M_PER_MIN));
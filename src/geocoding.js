@@ -0,0 +1,119 @@
+// Address search and reverse geocoding behind a swappable provider. A provider has
+//   search(query, { signal })  -> [{ label, address, lat, lng }]
+//   reverse({ lat, lng }, { signal }) -> { label, address } | null
+// Results are cached per provider; failed lookups are not.
+const NOMINATIM = "https://nominatim.openstreetmap.org";
+const STOCKHOLM_VIEWBOX = "17.75,59.45,18.35,59.20"; // left,top,right,bottom
+const MIN_INTERVAL_MS = 1000; // Nominatim's usage policy: at most one request a second
+const MAX_CANDIDATES = 5;
+
+// "Götgatan 12" rather than the full display name when the parts are there
+function shortAddress(a, fallback) {
+  const street = a?.road || a?.pedestrian || a?.square;
+  if (street) return [street, a.house_number].filter(Boolean).join(" ");
+  return fallback.split(",")[0];
+}
+
+const shortLabel = (displayName) => displayName.split(",").slice(0, 3).join(",");
+
+let nextSlot = 0;
+async function throttled(url, signal) {
+  const wait = nextSlot - Date.now();
+  nextSlot = Math.max(nextSlot, Date.now()) + MIN_INTERVAL_MS;
+  if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+  signal?.throwIfAborted();
+  const res = await fetch(url, { signal, headers: { "Accept-Language": "sv,en" } });
+  if (!res.ok) throw new Error("Geocoding failed");
+  return res.json();
+}
+
+export const nominatimProvider = {
+  async search(query, { signal } = {}) {
+    const params = new URLSearchParams({
+      q: query, format: "json", addressdetails: "1", limit: String(MAX_CANDIDATES),
+      viewbox: STOCKHOLM_VIEWBOX, bounded: "1",
+    });
+    const results = await throttled(`${NOMINATIM}/search?${params}`, signal);
+    return (Array.isArray(results) ? results : [])
+      .map((r) => ({
+        label: shortLabel(r.display_name),
+        address: shortAddress(r.address, r.display_name),
+        lat: parseFloat(r.lat),
+        lng: parseFloat(r.lon),
+      }))
+      .filter((r) => Number.isFinite(r.lat) && Number.isFinite(r.lng));
+  },
+
+  async reverse({ lat, lng }, { signal } = {}) {
+    const params = new URLSearchParams({ lat: String(lat), lon: String(lng), format: "json", zoom: "18" });
+    const result = await throttled(`${NOMINATIM}/reverse?${params}`, signal);
+    if (!result || result.error) return null;
+    return { label: shortLabel(result.display_name), address: shortAddress(result.address, result.display_name) };
+  },
+};
+
+// A fixed list of places, for tests and offline development:
+// setGeocodingProvider(staticProvider([{ address: "Götgatan 12", lat: 59.316, lng: 18.072 }]))
+export function staticProvider(places) {
+  const withLabels = places.map((p) => ({ label: p.address, ...p }));
+  return {
+    async search(query) {
+      const q = query.toLowerCase();
+      return withLabels.filter((p) => p.label.toLowerCase().includes(q)).slice(0, MAX_CANDIDATES);
+    },
+    async reverse(point) {
+      const [nearest] = [...withLabels].sort((a, b) =>
+        Math.hypot(a.lat - point.lat, a.lng - point.lng) - Math.hypot(b.lat - point.lat, b.lng - point.lng)
+      );
+      return nearest ? { label: nearest.label, address: nearest.address } : null;
+    },
+  };
+}
+
+let provider = nominatimProvider;
+let cache = new Map();
+
+export function setGeocodingProvider(next) {
+  provider = next;
+  cache = new Map();
+}
+
+// promise, or a rejection with signal's reason if the caller gives up first
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => { signal.removeEventListener("abort", onAbort); resolve(value); },
+      (err) => { signal.removeEventListener("abort", onAbort); reject(err); }
+    );
+  });
+}
+
+// Callers asking for the same thing share one lookup. It runs without anyone's
+// signal, so one caller aborting doesn't fail it for the rest; each caller only
+// stops waiting on its own signal.
+function cached(key, lookup, signal) {
+  if (!cache.has(key)) {
+    const promise = lookup().catch((err) => {
+      cache.delete(key);
+      throw err;
+    });
+    cache.set(key, promise);
+  }
+  return untilAborted(cache.get(key), signal);
+}
+
+// Candidates for a typed address, best first
+export function searchAddresses(query, { signal } = {}) {
+  const q = query.trim();
+  if (!q) return Promise.resolve([]);
+  return cached(`search:${q.toLowerCase()}`, () => provider.search(q), signal);
+}
+
+// Rounded to ~1 m so nudging the pin by a pixel reuses the lookup
+export function reverseGeocode({ lat, lng }, { signal } = {}) {
+  return cached(`reverse:${lat.toFixed(5)},${lng.toFixed(5)}`, () => provider.reverse({ lat, lng }), signal);
+}
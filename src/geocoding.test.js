@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { searchAddresses, setGeocodingProvider, nominatimProvider } from "./geocoding";
+
+// A provider whose searches wait until release() is called
+function slowProvider() {
+  const calls = [];
+  let release;
+  const ready = new Promise((resolve) => { release = resolve; });
+  return {
+    calls,
+    release: () => release(),
+    provider: {
+      async search(query, options) {
+        calls.push(options);
+        await ready;
+        return [{ label: query, address: query, lat: 59.3, lng: 18.1 }];
+      },
+      async reverse() {
+        return null;
+      },
+    },
+  };
+}
+
+afterEach(() => setGeocodingProvider(nominatimProvider));
+
+describe("searchAddresses", () => {
+  it("shares one lookup between callers", async () => {
+    const slow = slowProvider();
+    setGeocodingProvider(slow.provider);
+    const first = searchAddresses("Götgatan 12");
+    const second = searchAddresses("götgatan 12 ");
+    slow.release();
+    expect(await first).toEqual(await second);
+    expect(slow.calls).toHaveLength(1);
+  });
+
+  it("keeps the shared lookup going when the first caller aborts", async () => {
+    const slow = slowProvider();
+    setGeocodingProvider(slow.provider);
+    const controller = new AbortController();
+    const first = searchAddresses("Götgatan 12", { signal: controller.signal });
+    const second = searchAddresses("Götgatan 12", { signal: new AbortController().signal });
+    controller.abort();
+    await expect(first).rejects.toThrow();
+    slow.release();
+    expect(await second).toEqual([{ label: "Götgatan 12", address: "Götgatan 12", lat: 59.3, lng: 18.1 }]);
+    expect(slow.calls[0]?.signal).toBeUndefined();
+  });
+});
@@ -0,0 +1,101 @@
+import { fieldChanges } from "./conflicts";
+import { memberNotes } from "./reviews";
+import { readRestaurant } from "./schema";
+import { allCategories, categoryLabel, ratingAverage } from "./scoring";
+import { visitsOf, keepOthersVisits } from "./visits";
+
+// Change history: the server keeps a copy of every saved version of a restaurant
+// (fetchRevisions). Consecutive copies are compared here for the History panel.
+
+// Copies saved before a schema change read as they would today
+const upgraded = (data) => readRestaurant(data).restaurant || data;
+
+const visitName = (v) => `${v.date || "Undated"} · ${v.by?.name || "Someone"}`;
+
+function visitSummary(v) {
+  const avg = ratingAverage(v.ratings);
+  return avg != null ? `${visitName(v)} · ★ ${avg.toFixed(1)}` : visitName(v);
+}
+
+const VISIT_FIELDS = [
+  ["Date", (v) => v.date || "Undated"],
+  ["With", (v) => (v.companions || []).join(", ") || "—"],
+  ["Ordered", (v) => v.ordered || "—"],
+  ["Spend", (v) => v.spend != null ? `${v.spend} kr` : "—"],
+  ["Photos", (v) => `${(v.photos || []).length} photo${(v.photos || []).length === 1 ? "" : "s"}`],
+];
+
+const score = (v, cat) => v.ratings?.[cat] || 0;
+
+function visitChanges(before, after) {
+  const old = visitsOf(before);
+  const now = visitsOf(after);
+  const changes = old
+    .filter((v) => !now.some((w) => w.id === v.id))
+    .map((v) => ({ label: "Visit removed", before: visitSummary(v), after: "—" }));
+  now.forEach((v) => {
+    const prev = old.find((w) => w.id === v.id);
+    if (!prev) {
+      changes.push({ label: "Visit added", before: "—", after: visitSummary(v) });
+      return;
+    }
+    const rerated = allCategories().filter((cat) => score(prev, cat) !== score(v, cat));
+    if (rerated.length) {
+      const list = (visit) => rerated.map((cat) => `${categoryLabel(cat)} ${score(visit, cat) || "–"}`).join(", ");
+      changes.push({ label: `Ratings · ${visitName(v)}`, before: list(prev), after: list(v) });
+    }
+    VISIT_FIELDS.forEach(([label, format]) => {
+      if (format(prev) !== format(v)) changes.push({ label: `${label} · ${visitName(v)}`, before: format(prev), after: format(v) });
+    });
+  });
+  return changes;
+}
+
+function noteChanges(before, after) {
+  const old = memberNotes(before);
+  const now = memberNotes(after);
+  const ids = [...new Set([...old, ...now].map((n) => n.id))];
+  return ids.flatMap((id) => {
+    const prev = old.find((n) => n.id === id);
+    const next = now.find((n) => n.id === id);
+    if (prev?.notes === next?.notes) return [];
+    return [{ label: `${(next || prev).name}'s notes`, before: prev?.notes || "—", after: next?.notes || "—" }];
+  });
+}
+
+// [{ label, before, after }] between two saved versions
+export function revisionChanges(before, after) {
+  const a = upgraded(before);
+  const b = upgraded(after);
+  return [
+    ...fieldChanges(a, b).filter((f) => f.id !== "visits"),
+    ...visitChanges(a, b),
+    ...noteChanges(a, b),
+  ];
+}
+
+// Revisions (newest first) each with the changes since the one before it;
+// `created` marks the version the restaurant was added with
+export const describeRevisions = (revisions) => revisions.map((rev, i) => {
+  const previous = revisions[i + 1];
+  return {
+    ...rev,
+    created: !previous && (rev.data.revision || 0) <= 1,
+    changes: previous ? revisionChanges(previous.data, rev.data) : [],
+  };
+});
+
+// r put back the way it was in `data`, saved as a new revision. Other members'
+// notes and visits stay as they are now (only their owners can change them), and
+// so does whether the place is in the trash.
+export function revertTo(r, data, userId) {
+  const { deletedAt: _at, deletedBy: _by, reviews: oldReviews, ...old } = upgraded(data);
+  const { [userId]: _mine, ...others } = r.reviews || {};
+  const mine = oldReviews?.[userId];
+  return {
+    ...keepOthersVisits(old, r, userId),
+    reviews: mine ? { ...others, [userId]: mine } : others,
+    ...(r.deletedAt ? { deletedAt: r.deletedAt, deletedBy: r.deletedBy } : {}),
+    revision: (r.revision || 0) + 1,
+  };
+}
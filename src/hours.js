@@ -0,0 +1,284 @@
+// Weekly opening hours with exceptions, always read in Stockholm time:
+//   r.hours = {
+//     weekly: [[{ open: "11:30", close: "22:00" }, …], …]  seven days, Monday first; [] = closed
+//     holidays: null | [ranges]  Swedish public holidays; null = the usual weekday hours
+//     exceptions: [{ id, from, to, ranges, label }]  dates as "2026-12-23" (once) or "07-01" (every year)
+//   }
+// A close time at or before the open time runs past midnight ("18:00"–"01:00").
+// Exceptions win over holidays, holidays over the weekly hours.
+
+export const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const DAY = 24 * 60;
+const LOOKAHEAD_DAYS = 40; // far enough to see past a closed July
+
+export const emptyHours = () => ({ weekly: DAYS.map(() => []), holidays: null, exceptions: [] });
+
+export const hasHours = (hours) =>
+  !!hours && (hours.weekly || []).some((ranges) => ranges.length > 0);
+
+const toMinutes = (time) => {
+  const [h, m] = String(time).split(":").map(Number);
+  return h * 60 + (m || 0);
+};
+const pad = (n) => String(n).padStart(2, "0");
+const clock = (minutes) => `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+
+// Calendar arithmetic on "YYYY-MM-DD" strings, no time zones involved
+const isoDate = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+const addDays = (date, n) => {
+  const [y, m, d] = date.split("-").map(Number);
+  return isoDate(y, m, d + n);
+};
+export const weekday = (date) => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+const STOCKHOLM = new Intl.DateTimeFormat("en-GB", {
+  timeZone: "Europe/Stockholm", year: "numeric", month: "2-digit", day: "2-digit",
+  hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+});
+
+// { date: "2026-10-19", minutes: since local midnight } in Stockholm
+export function stockholmTime(time = Date.now()) {
+  const p = Object.fromEntries(STOCKHOLM.formatToParts(new Date(time)).map((x) => [x.type, x.value]));
+  return { date: `${p.year}-${p.month}-${p.day}`, minutes: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+// Anonymous Gregorian algorithm
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const n = h + l - 7 * m + 114;
+  return isoDate(year, Math.floor(n / 31), (n % 31) + 1);
+}
+
+// First date from `start` on the given weekday (0 = Monday)
+const nextWeekday = (start, day) => addDays(start, (day - weekday(start) + 7) % 7);
+
+const holidayCache = new Map();
+
+// { "2026-06-19": "Midsommarafton", … }: the red days plus the eves restaurants treat as holidays
+export function swedishHolidays(year) {
+  if (!holidayCache.has(year)) {
+    const e = easter(year);
+    const midsummerEve = nextWeekday(isoDate(year, 6, 19), 4);
+    holidayCache.set(year, {
+      [isoDate(year, 1, 1)]: "Nyårsdagen",
+      [isoDate(year, 1, 6)]: "Trettondedag jul",
+      [addDays(e, -2)]: "Långfredagen",
+      [e]: "Påskdagen",
+      [addDays(e, 1)]: "Annandag påsk",
+      [isoDate(year, 5, 1)]: "Första maj",
+      [addDays(e, 39)]: "Kristi himmelsfärdsdag",
+      [addDays(e, 49)]: "Pingstdagen",
+      [isoDate(year, 6, 6)]: "Nationaldagen",
+      [midsummerEve]: "Midsommarafton",
+      [addDays(midsummerEve, 1)]: "Midsommardagen",
+      [nextWeekday(isoDate(year, 10, 31), 5)]: "Alla helgons dag",
+      [isoDate(year, 12, 24)]: "Julafton",
+      [isoDate(year, 12, 25)]: "Juldagen",
+      [isoDate(year, 12, 26)]: "Annandag jul",
+      [isoDate(year, 12, 31)]: "Nyårsafton",
+    });
+  }
+  return holidayCache.get(year);
+}
+
+export const holidayName = (date) => swedishHolidays(Number(date.slice(0, 4)))[date] || null;
+
+// "07-01" dates repeat every year; a from after to wraps over New Year
+function covers({ from, to }, date) {
+  if (!from) return false;
+  const key = from.length === 5 ? date.slice(5) : date;
+  const end = to || from;
+  return from <= end ? key >= from && key <= end : key >= from || key <= end;
+}
+
+// The exception, holiday or weekday rule for a date: { ranges, reason }
+export function rulesOn(hours, date) {
+  const exception = (hours.exceptions || []).find((e) => covers(e, date));
+  if (exception) return { ranges: exception.ranges, reason: exception.label || "Exception" };
+  const holiday = hours.holidays && holidayName(date);
+  if (holiday) return { ranges: hours.holidays, reason: holiday };
+  return { ranges: hours.weekly?.[weekday(date)] || [], reason: null };
+}
+
+// [[start, end]] in minutes from the date's midnight; end may pass DAY
+const spans = (ranges) => ranges.map(({ open, close }) => {
+  const start = toMinutes(open);
+  const end = toMinutes(close);
+  return [start, end <= start ? end + DAY : end];
+});
+
+// Today's spans plus whatever runs over from yesterday
+function spansAround(hours, date) {
+  const spill = spans(rulesOn(hours, addDays(date, -1)).ranges)
+    .filter(([, end]) => end > DAY)
+    .map(([, end]) => [0, end - DAY]);
+  return [...spill, ...spans(rulesOn(hours, date).ranges)];
+}
+
+// at: { date, minutes } in Stockholm time. Places without hours never count as open.
+export function isOpenAt(hours, at) {
+  if (!hasHours(hours)) return false;
+  return spansAround(hours, at.date).some(([start, end]) => at.minutes >= start && at.minutes < end);
+}
+
+// "now" or a "2026-10-24T19:00" Stockholm time from the Open at… filter
+export function openMoment(value, time = Date.now()) {
+  if (value === "now") return stockholmTime(time);
+  return { date: value.slice(0, 10), minutes: toMinutes(value.slice(11, 16)) };
+}
+
+const CLOSING_SOON = 60; // minutes
+
+function opensLabel(date, today, minutes) {
+  const days = Math.round((Date.parse(date) - Date.parse(today)) / (DAY * 60000));
+  const time = clock(minutes);
+  if (days === 0) return `Opens ${time}`;
+  if (days === 1) return `Opens tomorrow ${time}`;
+  if (days < 7) return `Opens ${DAYS[weekday(date)]} ${time}`;
+  return `Opens ${Number(date.slice(8))} ${MONTHS[Number(date.slice(5, 7)) - 1]} ${time}`;
+}
+
+// The card badge: { state: "open" | "closing" | "closed", text } or null without hours
+export function openStatus(hours, time = Date.now()) {
+  if (!hasHours(hours)) return null;
+  const now = stockholmTime(time);
+  const current = spansAround(hours, now.date).find(([start, end]) => now.minutes >= start && now.minutes < end);
+  if (current) {
+    // Follow hours that run straight into the next day's ("00:00"–"24:00", 24/7)
+    let end = current[1];
+    for (let k = 1; k <= 7 && end >= k * DAY; k++) {
+      const more = spans(rulesOn(hours, addDays(now.date, k)).ranges).find(([start]) => start <= end - k * DAY);
+      if (!more) break;
+      end = Math.max(end, k * DAY + more[1]);
+    }
+    if (end >= 7 * DAY) return { state: "open", text: "Open 24/7" };
+    if (end - now.minutes <= CLOSING_SOON) return { state: "closing", text: `Closes at ${clock(end % DAY)}` };
+    return { state: "open", text: `Open now · until ${clock(end % DAY)}` };
+  }
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const date = addDays(now.date, i);
+    const next = spans(rulesOn(hours, date).ranges)
+      .map(([start]) => start)
+      .filter((start) => i > 0 || start > now.minutes)
+      .sort((a, b) => a - b)[0];
+    if (next != null) return { state: "closed", text: opensLabel(date, now.date, next) };
+  }
+  return { state: "closed", text: "Closed" };
+}
+
+const rangesText = (ranges) => ranges.length
+  ? ranges.map((r) => `${r.open}–${r.close}`).join(", ")
+  : "Closed";
+
+// Weekly hours with runs of identical days merged: [{ days: "Mon–Fri", text: "11:30–22:00" }]
+export function weeklySummary(hours) {
+  const rows = [];
+  DAYS.forEach((day, i) => {
+    const text = rangesText(hours.weekly?.[i] || []);
+    const last = rows[rows.length - 1];
+    if (last && last.text === text) last.to = day;
+    else rows.push({ from: day, to: day, text });
+  });
+  return rows.map((r) => ({ days: r.from === r.to ? r.from : `${r.from}–${r.to}`, text: r.text }));
+}
+
+// OSM opening_hours, the common subset: "Mo-Fr 11:00-14:00,17:00-22:00; Sa 12:00-23:00;
+// Su,PH off; Jul off; Dec 24-26 off", plus "24/7". Later rules override earlier ones,
+// as in OSM. Throws on anything it can't read.
+const OSM_DAYS = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+const TIME_RANGE = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})\+?$/;
+const MONTH_DAY = /^([A-Z][a-z]{2})(?: (\d{1,2}))?$/;
+
+function osmDays(token) {
+  const days = new Set();
+  let holidays = false;
+  for (const part of token.split(",")) {
+    if (part === "PH") {
+      holidays = true;
+      continue;
+    }
+    const [from, to] = part.split("-").map((d) => OSM_DAYS.indexOf(d));
+    if (from < 0 || (to !== undefined && to < 0)) return null;
+    for (let i = from; ; i = (i + 1) % 7) {
+      days.add(i);
+      if (i === (to ?? from)) break;
+    }
+  }
+  return { days: [...days], holidays };
+}
+
+function monthDay(text, end) {
+  const m = text.trim().match(MONTH_DAY);
+  const month = m && MONTHS.indexOf(m[1]);
+  if (!m || month < 0) return null;
+  return `${pad(month + 1)}-${m[2] ? pad(Number(m[2])) : end ? "31" : "01"}`;
+}
+
+// "Jul", "Jun-Aug", "Dec 24", "Dec 24-26", "Jul 15-Aug 10" -> { from, to } as "MM-DD"
+function osmDates(text) {
+  const [a, b] = text.split("-");
+  const from = monthDay(a, false);
+  if (!from) return null;
+  if (b === undefined) return { from, to: monthDay(a, true) };
+  const to = /^\d{1,2}$/.test(b.trim()) ? `${from.slice(0, 3)}${pad(Number(b))}` : monthDay(b, true);
+  return to ? { from, to } : null;
+}
+
+export function parseOpeningHours(text) {
+  const source = String(text || "").replace(/"[^"]*"/g, "").replace(/\s*,\s*/g, ",").trim();
+  if (!source) throw new Error("No opening hours given");
+  if (source === "24/7") return { ...emptyHours(), weekly: DAYS.map(() => [{ open: "00:00", close: "24:00" }]) };
+  const hours = emptyHours();
+  source.split(/;|\|\|/).map((rule) => rule.trim()).filter(Boolean).forEach((rule, n) => {
+    const tokens = rule.split(/\s+/);
+    const times = [];
+    const head = [];
+    tokens.forEach((t) => {
+      if (/^(off|closed)$/i.test(t)) times.push("off");
+      else if (t.split(",").every((r) => TIME_RANGE.test(r))) times.push(...t.split(","));
+      else head.push(t);
+    });
+    const ranges = times.includes("off") ? [] : times.map((t) => {
+      const [, open, close] = t.match(TIME_RANGE);
+      return { open: open.padStart(5, "0"), close: close.padStart(5, "0") };
+    });
+    if (!times.length) throw new Error(`No times in "${rule}"`);
+    const selector = head.join(" ");
+    if (!selector) {
+      hours.weekly = DAYS.map(() => ranges);
+      return;
+    }
+    const days = osmDays(selector);
+    if (days) {
+      days.days.forEach((d) => { hours.weekly[d] = ranges; });
+      if (days.holidays) hours.holidays = ranges;
+      return;
+    }
+    const dates = osmDates(selector);
+    if (!dates) throw new Error(`Can't read "${selector}"`);
+    hours.exceptions.push({ id: `osm-${n}`, ...dates, ranges, label: selector });
+  });
+  return hours;
+}
+
+// { hours } for an OSM opening_hours value, or {} when there's none or it can't be read
+export function osmHours(text) {
+  if (!text) return {};
+  try {
+    return { hours: parseOpeningHours(text) };
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import {
+  emptyHours, holidayName, isOpenAt, openStatus, osmHours, parseOpeningHours, rulesOn, swedishHolidays, weekday,
+} from "./hours";
+
+const at = (date, time) => {
+  const [h, m] = time.split(":").map(Number);
+  return { date, minutes: h * 60 + m };
+};
+const range = (open, close) => ({ open, close });
+const week = (...days) => ({ ...emptyHours(), weekly: days });
+
+describe("swedishHolidays", () => {
+  it.each([
+    // year, Långfredagen, Påskdagen, Kristi himmelsfärd, Pingstdagen, Midsommarafton, Alla helgons dag
+    [2024, "2024-03-29", "2024-03-31", "2024-05-09", "2024-05-19", "2024-06-21", "2024-11-02"],
+    [2025, "2025-04-18", "2025-04-20", "2025-05-29", "2025-06-08", "2025-06-20", "2025-11-01"],
+    [2026, "2026-04-03", "2026-04-05", "2026-05-14", "2026-05-24", "2026-06-19", "2026-10-31"],
+    [2027, "2027-03-26", "2027-03-28", "2027-05-06", "2027-05-16", "2027-06-25", "2027-11-06"],
+    [2030, "2030-04-19", "2030-04-21", "2030-05-30", "2030-06-09", "2030-06-21", "2030-11-02"],
+  ])("finds the moving holidays in %i", (year, goodFriday, easter, ascension, pentecost, midsummerEve, allSaints) => {
+    const days = swedishHolidays(year);
+    expect(days[goodFriday]).toBe("Långfredagen");
+    expect(days[easter]).toBe("Påskdagen");
+    expect(weekday(easter)).toBe(6);
+    expect(days[ascension]).toBe("Kristi himmelsfärdsdag");
+    expect(days[pentecost]).toBe("Pingstdagen");
+    expect(days[midsummerEve]).toBe("Midsommarafton");
+    expect(weekday(midsummerEve)).toBe(4);
+    expect(days[allSaints]).toBe("Alla helgons dag");
+    expect(weekday(allSaints)).toBe(5);
+  });
+
+  it.each([
+    ["2026-01-06", "Trettondedag jul"],
+    ["2026-06-06", "Nationaldagen"],
+    ["2026-06-20", "Midsommardagen"],
+    ["2026-12-24", "Julafton"],
+    ["2026-12-31", "Nyårsafton"],
+    ["2026-10-19", null],
+  ])("names %s", (date, name) => {
+    expect(holidayName(date)).toBe(name);
+  });
+});
+
+describe("isOpenAt", () => {
+  // Mon–Thu closed, Fri and Sat 18:00–02:00, Sun closed
+  const late = week([], [], [], [], [range("18:00", "02:00")], [range("18:00", "02:00")], []);
+
+  it.each([
+    ["Friday evening", at("2026-10-23", "23:00"), true],
+    ["Friday before opening", at("2026-10-23", "17:59"), false],
+    ["into Saturday night", at("2026-10-24", "01:30"), true],
+    ["at closing", at("2026-10-24", "02:00"), false],
+    ["Saturday's hours running into Sunday", at("2026-10-25", "01:00"), true],
+    ["Thursday night, closed the day before", at("2026-10-22", "01:00"), false],
+  ])("past midnight: %s", (_, moment, open) => {
+    expect(isOpenAt(late, moment)).toBe(open);
+  });
+
+  it("never counts a place without hours as open", () => {
+    expect(isOpenAt(null, at("2026-10-23", "12:00"))).toBe(false);
+    expect(isOpenAt(emptyHours(), at("2026-10-23", "12:00"))).toBe(false);
+  });
+
+  it.each([
+    ["Monday morning", at("2026-10-19", "00:00")],
+    ["Christmas Eve", at("2026-12-24", "12:00")],
+    ["late Sunday", at("2026-10-25", "23:59")],
+  ])("24/7 is open on %s", (_, moment) => {
+    expect(isOpenAt(parseOpeningHours("24/7"), moment)).toBe(true);
+  });
+});
+
+describe("exceptions and holidays", () => {
+  const lunch = [range("11:00", "14:00")];
+  const hours = {
+    weekly: [lunch, lunch, lunch, lunch, lunch, [], []],
+    holidays: [range("12:00", "16:00")],
+    exceptions: [
+      { id: "summer", from: "07-01", to: "07-31", ranges: [], label: "Summer break" },
+      { id: "party", from: "2026-12-23", ranges: [range("18:00", "23:00")], label: "Julbord" },
+      { id: "newyear", from: "12-31", to: "01-01", ranges: [], label: "New Year" },
+      { id: "ascension", from: "2026-05-14", ranges: lunch, label: "Open as usual" },
+    ],
+  };
+
+  it.each([
+    ["an ordinary Wednesday", "2026-10-21", lunch, null],
+    ["a weekday in July, every year", "2027-07-07", [], "Summer break"],
+    ["a one-off date", "2026-12-23", [range("18:00", "23:00")], "Julbord"],
+    ["New Year's Eve, wrapping the year", "2026-12-31", [], "New Year"],
+    ["New Year's Day, wrapping the year", "2027-01-01", [], "New Year"],
+    ["a holiday", "2026-12-25", [range("12:00", "16:00")], "Juldagen"],
+    ["a holiday with an exception", "2026-05-14", lunch, "Open as usual"],
+  ])("%s", (_, date, ranges, reason) => {
+    expect(rulesOn(hours, date)).toEqual({ ranges, reason });
+  });
+
+  it("uses the weekly hours on holidays when it has none of its own", () => {
+    expect(rulesOn({ ...hours, holidays: null }, "2026-12-25")).toEqual({ ranges: lunch, reason: null });
+  });
+
+  it("stays closed through an exception that runs into the next day", () => {
+    expect(isOpenAt(hours, at("2026-07-15", "12:00"))).toBe(false);
+    expect(isOpenAt(hours, at("2026-08-03", "12:00"))).toBe(true);
+  });
+});
+
+describe("openStatus", () => {
+  // Stockholm is UTC+1 from 25 October 2026
+  const time = (date, clock) => Date.parse(`${date}T${clock}:00+01:00`);
+  const lunch = week(...Array(5).fill([range("11:00", "14:00")]), [], []);
+  const late = week([], [], [], [], [range("18:00", "02:00")], [], []);
+
+  it.each([
+    ["24/7", parseOpeningHours("24/7"), time("2026-11-04", "03:00"), { state: "open", text: "Open 24/7" }],
+    ["open until lunch ends", lunch, time("2026-11-04", "11:30"), { state: "open", text: "Open now · until 14:00" }],
+    ["closing soon", lunch, time("2026-11-04", "13:15"), { state: "closing", text: "Closes at 14:00" }],
+    ["before opening", lunch, time("2026-11-04", "09:00"), { state: "closed", text: "Opens 11:00" }],
+    ["after closing", lunch, time("2026-11-04", "15:00"), { state: "closed", text: "Opens tomorrow 11:00" }],
+    ["over the weekend", lunch, time("2026-11-07", "12:00"), { state: "closed", text: "Opens Mon 11:00" }],
+    ["past midnight", late, time("2026-11-07", "01:30"), { state: "closing", text: "Closes at 02:00" }],
+    ["late evening", late, time("2026-11-06", "20:00"), { state: "open", text: "Open now · until 02:00" }],
+  ])("%s", (_, hours, now, status) => {
+    expect(openStatus(hours, now)).toEqual(status);
+  });
+
+  it("has nothing to say without hours", () => {
+    expect(openStatus(null)).toBeNull();
+  });
+});
+
+describe("parseOpeningHours", () => {
+  it("reads days, holidays and dated exceptions", () => {
+    const hours = parseOpeningHours("Mo-Fr 11:00-14:00,17:00-22:00; Sa 12:00-23:00; Su,PH off; Jul off; Dec 24-26 off");
+    const weekdays = [range("11:00", "14:00"), range("17:00", "22:00")];
+    expect(hours.weekly).toEqual([weekdays, weekdays, weekdays, weekdays, weekdays, [range("12:00", "23:00")], []]);
+    expect(hours.holidays).toEqual([]);
+    expect(hours.exceptions).toEqual([
+      { id: "osm-3", from: "07-01", to: "07-31", ranges: [], label: "Jul" },
+      { id: "osm-4", from: "12-24", to: "12-26", ranges: [], label: "Dec 24-26" },
+    ]);
+  });
+
+  it.each([
+    ["a day range over the weekend", "Fr-Mo 17:00-01:00", [0, 4, 5, 6]],
+    ["single days", "Tu,Th 9:00-17:00", [1, 3]],
+  ])("reads %s", (_, text, open) => {
+    const { weekly } = parseOpeningHours(text);
+    expect(weekly.map((ranges, i) => ranges.length ? i : null).filter((i) => i != null)).toEqual(open);
+  });
+
+  it("pads single-digit hours", () => {
+    expect(parseOpeningHours("Mo 9:00-17:00").weekly[0]).toEqual([range("09:00", "17:00")]);
+  });
+
+  it("lets later rules override earlier ones", () => {
+    expect(parseOpeningHours("Mo-Su 10:00-20:00; Su off").weekly[6]).toEqual([]);
+  });
+
+  it("reads a date span over two months", () => {
+    expect(parseOpeningHours("Mo-Fr 10:00-18:00; Jul 15-Aug 10 off").exceptions[0]).toMatchObject({ from: "07-15", to: "08-10" });
+  });
+
+  it.each(["", "sunrise-sunset", "Mo-Fr", "Xx 10:00-12:00"])("rejects %j", (text) => {
+    expect(() => parseOpeningHours(text)).toThrow();
+    expect(osmHours(text)).toEqual({});
+  });
+});
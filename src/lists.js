@@ -0,0 +1,41 @@
+// Curated lists: { id, name, description, emoji, entries: [restaurant ids in order],
+// createdBy: { id, name }, createdAt, shareToken } where shareToken is set while
+// the list has a public read-only link. A restaurant can be on any number of lists.
+export const LIST_EMOJIS = ["📌", "🍷", "🥪", "🎉", "💼", "☕", "🌮", "⭐", "👶", "🌙"];
+
+export function newList(user, userName) {
+  return {
+    id: Date.now().toString(),
+    name: "",
+    description: "",
+    emoji: LIST_EMOJIS[0],
+    entries: [],
+    createdBy: { id: user.id, name: userName },
+    createdAt: new Date().toISOString(),
+    shareToken: null,
+  };
+}
+
+export const listsWith = (lists, restaurantId) => lists.filter((l) => l.entries.includes(restaurantId));
+
+export const toggleEntry = (list, restaurantId) => ({
+  ...list,
+  entries: list.entries.includes(restaurantId)
+    ? list.entries.filter((id) => id !== restaurantId)
+    : [...list.entries, restaurantId],
+});
+
+// delta: -1 moves the entry up one place, 1 down
+export function moveEntry(list, restaurantId, delta) {
+  const entries = [...list.entries];
+  const from = entries.indexOf(restaurantId);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= entries.length) return list;
+  [entries[from], entries[to]] = [entries[to], entries[from]];
+  return { ...list, entries };
+}
+
+export const withSharing = (list, shared) => ({
+  ...list,
+  shareToken: shared ? list.shareToken || crypto.randomUUID().replace(/-/g, "") : null,
+});
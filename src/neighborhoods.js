@@ -0,0 +1,25 @@
+import boundaries from "./assets/stockholm-neighborhoods.json";
+
+// Neighborhood boundaries (simplified district outlines, one polygon per entry in
+// NEIGHBORHOODS except "Other") and point-in-polygon lookup against them
+export const NEIGHBORHOOD_BOUNDARIES = boundaries;
+
+// Ray casting over a [lng, lat] ring
+function inRing({ lat, lng }, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// The neighborhood the point lies in, or null outside all of them
+export function neighborhoodAt(point) {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lng)) return null;
+  const feature = boundaries.features.find((f) => inRing(point, f.geometry.coordinates[0]));
+  return feature ? feature.properties.name : null;
+}
+
+export const guessNeighborhood = (point) => neighborhoodAt(point) || "Other";
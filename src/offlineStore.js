@@ -0,0 +1,271 @@
+import { fetchAll, upsertRestaurant, deleteRestaurant, ConflictError } from "./supabase";
+import { readRows, writableRestaurant } from "./schema";
+
+// Offline-first store: IndexedDB cache of the restaurants table plus a
+// persistent queue of writes made while Supabase was unreachable.
+const DB_NAME = "stockholm-eats";
+const DB_VERSION = 1;
+const RESTAURANTS = "restaurants";
+const QUEUE = "queue";
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(RESTAURANTS)) db.createObjectStore(RESTAURANTS, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(QUEUE)) db.createObjectStore(QUEUE, { keyPath: "seq", autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs fn against one object store and resolves with the returned request's result
+// once the transaction has committed.
+function withStore(name, mode, fn) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+// Cache
+export async function loadCachedRestaurants() {
+  try {
+    const rows = await withStore(RESTAURANTS, "readonly", (s) => s.getAll());
+    // Anything unreadable turns up in the quarantine once the server answers
+    return readRows(rows.sort((a, b) => b.cachedAt - a.cachedAt)).restaurants;
+  } catch {
+    return [];
+  }
+}
+
+function putCached(restaurant) {
+  return withStore(RESTAURANTS, "readwrite", (s) => s.put({ id: restaurant.id, data: restaurant, cachedAt: Date.now() }))
+    .catch(() => {});
+}
+
+function removeCached(id) {
+  return withStore(RESTAURANTS, "readwrite", (s) => s.delete(id)).catch(() => {});
+}
+
+function replaceCache(restaurants) {
+  const now = Date.now();
+  return withStore(RESTAURANTS, "readwrite", (s) => {
+    s.clear();
+    restaurants.forEach((r, i) => s.put({ id: r.id, data: r, cachedAt: now - i }));
+  }).catch(() => {});
+}
+
+// Write queue, mirrored in memory so it keeps working without IndexedDB
+let queue = null;
+let queueLoading = null;
+const listeners = new Set();
+
+function loadQueue() {
+  if (queue) return Promise.resolve(queue);
+  if (!queueLoading) {
+    queueLoading = withStore(QUEUE, "readonly", (s) => s.getAll())
+      .catch(() => [])
+      .then((ops) => (queue = ops.sort((a, b) => a.seq - b.seq)));
+  }
+  return queueLoading;
+}
+
+function pendingCounts() {
+  return (queue || []).reduce((acc, op) => ({ ...acc, [op.id]: (acc[op.id] || 0) + 1 }), {});
+}
+
+function notify() {
+  const counts = pendingCounts();
+  listeners.forEach((fn) => fn(counts));
+}
+
+let localSeq = 0;
+async function enqueue(op) {
+  await loadQueue();
+  const seq = await withStore(QUEUE, "readwrite", (s) => s.add(op)).catch(() => `local-${++localSeq}`);
+  queue = [...queue, { ...op, seq }];
+  notify();
+}
+
+async function dequeue(seq) {
+  await withStore(QUEUE, "readwrite", (s) => s.delete(seq)).catch(() => {});
+  queue = queue.filter((op) => op.seq !== seq);
+  notify();
+}
+
+// Calls fn with { [restaurantId]: number of queued writes } now and on every change
+export function subscribePending(fn) {
+  listeners.add(fn);
+  loadQueue().then(() => listeners.has(fn) && fn(pendingCounts()));
+  return () => listeners.delete(fn);
+}
+
+export function hasPending(id) {
+  return (queue || []).some((op) => op.id === id);
+}
+
+function isNetworkError(error) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  // Only the request not getting through; other TypeErrors are bugs and should surface
+  if (error?.name === "FetchError") return true;
+  return /failed to fetch|network|load failed/i.test(String(error?.message || ""));
+}
+
+function sendOp(op) {
+  return op.type === "delete" ? deleteRestaurant(op.id) : upsertRestaurant(op.restaurant);
+}
+
+function applyOps(restaurants, ops) {
+  return ops.reduce((list, op) => {
+    if (op.type === "delete") return list.filter((r) => r.id !== op.id);
+    return list.some((r) => r.id === op.id)
+      ? list.map((r) => r.id === op.id ? op.restaurant : r)
+      : [op.restaurant, ...list];
+  }, restaurants);
+}
+
+// Writes go straight to Supabase when possible. While offline, or while older writes
+// are still waiting, they are queued so replay keeps them in order.
+async function writeThrough(op) {
+  const ops = await loadQueue();
+  if (ops.length === 0) {
+    try {
+      await sendOp(op);
+      return { queued: false };
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+  await enqueue(op);
+  // Worth a try straight away unless the browser knows it's offline; replay backs
+  // off if the server still can't be reached
+  if (typeof navigator === "undefined" || navigator.onLine) replayQueue();
+  return { queued: true };
+}
+
+// Wrapped helpers
+
+// { restaurants, migrated, quarantined }: the server's readable rows with queued
+// writes applied on top, plus what fetchAll upgraded or set aside
+export async function syncRestaurants() {
+  const { restaurants: remote, migrated, quarantined } = await fetchAll();
+  const merged = applyOps(remote, await loadQueue());
+  await replaceCache(merged);
+  return { restaurants: merged, migrated, quarantined };
+}
+
+// { queued, restaurant }: restaurant as stored (see writableRestaurant). An invalid
+// record throws before anything is sent, queued or cached.
+export async function storeRestaurant(input) {
+  const restaurant = writableRestaurant(input);
+  const result = await writeThrough({ type: "upsert", id: restaurant.id, restaurant });
+  await putCached(restaurant);
+  return { ...result, restaurant };
+}
+
+export async function removeRestaurant(id) {
+  const result = await writeThrough({ type: "delete", id });
+  await removeCached(id);
+  return result;
+}
+
+// Keeps the cache in step with realtime events from other clients
+export function cacheRemoteChange(payload) {
+  if (payload.eventType === "DELETE") return removeCached(payload.old.id);
+  return putCached(payload.new.data);
+}
+
+let replaying = null;
+async function drainQueue() {
+  let synced = 0;
+  let failed = 0;
+  let conflicts = [];
+  let stalled = false;
+  for (const op of [...(await loadQueue())]) {
+    try {
+      await sendOp(op);
+      synced++;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        stalled = true;
+        break;
+      }
+      if (error instanceof ConflictError) {
+        // Someone else edited this while we were offline; hand both versions back
+        // (a later queued edit of the same place replaces an earlier one)
+        conflicts = [...conflicts.filter((c) => c.mine.id !== op.id), { mine: op.restaurant, theirs: error.remote }];
+      } else {
+        // Rejected by the server; retrying would block everything behind it
+        failed++;
+      }
+    }
+    await dequeue(op.seq);
+  }
+  return { synced, failed, conflicts, stalled };
+}
+
+// While something is watching (watchQueue), a queue that's still waiting is retried
+// on a timer, backing off while the server stays out of reach
+const RETRY_MIN_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const watchers = new Set();
+let retryDelay = RETRY_MIN_MS;
+let retryTimer = null;
+
+function scheduleRetry(delay) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (watchers.size && queue?.length) retryTimer = setTimeout(replayQueue, delay);
+}
+
+// Sends queued writes in order; resolves with { synced, failed, conflicts, stalled }
+// (stalled: stopped for want of a connection). Watchers get every run's result.
+export function replayQueue() {
+  if (!replaying) {
+    let stalled = true;
+    replaying = drainQueue()
+      .then((result) => {
+        stalled = result.stalled;
+        watchers.forEach((fn) => fn(result));
+        return result;
+      })
+      .finally(() => {
+        replaying = null;
+        if (stalled) {
+          scheduleRetry(retryDelay);
+          retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+        } else {
+          retryDelay = RETRY_MIN_MS;
+          // Anything queued while this run was going
+          scheduleRetry(0);
+        }
+      });
+  }
+  return replaying;
+}
+
+// Replays the queue when the browser comes back online and on the retry timer, on
+// top of the calls from writeThrough and the app. onReplay gets each run's result;
+// returns a function that stops watching.
+export function watchQueue(onReplay) {
+  watchers.add(onReplay);
+  window.addEventListener("online", replayQueue);
+  loadQueue().then(() => scheduleRetry(retryDelay));
+  return () => {
+    watchers.delete(onReplay);
+    if (watchers.size) return;
+    window.removeEventListener("online", replayQueue);
+    clearTimeout(retryTimer);
+  };
+}
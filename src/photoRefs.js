@@ -0,0 +1,15 @@
+import { visitsOf, canEditVisit } from "./visits";
+
+// A stored photo is { url, thumb }, or a plain string on older rows: a base64 data
+// URL, either from before storage uploads or saved offline and not uploaded yet.
+export const photoThumb = (p) => typeof p === "string" ? p : p.thumb || p.url;
+export const photoFull = (p) => typeof p === "string" ? p : p.url;
+export const photoKey = photoFull;
+
+export const isInline = (p) => typeof p === "string" && p.startsWith("data:");
+
+// Inline photos this member can move to storage: the restaurant's own, and those on
+// the visits they may edit
+export const hasInlinePhotos = (r, userId) =>
+  (r.photos || []).some(isInline) ||
+  visitsOf(r).some((v) => canEditVisit(v, userId) && (v.photos || []).some(isInline));
@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { hasInlinePhotos } from "./photoRefs";
+
+const inline = "data:image/jpeg;base64,AAAA";
+const stored = { url: "https://x/photos/a.jpg", thumb: "https://x/photos/a-thumb.jpg" };
+const visit = (by, photos) => ({ id: `v-${by}`, date: "2026-10-01", by: { id: by, name: by }, photos });
+
+describe("hasInlinePhotos", () => {
+  it("finds inline restaurant photos", () => {
+    expect(hasInlinePhotos({ photos: [stored, inline] }, "me")).toBe(true);
+    expect(hasInlinePhotos({ photos: [stored] }, "me")).toBe(false);
+  });
+
+  it("finds an inline photo on the member's own visit", () => {
+    expect(hasInlinePhotos({ photos: [], visits: [visit("me", [inline])] }, "me")).toBe(true);
+  });
+
+  it("leaves other members' visits to them", () => {
+    expect(hasInlinePhotos({ photos: [], visits: [visit("them", [inline])] }, "me")).toBe(false);
+  });
+});
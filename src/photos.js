@@ -0,0 +1,98 @@
+import { supabase } from "./supabase";
+import { isInline } from "./photoRefs";
+import { canEditVisit } from "./visits";
+
+export { photoThumb, photoFull, photoKey, hasInlinePhotos } from "./photoRefs";
+
+// Restaurant photos live in the "photos" storage bucket; the restaurant only keeps
+// { url, thumb } pairs. Older rows stored base64 data URLs inline, so every helper
+// also accepts a plain string.
+const BUCKET = "photos";
+const FULL_SIZE = 1600;
+const THUMB_SIZE = 400;
+const INLINE_SIZE = 800;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not read image"));
+    img.src = src;
+  });
+}
+
+// Scales the image down so its longest side is at most maxSize, as a JPEG blob
+async function resize(src, maxSize, quality) {
+  const img = await loadImage(src);
+  const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => blob ? resolve(blob) : reject(new Error("Could not encode image")),
+      "image/jpeg",
+      quality
+    )
+  );
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function put(path, blob) {
+  const bucket = supabase.storage.from(BUCKET);
+  const { error } = await bucket.upload(path, blob, { contentType: "image/jpeg", cacheControl: "31536000" });
+  if (error) throw error;
+  return bucket.getPublicUrl(path).data.publicUrl;
+}
+
+// source: a File from an <input type="file"> or a data URL
+export async function uploadPhoto(source) {
+  const src = typeof source === "string" ? source : URL.createObjectURL(source);
+  try {
+    const [full, thumb] = await Promise.all([resize(src, FULL_SIZE, 0.85), resize(src, THUMB_SIZE, 0.75)]);
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const [url, thumbUrl] = await Promise.all([put(`${id}/full.jpg`, full), put(`${id}/thumb.jpg`, thumb)]);
+    return { url, thumb: thumbUrl };
+  } finally {
+    if (typeof source !== "string") URL.revokeObjectURL(src);
+  }
+}
+
+// Offline fallback: a downscaled inline copy, uploaded by migrateInlinePhotos later
+export async function inlinePhoto(file) {
+  const src = URL.createObjectURL(file);
+  try {
+    return await blobToDataUrl(await resize(src, INLINE_SIZE, 0.8));
+  } finally {
+    URL.revokeObjectURL(src);
+  }
+}
+
+async function uploadInline(photos) {
+  const uploaded = [];
+  for (const p of photos) uploaded.push(isInline(p) ? await uploadPhoto(p) : p);
+  return uploaded;
+}
+
+// Uploads the inline photos this member can move (see hasInlinePhotos) and returns
+// the restaurant as a new revision. Other members' visits are left to them.
+export async function migrateInlinePhotos(restaurant, userId) {
+  const photos = await uploadInline(restaurant.photos || []);
+  let visits = restaurant.visits;
+  if (Array.isArray(visits)) {
+    visits = [];
+    for (const v of restaurant.visits) {
+      visits.push(canEditVisit(v, userId) && v.photos?.length ? { ...v, photos: await uploadInline(v.photos) } : v);
+    }
+  }
+  return { ...restaurant, photos, visits, revision: (restaurant.revision || 0) + 1 };
+}
@@ -0,0 +1,83 @@
+import { haversine } from "./geo";
+import { addedTime } from "./filters";
+import { visitsOf, groupAverage, categoryAverage } from "./visits";
+
+// "Where should we eat tonight?": the restaurants that fit the constraints, each
+// with a weight, and a weighted random draw among them
+export const DEFAULT_PICKER = {
+  neighborhoods: [],
+  cuisines: [],
+  maxDistance: 0, // meters from `here`; 0 = anywhere. Needs `here`, see distanceApplies
+  includeVisited: false, // also places we've been to, if rated at least minRating
+  minRating: 4,
+  minPrice: 0, // minimum Price category score; 0 = any
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 30;
+const UNRATED_WEIGHT = 0.7; // want-to-try entries, between a 3★ and a 4★ visit
+
+// Cuisine -> days since anyone last went to a place serving it
+function lastHad(restaurants, now) {
+  const last = {};
+  restaurants.forEach((r) => visitsOf(r).forEach((v) => {
+    if (!v.date) return;
+    const days = (now - Date.parse(v.date)) / DAY_MS;
+    if (last[r.cuisine] == null || days < last[r.cuisine]) last[r.cuisine] = days;
+  }));
+  return last;
+}
+
+// Distance can only narrow things down with a location to measure from; without
+// one every distance fits, and the panel says so rather than leaving it unexplained
+export const distanceApplies = (c, here) => c.maxDistance > 0 && !!here;
+
+function fits(r, c, here) {
+  if (c.neighborhoods.length && !c.neighborhoods.includes(r.neighborhood)) return false;
+  if (c.cuisines.length && !c.cuisines.includes(r.cuisine)) return false;
+  if (distanceApplies(c, here) && haversine(here, r) > c.maxDistance) return false;
+  if (r.visited && (!c.includeVisited || (groupAverage(r) ?? 0) < c.minRating)) return false;
+  if (c.minPrice > 0 && r.visited && categoryAverage(r, "Price") < c.minPrice) return false;
+  return true;
+}
+
+const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+
+// [{ r, weight, reasons }] for everything that fits, best-weighted first
+export function pickerCandidates(restaurants, constraints, here, now = Date.now()) {
+  const recent = lastHad(restaurants, now);
+  return restaurants
+    .filter((r) => fits(r, constraints, here))
+    .map((r) => {
+      const reasons = [];
+      const avg = r.visited ? groupAverage(r) : null;
+      const ratingWeight = avg != null ? avg / 5 : UNRATED_WEIGHT;
+      if (avg != null) reasons.push(`★ ${avg.toFixed(1)} from us`);
+
+      // Longer on the list, up to triple the weight after two years
+      const days = Math.max(0, (now - addedTime(r)) / DAY_MS);
+      const ageWeight = 1 + Math.min(days, 730) / 365;
+      if (!r.visited && days >= 30) reasons.push(`On the list for ${plural(Math.floor(days / 30), "month")}`);
+
+      // Cuisines we had recently count for less
+      const since = recent[r.cuisine];
+      const freshWeight = since == null || since >= RECENT_DAYS ? 1.5 : 0.5 + since / RECENT_DAYS;
+      if (since != null && since >= RECENT_DAYS) reasons.push(`No ${r.cuisine} in ${plural(Math.floor(since / 7), "week")}`);
+
+      return { r, weight: ratingWeight * ageWeight * freshWeight, reasons };
+    })
+    .sort((a, b) => b.weight - a.weight);
+}
+
+// One candidate, chosen with probability proportional to its weight. `except` (an
+// id) is left out when there's anything else, so spinning again gives a new answer.
+export function weightedPick(candidates, except = null, random = Math.random) {
+  const pool = candidates.length > 1 ? candidates.filter((c) => c.r.id !== except) : candidates;
+  const total = pool.reduce((sum, c) => sum + c.weight, 0);
+  let roll = random() * total;
+  for (const c of pool) {
+    roll -= c.weight;
+    if (roll <= 0) return c;
+  }
+  return pool[pool.length - 1] || null;
+}
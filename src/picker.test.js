@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_PICKER, distanceApplies, pickerCandidates } from "./picker";
+
+const place = (id, name, lat, lng) => ({
+  id, name, neighborhood: "Södermalm", cuisine: "Swedish", address: "", lat, lng,
+  visited: false, wantToTry: true, photos: [], visits: [], reviews: {}, tags: [], dishes: [],
+});
+// Medborgarplatsen, about 600 m from Nytorget and 4 km from Vasastan
+const here = { lat: 59.3143, lng: 18.0735 };
+const restaurants = [
+  place("1", "Nytorget 6", 59.3125, 18.0826),
+  place("2", "Tranan", 59.3425, 18.0495),
+];
+const names = (list) => list.map((c) => c.r.name).sort();
+
+describe("distance", () => {
+  it.each([
+    ["anywhere", 0, here, false],
+    ["a distance with a location", 1000, here, true],
+    ["a distance without a location", 1000, null, false],
+  ])("applies for %s", (_, maxDistance, from, applies) => {
+    expect(distanceApplies({ ...DEFAULT_PICKER, maxDistance }, from)).toBe(applies);
+  });
+
+  it("keeps places within the distance of the location", () => {
+    expect(names(pickerCandidates(restaurants, { ...DEFAULT_PICKER, maxDistance: 1000 }, here))).toEqual(["Nytorget 6"]);
+  });
+
+  it("lets every place through when there's no location to measure from", () => {
+    expect(names(pickerCandidates(restaurants, { ...DEFAULT_PICKER, maxDistance: 1000 }, null))).toEqual(["Nytorget 6", "Tranan"]);
+  });
+});
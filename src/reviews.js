@@ -0,0 +1,23 @@
+// Each member keeps their own notes in restaurant.reviews, keyed by user id. Rows
+// from before accounts have one shared note in `notes`, shown as its own pseudo-member.
+export const LEGACY_REVIEW = "legacy";
+
+export function memberNotes(r) {
+  const reviews = Object.entries(r.reviews || {}).map(([id, review]) => ({ id, ...review }));
+  const legacy = { id: LEGACY_REVIEW, name: "Before accounts", notes: r.notes };
+  return [legacy, ...reviews].filter((rv) => rv.notes);
+}
+
+export function myReview(r, userId) {
+  return { notes: r?.reviews?.[userId]?.notes || "" };
+}
+
+// Returns the restaurant with the member's review replaced (or removed when empty)
+export function withReview(r, user, name, review) {
+  const { [user.id]: _previous, ...others } = r.reviews || {};
+  if (!review.notes) return { ...r, reviews: others };
+  return {
+    ...r,
+    reviews: { ...others, [user.id]: { notes: review.notes, name, updatedAt: new Date().toISOString() } },
+  };
+}
@@ -0,0 +1,86 @@
+import { DEFAULT_FILTERS, SORTS } from "./filters";
+
+// App state <-> query string, e.g.
+//   ?tab=map&n=Vasastan&c=Japanese          Japanese in Vasastan on the map
+//   ?r=1712345678901                         one restaurant, card expanded
+//   ?edit=1712345678901 / ?add               the add/edit modal
+//   ?vote=K7QX2                              a voting session, by code
+//   ?l=1712345678901                         restaurants on one curated list
+//   ?open=now / ?open=2026-10-24T19:00       open now, or open at a Stockholm time
+//   ?list=<token>                            a list's public read-only page (no sign-in)
+//   ?modal=transfer                          any other modal, by name
+export const TABS = ["list", "map", "stats"];
+export const MODALS = ["transfer", "duplicates", "picker", "vote", "lists", "quarantine", "scoring", "trash"];
+
+const list = (value) => value ? value.split(",").filter(Boolean) : [];
+
+export function parseRoute(search) {
+  const p = new URLSearchParams(search);
+  const categoryMins = Object.fromEntries(
+    list(p.get("cat"))
+      .map((pair) => pair.split(":"))
+      .filter(([, min]) => Number(min) > 0)
+      .map(([cat, min]) => [cat, Number(min)])
+  );
+  const status = p.get("status");
+  const sort = p.get("sort");
+  const open = p.get("open");
+  return {
+    tab: TABS.includes(p.get("tab")) ? p.get("tab") : "list",
+    filters: {
+      ...DEFAULT_FILTERS,
+      status: status === "visited" || status === "wantToTry" ? status : "all",
+      search: p.get("q") || "",
+      neighborhoods: list(p.get("n")),
+      cuisines: list(p.get("c")),
+      minRating: Number(p.get("min")) || 0,
+      categoryMins,
+      sort: SORTS.some(([v]) => v === sort) ? sort : "default",
+      list: p.get("l") || "",
+      open: open === "now" || /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(open || "") ? open : "",
+    },
+    selected: p.get("r"),
+    modal: p.get("edit") ? { type: "edit", id: p.get("edit") }
+      : p.has("add") ? { type: "add" }
+      : p.get("vote") ? { type: "vote", code: p.get("vote") }
+      : MODALS.includes(p.get("modal")) ? { type: p.get("modal") }
+      : null,
+  };
+}
+
+export function routeSearch({ tab, filters, selected, modal }) {
+  const p = new URLSearchParams();
+  if (tab !== "list") p.set("tab", tab);
+  if (filters.status !== "all") p.set("status", filters.status);
+  if (filters.search) p.set("q", filters.search);
+  if (filters.neighborhoods.length) p.set("n", filters.neighborhoods.join(","));
+  if (filters.cuisines.length) p.set("c", filters.cuisines.join(","));
+  if (filters.minRating > 0) p.set("min", String(filters.minRating));
+  const cats = Object.entries(filters.categoryMins).filter(([, min]) => min > 0);
+  if (cats.length) p.set("cat", cats.map(([cat, min]) => `${cat}:${min}`).join(","));
+  if (filters.sort !== "default") p.set("sort", filters.sort);
+  if (filters.list) p.set("l", filters.list);
+  if (filters.open) p.set("open", filters.open);
+  if (selected) p.set("r", selected);
+  if (modal?.type === "edit") p.set("edit", modal.id);
+  if (modal?.type === "add") p.set("add", "");
+  if (modal?.type === "vote" && modal.code) p.set("vote", modal.code);
+  else if (MODALS.includes(modal?.type)) p.set("modal", modal.type);
+  const query = p.toString().replace(/add=(&|$)/, "add$1");
+  return query ? `?${query}` : window.location.pathname;
+}
+
+export function voteUrl(code) {
+  return `${window.location.origin}${window.location.pathname}?vote=${encodeURIComponent(code)}`;
+}
+
+export function listUrl(token) {
+  return `${window.location.origin}${window.location.pathname}?list=${encodeURIComponent(token)}`;
+}
+
+// The token of a shared list page, when that's what the URL is
+export const sharedListToken = (search) => new URLSearchParams(search).get("list");
+
+export function restaurantUrl(id) {
+  return `${window.location.origin}${window.location.pathname}?r=${encodeURIComponent(id)}`;
+}
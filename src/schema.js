@@ -0,0 +1,168 @@
+import { visitsOf } from "./visits";
+import { PRICE_LEVELS, emptyRatings } from "./scoring";
+
+// The restaurant record as stored in restaurants.data, with a schemaVersion so older
+// rows can be upgraded on load. Records without one are version 1: whatever the app
+// wrote before there was a schema.
+export const SCHEMA_VERSION = 3;
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const toNumber = (v) => typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v)) ? Number(v) : v;
+
+const normalizeVisit = (v) => ({
+  companions: [],
+  ordered: "",
+  spend: null,
+  photos: [],
+  ...v,
+  ratings: { ...emptyRatings(), ...(isObject(v.ratings) ? v.ratings : {}) },
+});
+
+// MIGRATIONS[n] takes a version n record to version n + 1. Each step only fixes up
+// shape; anything it can't make sense of is left for validation to flag.
+const MIGRATIONS = {
+  // Collections older clients left out, coordinates saved as text
+  1: (r) => ({
+    ...r,
+    neighborhood: r.neighborhood || "Other",
+    cuisine: r.cuisine || "Other",
+    address: r.address ?? "",
+    lat: toNumber(r.lat),
+    lng: toNumber(r.lng),
+    photos: r.photos ?? [],
+    reviews: r.reviews ?? {},
+    tags: r.tags ?? [],
+    dishes: r.dishes ?? [],
+  }),
+  // Pre-log ratings written out as the legacy visit, so every record has a visit list
+  2: (r) => {
+    const { ratings: _shared, ...rest } = r;
+    const visits = visitsOf(r).map(normalizeVisit);
+    return { ...rest, visits, visited: visits.length > 0, wantToTry: visits.length === 0 };
+  },
+};
+
+// Checks return a list of problems like "visits[2].date: expected text, got 5"
+function describe(v) {
+  if (v === undefined) return "nothing";
+  if (Array.isArray(v)) return "a list";
+  return typeof v === "object" && v ? "an object" : JSON.stringify(v);
+}
+const is = (test, expected) => (v, path) => test(v) ? [] : [`${path}: expected ${expected}, got ${describe(v)}`];
+const optional = (check) => (v, path) => v == null ? [] : check(v, path);
+const listOf = (check) => (v, path) => Array.isArray(v)
+  ? v.flatMap((x, i) => check(x, `${path}[${i}]`))
+  : [`${path}: expected a list, got ${describe(v)}`];
+const mapOf = (check) => (v, path) => isObject(v)
+  ? Object.entries(v).flatMap(([k, x]) => check(x, `${path}.${k}`))
+  : [`${path}: expected an object, got ${describe(v)}`];
+const shape = (fields) => (v, path) => isObject(v)
+  ? Object.entries(fields).flatMap(([k, check]) => check(v[k], path ? `${path}.${k}` : k))
+  : [`${path || "record"}: expected an object, got ${describe(v)}`];
+
+const text = is((v) => typeof v === "string", "text");
+const name = is((v) => typeof v === "string" && v.trim() !== "", "a non-empty text");
+const number = is(Number.isFinite, "a number");
+const flag = is((v) => typeof v === "boolean", "true or false");
+const score = is((v) => Number.isFinite(v) && v >= 0 && v <= 5, "a score from 0 to 5");
+const clock = is((v) => typeof v === "string" && /^\d{2}:\d{2}$/.test(v), "a time like 11:30");
+const photo = is((v) => typeof v === "string" || (isObject(v) && typeof v.url === "string"), "a photo");
+const person = shape({ id: text, name: text });
+const ranges = listOf(shape({ open: clock, close: clock }));
+
+const RESTAURANT = shape({
+  schemaVersion: is((v) => Number.isInteger(v) && v >= 1, "a version number"),
+  id: name,
+  name,
+  neighborhood: text,
+  cuisine: text,
+  address: text,
+  lat: number,
+  lng: number,
+  visited: flag,
+  wantToTry: flag,
+  revision: optional(is((v) => Number.isInteger(v) && v >= 0, "a whole number")),
+  addedBy: optional(person),
+  deletedAt: optional(is((v) => typeof v === "string" && !Number.isNaN(Date.parse(v)), "a timestamp")),
+  deletedBy: optional(person),
+  notes: optional(text),
+  priceLevel: optional(is((v) => Number.isInteger(v) && v >= 1 && v <= PRICE_LEVELS, `a price level from 1 to ${PRICE_LEVELS}`)),
+  photos: listOf(photo),
+  visits: listOf(shape({
+    id: name,
+    date: optional(is((v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v), "a date")),
+    by: optional(person),
+    companions: listOf(text),
+    ordered: text,
+    spend: optional(number),
+    ratings: mapOf(score),
+    photos: listOf(photo),
+  })),
+  reviews: mapOf(shape({ name: optional(text), notes: optional(text) })),
+  tags: listOf(text),
+  dishes: listOf(shape({ id: name, name: text, rating: score, notes: optional(text) })),
+  hours: optional(shape({
+    weekly: (v, path) => Array.isArray(v) && v.length !== 7
+      ? [`${path}: expected 7 days, got ${v.length}`]
+      : listOf(ranges)(v, path),
+    holidays: optional(ranges),
+    exceptions: listOf(shape({ id: text, from: text, to: optional(text), ranges, label: optional(text) })),
+  })),
+});
+
+export const validateRestaurant = (r) => RESTAURANT(r, "");
+
+// { restaurant, migrated } with the record upgraded to SCHEMA_VERSION, or { problems }.
+// Records from a newer app version are taken as they are if they still read as valid.
+export function readRestaurant(raw) {
+  if (!isObject(raw)) return { problems: [`record: expected an object, got ${describe(raw)}`] };
+  let version = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 1;
+  let record = raw;
+  try {
+    for (; version < SCHEMA_VERSION; version++) record = { ...MIGRATIONS[version](record), schemaVersion: version + 1 };
+  } catch (err) {
+    return { problems: [`upgrading to version ${version + 1} failed: ${err.message}`] };
+  }
+  const problems = validateRestaurant(record);
+  return problems.length ? { problems } : { restaurant: record, migrated: record !== raw };
+}
+
+// Thrown for a record that wouldn't read back as valid; problems as from readRestaurant
+export class InvalidRecordError extends Error {
+  constructor(problems) {
+    super(`Not a valid restaurant: ${problems.join("; ")}`);
+    this.name = "InvalidRecordError";
+    this.problems = problems;
+  }
+}
+
+// The record as it should be stored: put through the same upgrade and checks as a
+// row being read, so nothing gets saved that the next load would quarantine
+export function writableRestaurant(input) {
+  const result = readRestaurant(input);
+  if (result.problems) throw new InvalidRecordError(result.problems);
+  return result.restaurant;
+}
+
+// One { id, data } row: { restaurant, migrated } or { quarantined: { id, data, problems } }
+export function readRow(row) {
+  const result = readRestaurant(row.data);
+  const problems = result.problems ||
+    (result.restaurant.id !== row.id ? [`id: "${result.restaurant.id}" doesn't match the row's "${row.id}"`] : []);
+  return problems.length ? { quarantined: { id: row.id, data: row.data, problems } } : result;
+}
+
+// Rows split into readable restaurants (the upgraded ones also in `migrated`, to be
+// written back) and the ones set aside for the quarantine view
+export function readRows(rows) {
+  const restaurants = [];
+  const migrated = [];
+  const quarantined = [];
+  rows.forEach((row) => {
+    const { restaurant, migrated: upgraded, quarantined: bad } = readRow(row);
+    if (bad) return quarantined.push(bad);
+    restaurants.push(restaurant);
+    if (upgraded) migrated.push(restaurant);
+  });
+  return { restaurants, migrated, quarantined };
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { InvalidRecordError, SCHEMA_VERSION, readRestaurant, readRow, writableRestaurant } from "./schema";
+
+// A record as the app wrote it before there was a schema: shared ratings, no visit
+// log, coordinates as text and several lists missing
+const v1 = {
+  id: "1", name: "Pelikan", neighborhood: "Södermalm", cuisine: "Swedish",
+  lat: "59.311", lng: "18.08", visited: true, wantToTry: false,
+  ratings: { Food: 4, Vibe: 5, Service: 0, Price: 3 },
+};
+
+const v3 = {
+  schemaVersion: 3, id: "2", name: "Tranan", neighborhood: "Vasastan", cuisine: "Swedish",
+  address: "Karlbergsvägen 14", lat: 59.342, lng: 18.043, visited: false, wantToTry: true,
+  photos: [], visits: [], reviews: {}, tags: [], dishes: [],
+};
+
+describe("readRestaurant migrations", () => {
+  it("upgrades a version 1 record step by step", () => {
+    const { restaurant, migrated } = readRestaurant(v1);
+    expect(migrated).toBe(true);
+    expect(restaurant.schemaVersion).toBe(SCHEMA_VERSION);
+    // 1 → 2: missing collections filled in, coordinates as numbers
+    expect(restaurant).toMatchObject({ address: "", lat: 59.311, lng: 18.08, photos: [], reviews: {}, tags: [], dishes: [] });
+    // 2 → 3: the shared ratings become the pre-log visit
+    expect(restaurant).not.toHaveProperty("ratings");
+    expect(restaurant.visits).toHaveLength(1);
+    expect(restaurant.visits[0]).toMatchObject({ id: "legacy", companions: [], ordered: "", photos: [] });
+    expect(restaurant.visits[0].ratings).toMatchObject({ Food: 4, Vibe: 5, Service: 0, Price: 3 });
+  });
+
+  it("fills in visit defaults on a version 2 record", () => {
+    const { restaurant } = readRestaurant({
+      ...v3, schemaVersion: 2, visited: true, wantToTry: false,
+      visits: [{ id: "v1", date: "2026-09-01", by: { id: "u1", name: "Alex" }, ratings: { Food: 5 } }],
+    });
+    expect(restaurant.visits[0]).toMatchObject({ companions: [], ordered: "", spend: null, photos: [] });
+    expect(restaurant.visits[0].ratings).toMatchObject({ Food: 5, Vibe: 0 });
+  });
+
+  it("takes a current record as it is", () => {
+    const result = readRestaurant(v3);
+    expect(result).toEqual({ restaurant: v3, migrated: false });
+  });
+
+  it("takes a record from a newer version if it still reads as valid", () => {
+    const newer = { ...v3, schemaVersion: SCHEMA_VERSION + 1, sparkles: true };
+    expect(readRestaurant(newer).restaurant).toBe(newer);
+  });
+});
+
+describe("quarantine rules", () => {
+  const problems = (record) => readRestaurant(record).problems || [];
+
+  it.each([
+    ["a current record without visits", { ...v3, visits: undefined }, "visits: expected a list, got nothing"],
+    ["a dish without id or rating", { ...v3, dishes: [{ name: "Köttbullar" }] }, "dishes[0].id: expected a non-empty text, got nothing"],
+    ["a dish rated out of range", { ...v3, dishes: [{ id: "d1", name: "Köttbullar", rating: 9 }] }, "dishes[0].rating: expected a score from 0 to 5, got 9"],
+    ["a week of six days", { ...v3, hours: { weekly: [[], [], [], [], [], []], exceptions: [] } }, "hours.weekly: expected 7 days, got 6"],
+    ["a time without minutes", { ...v3, hours: { weekly: [[{ open: "11", close: "14:00" }], [], [], [], [], [], []], exceptions: [] } }, "hours.weekly[0][0].open: expected a time like 11:30, got \"11\""],
+    ["coordinates that aren't numbers", { ...v3, lat: "north" }, "lat: expected a number, got \"north\""],
+    ["a blank name", { ...v3, name: " " }, "name: expected a non-empty text, got \" \""],
+  ])("flags %s", (_, record, problem) => {
+    expect(problems(record)).toContain(problem);
+  });
+
+  it("flags something that isn't a record at all", () => {
+    expect(problems(null)).toEqual(["record: expected an object, got null"]);
+  });
+
+  it("sets a row aside when its id doesn't match the record's", () => {
+    const { quarantined } = readRow({ id: "3", data: v3 });
+    expect(quarantined.problems).toEqual(['id: "2" doesn\'t match the row\'s "3"']);
+  });
+
+  it("reads a matching row", () => {
+    expect(readRow({ id: "2", data: v3 }).restaurant).toEqual(v3);
+  });
+});
+
+describe("writableRestaurant", () => {
+  it("upgrades a record before it's stored", () => {
+    expect(writableRestaurant(v1)).toEqual(readRestaurant(v1).restaurant);
+  });
+
+  it("rejects what the next load would quarantine", () => {
+    expect(() => writableRestaurant({ ...v3, visits: undefined })).toThrow(InvalidRecordError);
+  });
+});
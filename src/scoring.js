@@ -0,0 +1,66 @@
+import { CATEGORIES } from "./constants";
+
+// Every score in the app goes through here. A rating set is { [category]: 0-5 }
+// where 0 means "not rated"; averages skip unrated categories and weigh the rest.
+// The group's extra categories and weights come from the shared settings row.
+export const DEFAULT_SCORING = { categories: [], weights: {} };
+export const MAX_WEIGHT = 3;
+export const PRICE_LEVELS = 4; // r.priceLevel: 1 (kr) to 4 (kr kr kr kr); unset = unknown
+
+let scoring = DEFAULT_SCORING;
+
+// "kr kr" for priceLevel 2; "" when it isn't set
+export const priceSymbols = (level) => level ? Array(level).fill("kr").join(" ") : "";
+
+// Settings as stored (the shared row, or the copy in localStorage) into { categories,
+// weights } that the rest of the module can trust: custom categories are cleaned,
+// non-empty, unique and never a built-in one; weights are numbers from 0 to MAX_WEIGHT.
+// Anything else, or a row that isn't an object at all, is left out.
+export function readScoring(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const categories = [];
+  for (const name of Array.isArray(source.categories) ? source.categories : []) {
+    const clean = typeof name === "string" ? cleanCategoryName(name) : "";
+    const known = [...CATEGORIES, ...categories].some((c) => c.toLowerCase() === clean.toLowerCase());
+    if (clean && !known) categories.push(clean);
+  }
+  const weights = {};
+  if (source.weights && typeof source.weights === "object") {
+    for (const cat of [...CATEGORIES, ...categories]) {
+      const w = source.weights[cat];
+      if (Number.isFinite(w) && w >= 0 && w <= MAX_WEIGHT) weights[cat] = w;
+    }
+  }
+  return { ...DEFAULT_SCORING, categories, weights };
+}
+
+export function setScoringSettings(next) {
+  scoring = readScoring(next);
+}
+
+// Built-in categories first, then the group's own ("Wine list", "Kid-friendly")
+export const allCategories = () => [...CATEGORIES, ...scoring.categories];
+
+export const categoryWeight = (cat) => scoring.weights[cat] ?? 1;
+
+// "Price" has always been scored as value for money, not how expensive a place is
+export const categoryLabel = (cat) => cat === "Price" ? "Value" : cat;
+
+export const emptyRatings = () => Object.fromEntries(allCategories().map((c) => [c, 0]));
+
+// Weighted mean over the rated categories, or null when none is rated. Categories
+// weighted 0 don't count, unless they're all a place was rated in: then it gets the
+// plain mean of those rather than no score at all.
+export function ratingAverage(ratings) {
+  const rated = allCategories().filter((cat) => ratings?.[cat] > 0);
+  if (!rated.length) return null;
+  const total = rated.reduce((sum, cat) => sum + categoryWeight(cat), 0);
+  return total
+    ? rated.reduce((sum, cat) => sum + ratings[cat] * categoryWeight(cat), 0) / total
+    : rated.reduce((sum, cat) => sum + ratings[cat], 0) / rated.length;
+}
+
+export const isRated = (ratings) => ratingAverage(ratings) != null;
+
+// Custom category names end up in URLs as "name:min" pairs
+export const cleanCategoryName = (name) => String(name || "").replace(/[,:]/g, " ").replace(/\s+/g, " ").trim();
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { DEFAULT_SCORING, MAX_WEIGHT, allCategories, ratingAverage, readScoring, setScoringSettings } from "./scoring";
+
+afterEach(() => setScoringSettings(DEFAULT_SCORING));
+
+describe("ratingAverage", () => {
+  it.each([
+    ["nothing rated", {}, {}, null],
+    ["equal weights", {}, { Food: 4, Vibe: 2 }, 3],
+    ["unrated categories skipped", {}, { Food: 4, Vibe: 0, Service: 0 }, 4],
+    ["heavier food", { Food: 3 }, { Food: 5, Vibe: 1 }, 4],
+    ["weight 0 left out", { Vibe: 0 }, { Food: 4, Vibe: 1 }, 4],
+    ["only weight-0 categories rated", { Food: 0, Vibe: 0 }, { Food: 4, Vibe: 2 }, 3],
+  ])("%s", (_, weights, ratings, average) => {
+    setScoringSettings({ weights });
+    expect(ratingAverage(ratings)).toBe(average);
+  });
+
+  it("counts the group's own categories", () => {
+    setScoringSettings({ categories: ["Wine list"], weights: { "Wine list": 2 } });
+    expect(ratingAverage({ Food: 2, "Wine list": 5 })).toBe(4);
+  });
+});
+
+describe("readScoring", () => {
+  it.each([
+    ["nothing saved", null],
+    ["a string", "weights"],
+    ["an array", [1, 2]],
+    ["fields of the wrong type", { categories: "Wine list", weights: [2] }],
+  ])("falls back to the defaults for %s", (_, raw) => {
+    expect(readScoring(raw)).toEqual(DEFAULT_SCORING);
+  });
+
+  it("keeps good settings as they are", () => {
+    const settings = { categories: ["Wine list"], weights: { Food: 2, "Wine list": 0.5 } };
+    expect(readScoring(settings)).toEqual(settings);
+  });
+
+  it("drops categories that aren't usable names", () => {
+    expect(readScoring({ categories: ["Wine list", "wine list", "food", "", "  ", 3, null, { name: "x" }, "Kid:friendly"] }).categories)
+      .toEqual(["Wine list", "Kid friendly"]);
+  });
+
+  it("drops weights that aren't numbers in range or belong to no category", () => {
+    const weights = { Food: "2", Vibe: -1, Service: MAX_WEIGHT + 1, Price: NaN, Gone: 2, "Wine list": MAX_WEIGHT };
+    expect(readScoring({ categories: ["Wine list"], weights }).weights).toEqual({ "Wine list": MAX_WEIGHT });
+  });
+
+  it("is what setScoringSettings uses", () => {
+    setScoringSettings({ categories: ["Wine list", 42] });
+    expect(allCategories()).toEqual(["Food", "Vibe", "Service", "Price", "Wine list"]);
+  });
+});
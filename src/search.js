@@ -0,0 +1,73 @@
+import { memberNotes } from "./reviews";
+import { visitsOf } from "./visits";
+import { tagsOf, dishesOf } from "./tags";
+
+// Free-text search over everything written about a restaurant: name, place, tags,
+// dishes, members' notes and what was ordered. Every word of the query has to turn
+// up somewhere, in any order.
+
+export const searchTerms = (search) =>
+  [...new Set(String(search || "").toLowerCase().split(/\s+/).filter(Boolean))];
+
+// [{ label, text }]; the first three are always on the card
+function searchableTexts(r) {
+  return [
+    { label: "name", text: r.name },
+    { label: "neighborhood", text: r.neighborhood },
+    { label: "cuisine", text: r.cuisine },
+    ...tagsOf(r).map((t) => ({ label: "tag", text: t })),
+    ...dishesOf(r).flatMap((d) => [
+      { label: "dish", text: d.name },
+      { label: d.name || "dish", text: d.notes },
+    ]),
+    ...memberNotes(r).map((rv) => ({ label: rv.name, text: rv.notes })),
+    ...visitsOf(r).map((v) => ({ label: `ordered ${v.date || ""}`.trim(), text: v.ordered })),
+  ].filter((t) => t.text);
+}
+
+export function matchesSearch(r, search) {
+  const terms = searchTerms(search);
+  if (!terms.length) return true;
+  const haystack = searchableTexts(r).map((t) => t.text.toLowerCase()).join("\n");
+  return terms.every((t) => haystack.includes(t));
+}
+
+const EXCERPT_CHARS = 40; // of context either side of the first hit
+
+function excerpt(text, terms) {
+  const lower = text.toLowerCase();
+  const at = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0));
+  const from = Math.max(0, at - EXCERPT_CHARS);
+  const to = Math.min(text.length, at + EXCERPT_CHARS * 2);
+  return `${from > 0 ? "…" : ""}${text.slice(from, to)}${to < text.length ? "…" : ""}`;
+}
+
+// Hits in notes, dishes and orders, which a collapsed card doesn't show:
+// [{ label, text }] with text cut down around the match
+export function searchSnippets(r, search) {
+  const terms = searchTerms(search);
+  if (!terms.length) return [];
+  return searchableTexts(r)
+    .filter((t) => !["name", "neighborhood", "cuisine", "tag"].includes(t.label))
+    .filter((t) => terms.some((term) => t.text.toLowerCase().includes(term)))
+    .map((t) => ({ label: t.label, text: excerpt(t.text, terms) }));
+}
+
+// text as [{ text, match }] runs, match = part of some search term
+export function highlightParts(text, search) {
+  const terms = searchTerms(search);
+  const value = String(text ?? "");
+  if (!terms.length || !value) return [{ text: value, match: false }];
+  const lower = value.toLowerCase();
+  const marked = new Array(value.length).fill(false);
+  terms.forEach((t) => {
+    for (let i = lower.indexOf(t); i >= 0; i = lower.indexOf(t, i + 1)) marked.fill(true, i, i + t.length);
+  });
+  const parts = [];
+  for (let i = 0; i < value.length; i++) {
+    const last = parts[parts.length - 1];
+    if (last && last.match === marked[i]) last.text += value[i];
+    else parts.push({ text: value[i], match: marked[i] });
+  }
+  return parts;
+}
@@ -0,0 +1,96 @@
+import { NEIGHBORHOODS, CUISINES } from "./constants";
+import { addedTime } from "./filters";
+import { visitsOf, groupAverage, categoryAverage } from "./visits";
+import { allCategories } from "./scoring";
+
+// Numbers behind the stats tab. Everything takes the (filtered) restaurant list.
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+const rated = (restaurants) => restaurants.filter((r) => groupAverage(r) != null);
+
+// [{ key, count, averages: { [category]: score | null } }] per value of field
+// ("cuisine" or "neighborhood"), for the values with at least one rated place
+export function categoryAveragesBy(restaurants, field) {
+  const options = field === "cuisine" ? CUISINES : NEIGHBORHOODS;
+  return options
+    .map((key) => {
+      const group = rated(restaurants).filter((r) => r[field] === key);
+      return {
+        key,
+        count: group.length,
+        averages: Object.fromEntries(allCategories().map((cat) => [
+          cat,
+          mean(group.map((r) => categoryAverage(r, cat)).filter((v) => v > 0)),
+        ])),
+      };
+    })
+    .filter((row) => row.count > 0);
+}
+
+// Group averages in half-star bins from 1 to 5: [{ from, count }]
+export function ratingHistogram(restaurants) {
+  const bins = Array.from({ length: 9 }, (_, i) => ({ from: 1 + i / 2, count: 0 }));
+  rated(restaurants).forEach((r) => {
+    const i = Math.min(8, Math.max(0, Math.floor((groupAverage(r) - 1) * 2)));
+    bins[i].count++;
+  });
+  return bins;
+}
+
+// { [category]: [{ r, score }] } best first
+export function topRatedByCategory(restaurants, n = 3) {
+  return Object.fromEntries(allCategories().map((cat) => [
+    cat,
+    restaurants
+      .map((r) => ({ r, score: categoryAverage(r, cat) }))
+      .filter((e) => e.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, n),
+  ]));
+}
+
+const monthOf = (time) => new Date(time).toISOString().slice(0, 7);
+
+function firstVisit(r) {
+  const dates = visitsOf(r).map((v) => v.date).filter(Boolean).sort();
+  return dates[0] ? Date.parse(dates[0]) : null;
+}
+
+// Month by month: how many places had been added and how many visited so far.
+// [{ month: "2026-03", added, visited }]; undated visits count from when the place was added.
+export function backlogGrowth(restaurants) {
+  const events = restaurants.map((r) => ({
+    added: addedTime(r),
+    visited: r.visited ? firstVisit(r) ?? addedTime(r) : null,
+  })).filter((e) => e.added > 0);
+  if (!events.length) return [];
+  const months = [];
+  const start = new Date(Math.min(...events.map((e) => e.added)));
+  const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  const end = monthOf(Date.now());
+  while (monthOf(cursor) <= end) {
+    months.push(monthOf(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months.map((month) => ({
+    month,
+    added: events.filter((e) => monthOf(e.added) <= month).length,
+    visited: events.filter((e) => e.visited != null && monthOf(e.visited) <= month).length,
+  }));
+}
+
+// Neighborhood x cuisine grid: { [neighborhood]: { [cuisine]: { visited, listed } } }
+// "Other" is left out on both axes
+export function explorationGrid(restaurants) {
+  const grid = {};
+  NEIGHBORHOODS.filter((n) => n !== "Other").forEach((n) => {
+    grid[n] = Object.fromEntries(CUISINES.filter((c) => c !== "Other").map((c) => [c, { visited: 0, listed: 0 }]));
+  });
+  restaurants.forEach((r) => {
+    const cell = grid[r.neighborhood]?.[r.cuisine];
+    if (!cell) return;
+    if (r.visited) cell.visited++;
+    else cell.listed++;
+  });
+  return grid;
+}
@@ -0,0 +1,192 @@
+import { createClient } from "@supabase/supabase-js";
+import { readRows, writableRestaurant } from "./schema";
+
+// Supabase
+export const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_KEY
+);
+
+// Supabase helpers
+
+const SETTINGS_ROW = "group";
+
+// Every row read through the schema: { restaurants, migrated, quarantined } (see readRows)
+export async function fetchAll() {
+  const { data, error } = await supabase
+    .from("restaurants")
+    .select("*")
+    .order("updated_at", { ascending: false });
+  if (error) throw error;
+  return readRows(data);
+}
+
+// Thrown when a save is based on an older revision than the one stored
+export class ConflictError extends Error {
+  constructor(remote) {
+    super("Restaurant was changed by someone else");
+    this.name = "ConflictError";
+    this.remote = remote;
+  }
+}
+
+async function fetchOne(id) {
+  const { data, error } = await supabase
+    .from("restaurants")
+    .select("data")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? data.data : null;
+}
+
+// Saves only if the stored row is still at the revision this edit started from
+// (restaurant.revision - 1). Rows written before revisions existed count as 0.
+// Throws InvalidRecordError, without writing, for a record that wouldn't read back.
+export async function upsertRestaurant(input) {
+  const restaurant = writableRestaurant(input);
+  const base = (restaurant.revision || 1) - 1;
+  let update = supabase
+    .from("restaurants")
+    .update({ data: restaurant })
+    .eq("id", restaurant.id);
+  update = base > 0
+    ? update.eq("data->>revision", String(base))
+    : update.is("data->revision", null);
+  const { data: updated, error } = await update.select("id");
+  // Raised by the row guards: another member's review, or trashing someone else's place
+  if (error?.code === "42501") throw new PermissionError(error.message);
+  if (error) throw error;
+  if (updated.length > 0) return;
+
+  // Nothing matched: either a new restaurant or a stale base revision
+  const remote = await fetchOne(restaurant.id);
+  if (remote) throw new ConflictError(remote);
+  const { error: insertError } = await supabase
+    .from("restaurants")
+    .insert({ id: restaurant.id, data: restaurant });
+  if (insertError?.code === "23505") throw new ConflictError(await fetchOne(restaurant.id));
+  if (insertError) throw insertError;
+}
+
+// Thrown when row-level security filtered out a write
+export class PermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermissionError";
+  }
+}
+
+// Only the member who added a restaurant may delete it. RLS silently filters the
+// row out for everyone else, so ask for the deleted ids back to tell the cases apart.
+export async function deleteRestaurant(id) {
+  const { data: deleted, error } = await supabase
+    .from("restaurants")
+    .delete()
+    .eq("id", id)
+    .select("id");
+  if (error) throw error;
+  if (deleted.length === 0 && await fetchOne(id)) {
+    throw new PermissionError("Only the person who added this restaurant can delete it");
+  }
+}
+
+// Saves the merged restaurant (see mergeDuplicates) and deletes the duplicate in one
+// go on the server, which also moves the other members' reviews over since they
+// can't be written from here. Returns the kept restaurant as stored afterwards.
+export async function mergeDuplicate(keepId, duplicateId, merged) {
+  const { data, error } = await supabase.rpc("merge_duplicate", {
+    keep_id: keepId,
+    duplicate_id: duplicateId,
+    merged: writableRestaurant(merged),
+  });
+  if (error?.code === "42501") throw new PermissionError(error.message);
+  if (error?.code === "40001") throw new ConflictError(await fetchOne(keepId));
+  if (error) throw error;
+  return data;
+}
+
+// Saved versions of a restaurant, recorded by the server on every write:
+// [{ id, data, author: { id, name }, at }] newest first
+const toRevision = (row) => ({
+  id: row.id,
+  data: row.data,
+  author: { id: row.author_id, name: row.author_name },
+  at: row.created_at,
+});
+
+export async function fetchRevisions(restaurantId) {
+  const { data, error } = await supabase
+    .from("restaurant_revisions")
+    .select("*")
+    .eq("restaurant_id", restaurantId)
+    .order("id", { ascending: false });
+  if (error) throw error;
+  return data.map(toRevision);
+}
+
+// Calls onRevision with each revision of the restaurant saved from now on,
+// whichever client wrote it. Returns the unsubscribe function.
+export function subscribeRevisions(restaurantId, onRevision) {
+  const channel = supabase
+    .channel(`revisions-${restaurantId}`)
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table: "restaurant_revisions", filter: `restaurant_id=eq.${restaurantId}` },
+      (payload) => onRevision(toRevision(payload.new))
+    )
+    .subscribe();
+  return () => supabase.removeChannel(channel);
+}
+
+// Curated lists: rows shaped like restaurants ({ id, data }), last write wins
+export async function fetchLists() {
+  const { data, error } = await supabase
+    .from("lists")
+    .select("*")
+    .order("updated_at", { ascending: false });
+  if (error) throw error;
+  return data.map((row) => row.data);
+}
+
+export async function upsertList(list) {
+  const { error } = await supabase
+    .from("lists")
+    .upsert({ id: list.id, data: list, updated_at: new Date().toISOString() });
+  if (error) throw error;
+}
+
+export async function deleteList(id) {
+  const { data: deleted, error } = await supabase
+    .from("lists")
+    .delete()
+    .eq("id", id)
+    .select("id");
+  if (error) throw error;
+  if (deleted.length === 0) throw new PermissionError("Only the person who made this list can delete it");
+}
+
+// The group's shared settings (scoring categories and weights); null until someone saves them
+export async function fetchSettings() {
+  const { data, error } = await supabase
+    .from("settings")
+    .select("data")
+    .eq("id", SETTINGS_ROW)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.data ?? null;
+}
+
+export async function saveSettings(settings) {
+  const { error } = await supabase
+    .from("settings")
+    .upsert({ id: SETTINGS_ROW, data: settings, updated_at: new Date().toISOString() });
+  if (error) throw error;
+}
+
+// A shared list for visitors without an account: { list, restaurants } or null
+export async function fetchSharedList(token) {
+  const { data, error } = await supabase.rpc("shared_list", { token });
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,38 @@
+// Free-form tags ("outdoor seating", "takes walk-ins") in r.tags, and the dishes
+// worth remembering in r.dishes: [{ id, name, rating (0 = unrated, else 1-5), notes }]
+
+export const normalizeTag = (text) => String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+export const tagsOf = (r) => Array.isArray(r.tags) ? r.tags : [];
+export const dishesOf = (r) => Array.isArray(r.dishes) ? r.dishes : [];
+
+// Every tag in use: [{ tag, count }], most used first
+export function tagCounts(restaurants) {
+  const counts = {};
+  restaurants.forEach((r) => tagsOf(r).forEach((t) => { counts[t] = (counts[t] || 0) + 1; }));
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, "sv"));
+}
+
+// Existing tags for the autocomplete: ones starting with the input first, then ones
+// containing it; tags the restaurant already has are left out
+export function suggestTags(input, restaurants, current = [], limit = 6) {
+  const q = normalizeTag(input);
+  const unused = tagCounts(restaurants).map((t) => t.tag).filter((t) => !current.includes(t));
+  if (!q) return unused.slice(0, limit);
+  return [
+    ...unused.filter((t) => t.startsWith(q)),
+    ...unused.filter((t) => !t.startsWith(q) && t.includes(q)),
+  ].slice(0, limit);
+}
+
+export const addTag = (tags, text) => {
+  const tag = normalizeTag(text);
+  return tag && !tags.includes(tag) ? [...tags, tag] : tags;
+};
+
+export const newDish = () => ({ id: Date.now().toString(), name: "", rating: 0, notes: "" });
+
+// Best rated first; unrated dishes keep their order at the end
+export const rankedDishes = (r) => [...dishesOf(r)].sort((a, b) => (b.rating || 0) - (a.rating || 0));
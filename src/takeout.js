@@ -0,0 +1,173 @@
+import { parseCsv } from "./transfer";
+import { guessNeighborhood } from "./neighborhoods";
+import { withReview } from "./reviews";
+import { osmHours } from "./hours";
+import { SCHEMA_VERSION } from "./schema";
+
+// Saved places from Google Maps Takeout (Saved Places.json, saved-list CSVs) and
+// OSM-based apps (GeoJSON with OSM tags, OsmAnd GPX favourites, Organic Maps KML),
+// read into { name, lat, lng, address, category, note } places.
+
+// Greater Stockholm, roughly Sollentuna to Huddinge and Bromma to Lidingö/Nacka
+const STOCKHOLM_BOUNDS = { south: 59.20, north: 59.47, west: 17.80, east: 18.30 };
+
+export const inStockholm = ({ lat, lng }) =>
+  lat >= STOCKHOLM_BOUNDS.south && lat <= STOCKHOLM_BOUNDS.north &&
+  lng >= STOCKHOLM_BOUNDS.west && lng <= STOCKHOLM_BOUNDS.east;
+
+// First match wins, so specific words go before generic ones
+const CUISINE_KEYWORDS = [
+  ["Japanese", /japan|sushi|ramen|izakaya|udon|yakitori|omakase/],
+  ["Korean", /korea|bibimbap/],
+  ["Chinese", /chinese|china|dim ?sum|dumpling|sichuan|szechuan|cantonese/],
+  ["Thai", /thai/],
+  ["Indian", /india|curry|tandoor|nepal/],
+  ["Mexican", /mexic|taco|burrito|taqueria/],
+  ["Middle Eastern", /middle.?east|leban|falafel|kebab|shawarma|persian|turkish|israeli|syrian/],
+  ["Italian", /itali|pizz|pasta|trattoria|osteria/],
+  ["French", /french|brasserie|bistro|cr[eê]pe/],
+  ["American", /americ|burger|bbq|barbecue|diner|steak/],
+  ["Swedish", /swed|svensk|husman|nordic|scandinavian|smörgås/],
+];
+
+export function guessCuisine(...texts) {
+  const text = texts.filter(Boolean).join(" ").toLowerCase().replace(/_/g, " ");
+  return CUISINE_KEYWORDS.find(([, re]) => re.test(text))?.[0] || "Other";
+}
+
+const toNumber = (v) => (v === "" || v == null ? NaN : Number(v));
+
+// Google Maps links carry coordinates as @lat,lng, !3dlat!4dlng or ?q=lat,lng
+function coordsFromUrl(url) {
+  const m = String(url || "").match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) ||
+    String(url || "").match(/[@=](-?\d+\.\d+),(-?\d+\.\d+)/);
+  return m ? { lat: Number(m[1]), lng: Number(m[2]) } : { lat: NaN, lng: NaN };
+}
+
+function osmAddress(tags) {
+  const street = [tags["addr:street"], tags["addr:housenumber"]].filter(Boolean).join(" ");
+  return [street, tags["addr:city"]].filter(Boolean).join(", ");
+}
+
+// A point for Point features, the average vertex otherwise (OSM buildings)
+function featurePoint(geometry) {
+  if (!geometry) return { lat: NaN, lng: NaN };
+  if (geometry.type === "Point") return { lat: geometry.coordinates[1], lng: geometry.coordinates[0] };
+  const flat = JSON.stringify(geometry.coordinates).match(/-?\d+(\.\d+)?/g)?.map(Number) || [];
+  const pairs = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) pairs.push(flat.slice(i, i + 2));
+  if (!pairs.length) return { lat: NaN, lng: NaN };
+  return {
+    lat: pairs.reduce((sum, [, lat]) => sum + lat, 0) / pairs.length,
+    lng: pairs.reduce((sum, [lng]) => sum + lng, 0) / pairs.length,
+  };
+}
+
+function geoJsonPlace(feature) {
+  const p = feature.properties || {};
+  // Google Takeout: "Location" (older exports) or "location" (newer)
+  const loc = p.Location || p.location || {};
+  const geo = loc["Geo Coordinates"];
+  let { lat, lng } = featurePoint(feature.geometry);
+  // Google writes [0, 0] for places it only knows by URL
+  if (lat === 0 && lng === 0) ({ lat, lng } = geo
+    ? { lat: toNumber(geo.Latitude), lng: toNumber(geo.Longitude) }
+    : coordsFromUrl(p["Google Maps URL"] || p.google_maps_url));
+  return {
+    name: p.Title || loc["Business Name"] || loc.name || p.name || "",
+    lat,
+    lng,
+    address: loc.Address || loc.address || osmAddress(p),
+    category: [p.amenity, p.cuisine].filter(Boolean).join(" "),
+    note: p.Comment || p.comment || p.description || "",
+    openingHours: p.opening_hours || "",
+  };
+}
+
+function csvPlaces(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return rows.map((cells) => {
+    const raw = Object.fromEntries(keys.map((k, i) => [k, cells[i] ?? ""]));
+    const given = { lat: toNumber(raw.lat ?? raw.latitude), lng: toNumber(raw.lng ?? raw.lon ?? raw.longitude) };
+    return {
+      name: raw.title || raw.name || "",
+      ...(Number.isFinite(given.lat) && Number.isFinite(given.lng) ? given : coordsFromUrl(raw.url)),
+      address: raw.address || "",
+      category: raw.tags || raw.category || "",
+      note: [raw.note, raw.comment].filter(Boolean).join("\n"),
+    };
+  });
+}
+
+const childText = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent.trim() || "";
+
+function gpxPlaces(doc) {
+  return [...doc.getElementsByTagName("wpt")].map((wpt) => ({
+    name: childText(wpt, "name"),
+    lat: toNumber(wpt.getAttribute("lat")),
+    lng: toNumber(wpt.getAttribute("lon")),
+    address: childText(wpt, "osmand:address"),
+    category: [childText(wpt, "type"), childText(wpt, "osmand:amenity_subtype")].join(" "),
+    note: childText(wpt, "desc"),
+  }));
+}
+
+function kmlPlaces(doc) {
+  return [...doc.getElementsByTagName("Placemark")].map((pm) => {
+    const [lng, lat] = childText(pm, "coordinates").split(",").map(toNumber);
+    return {
+      name: childText(pm, "name"),
+      lat,
+      lng,
+      address: childText(pm, "address"),
+      category: "",
+      note: childText(pm, "description").replace(/<[^>]*>/g, " ").trim(),
+    };
+  });
+}
+
+export function parseTakeoutFile(text, filename) {
+  if (/\.(gpx|kml)$/i.test(filename) || /^\s*<\?xml|^\s*<(gpx|kml)/i.test(text)) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error("This file is not valid GPX/KML");
+    return doc.getElementsByTagName("gpx").length ? gpxPlaces(doc) : kmlPlaces(doc);
+  }
+  if (/\.(geo)?json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    const features = parsed.features || (Array.isArray(parsed) ? parsed : null);
+    if (!features) throw new Error("No saved places found in this file");
+    return features.map(geoJsonPlace);
+  }
+  return csvPlaces(text);
+}
+
+// Splits places into import records (current-schema restaurants apart from the id,
+// as "Want to try", with the note as the importing member's own) and counts of the
+// ones left out
+export function takeoutRecords(places, user, userName) {
+  const located = places.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  const nearby = located.filter(inStockholm);
+  return {
+    records: nearby.map((p) => withReview({
+      schemaVersion: SCHEMA_VERSION,
+      name: p.name,
+      lat: p.lat,
+      lng: p.lng,
+      address: p.address,
+      neighborhood: guessNeighborhood(p),
+      cuisine: guessCuisine(p.category, p.name),
+      visited: false,
+      wantToTry: true,
+      photos: [],
+      visits: [],
+      reviews: {},
+      tags: [],
+      dishes: [],
+      ...osmHours(p.openingHours),
+    }, user, userName, { notes: p.note })),
+    outside: located.length - nearby.length,
+    unlocated: places.length - located.length,
+  };
+}
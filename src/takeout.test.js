@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { readRestaurant } from "./schema";
+import { parseTakeoutFile, takeoutRecords } from "./takeout";
+
+const me = { id: "u1" };
+
+const TAKEOUT = JSON.stringify({
+  type: "FeatureCollection",
+  features: [{
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [18.0718, 59.3165] },
+    properties: {
+      Title: "Pelikan",
+      Comment: "Try the meatballs",
+      Location: { Address: "Blekingegatan 40, Stockholm" },
+    },
+  }, {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [2.35, 48.85] },
+    properties: { Title: "Somewhere in Paris" },
+  }],
+});
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns:osmand="https://osmand.net">
+  <wpt lat="59.3426" lon="18.0431">
+    <name>Tranan</name>
+    <type>restaurant</type>
+    <desc>Swedish classics</desc>
+  </wpt>
+</gpx>`;
+
+const KML = `<?xml version="1.0"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark>
+    <name>Sushi Sho</name>
+    <description><![CDATA[<b>Omakase</b> only]]></description>
+    <Point><coordinates>18.0553,59.3437,0</coordinates></Point>
+  </Placemark>
+</Document></kml>`;
+
+describe.each([
+  ["Takeout", TAKEOUT, "Saved Places.json", "Pelikan"],
+  ["GPX", GPX, "favourites.gpx", "Tranan"],
+  ["KML", KML, "places.kml", "Sushi Sho"],
+])("%s places", (_, text, filename, name) => {
+  const { records } = takeoutRecords(parseTakeoutFile(text, filename), me, "Alex");
+
+  it("become records that read as current restaurants", () => {
+    expect(records.map((r) => r.name)).toEqual([name]);
+    const { restaurant, migrated, problems } = readRestaurant({ id: "1", ...records[0] });
+    expect(problems).toBeUndefined();
+    expect(migrated).toBe(false);
+    expect(restaurant).toMatchObject({ visited: false, wantToTry: true, visits: [], dishes: [], tags: [] });
+  });
+});
+
+describe("takeoutRecords", () => {
+  it("keeps the note as the importer's own and counts places outside Stockholm", () => {
+    const { records, outside, unlocated } = takeoutRecords(parseTakeoutFile(TAKEOUT, "Saved Places.json"), me, "Alex");
+    expect(records[0].reviews.u1).toMatchObject({ name: "Alex", notes: "Try the meatballs" });
+    expect({ outside, unlocated }).toEqual({ outside: 1, unlocated: 0 });
+  });
+});
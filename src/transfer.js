@@ -0,0 +1,293 @@
+import { NEIGHBORHOODS, CUISINES } from "./constants";
+import { haversine } from "./geo";
+import { normalizeName } from "./duplicates";
+import { memberNotes } from "./reviews";
+import { visitsOf, groupAverage, categoryAverage, keepOthersVisits } from "./visits";
+import { PRICE_LEVELS, allCategories } from "./scoring";
+import { tagsOf, dishesOf, addTag } from "./tags";
+import { osmHours } from "./hours";
+import { readRestaurant } from "./schema";
+import { isTrashed } from "./trash";
+
+// Export / import of the whole collection as JSON or CSV. Exports leave out what's
+// in the trash.
+
+const EXPORT_FORMAT = "stockholm-eats";
+const DUPLICATE_RADIUS_M = 150;
+
+const stripPhotos = (r) => ({
+  ...r,
+  photos: [],
+  ...(Array.isArray(r.visits) ? { visits: r.visits.map((v) => ({ ...v, photos: [] })) } : {}),
+});
+
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function exportJson(restaurants, { photos }) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    restaurants: restaurants.filter((r) => !isTrashed(r)).map((r) => photos ? r : stripPhotos(r)),
+  }, null, 2);
+}
+
+// CSV: one row per restaurant. Readable summary columns first, then JSON columns
+// that carry the nested data so the file imports back without loss. The group's
+// own rating categories get a column each after the built-in ones.
+const csvColumns = () => [
+  "id", "name", "neighborhood", "cuisine", "address", "lat", "lng", "visited",
+  "average", ...allCategories(), "price_level", "tags", "notes", "visits", "reviews", "photos", "dishes", "hours",
+];
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportCsv(restaurants, { photos }) {
+  const rows = restaurants.filter((r) => !isTrashed(r)).map((original) => {
+    const r = photos ? original : stripPhotos(original);
+    const avg = groupAverage(r);
+    return [
+      r.id, r.name, r.neighborhood, r.cuisine, r.address, r.lat, r.lng, r.visited ? "yes" : "no",
+      avg != null ? avg.toFixed(1) : "",
+      ...allCategories().map((cat) => categoryAverage(r, cat) ? categoryAverage(r, cat).toFixed(1) : ""),
+      r.priceLevel || "",
+      tagsOf(r).join(", "),
+      memberNotes(r).map((n) => `${n.name}: ${n.notes}`).join("\n"),
+      JSON.stringify(visitsOf(r)),
+      JSON.stringify(r.reviews || {}),
+      JSON.stringify(r.photos || []),
+      JSON.stringify(dishesOf(r)),
+      r.hours ? JSON.stringify(r.hours) : "",
+    ];
+  });
+  return [csvColumns(), ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function parseJsonCell(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const raw = Object.fromEntries(keys.map((k, i) => [k, cells[i] ?? ""]));
+    const visits = parseJsonCell(raw.visits, null);
+    const hours = parseJsonCell(raw.hours, null);
+    return {
+      id: raw.id || undefined,
+      name: raw.name,
+      neighborhood: raw.neighborhood,
+      cuisine: raw.cuisine,
+      address: raw.address,
+      lat: raw.lat,
+      lng: raw.lng,
+      visited: /^(yes|true|1)$/i.test(String(raw.visited || "").trim()),
+      priceLevel: raw.price_level,
+      ...(Array.isArray(visits) ? { visits } : {}),
+      reviews: parseJsonCell(raw.reviews, {}),
+      photos: parseJsonCell(raw.photos, []),
+      tags: String(raw.tags || "").split(","),
+      dishes: parseJsonCell(raw.dishes, []),
+      // Exported hours are JSON; hand-written files can use OSM syntax
+      ...(hours ? { hours } : osmHours(raw.opening_hours)),
+      // Files written by hand: a plain notes column becomes the shared note
+      ...(raw.notes && !raw.reviews ? { notes: raw.notes } : {}),
+    };
+  });
+}
+
+// Reads an exported (or hand-written) file into plain records
+export function parseImportFile(text, filename) {
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed.restaurants;
+    if (!Array.isArray(list)) throw new Error("No restaurants found in this file");
+    return list;
+  }
+  return csvToRecords(text);
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function matchOption(value, options) {
+  const text = String(value || "").trim().toLowerCase();
+  return options.find((o) => o.toLowerCase() === text);
+}
+
+// { restaurant, errors, warnings } for one imported record
+export function validateRecord(record) {
+  const errors = [];
+  const warnings = [];
+  const name = String(record.name || "").trim();
+  if (!name) errors.push("Missing name");
+
+  const neighborhood = matchOption(record.neighborhood, NEIGHBORHOODS);
+  if (!neighborhood) warnings.push(`Unknown neighborhood "${record.neighborhood || ""}" → Other`);
+  const cuisine = matchOption(record.cuisine, CUISINES);
+  if (!cuisine) warnings.push(`Unknown cuisine "${record.cuisine || ""}" → Other`);
+
+  const lat = parseFloat(record.lat);
+  const lng = parseFloat(record.lng);
+  const located = Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  if (!located) warnings.push("No valid coordinates → Stockholm center");
+
+  const rawPriceLevel = record.priceLevel;
+  const priceLevel = Number(rawPriceLevel);
+  const priced = Number.isInteger(priceLevel) && priceLevel >= 1 && priceLevel <= PRICE_LEVELS;
+  if (rawPriceLevel != null && rawPriceLevel !== "" && !priced) warnings.push(`Unknown price level "${rawPriceLevel}" → left out`);
+
+  const visits = Array.isArray(record.visits) ? record.visits : undefined;
+  const visited = visits ? visits.length > 0 : !!record.visited;
+  // Only the fields a restaurant has, as in csvToRecords; trash markers, revisions
+  // and anything else in the file stay behind
+  const candidate = {
+    ...(record.id != null && record.id !== "" ? { id: String(record.id) } : {}),
+    name,
+    neighborhood: neighborhood || "Other",
+    cuisine: cuisine || "Other",
+    address: String(record.address || ""),
+    lat: located ? lat : 59.3293,
+    lng: located ? lng : 18.0686,
+    visited,
+    wantToTry: !visited,
+    photos: Array.isArray(record.photos) ? record.photos : [],
+    tags: (Array.isArray(record.tags) ? record.tags : []).reduce(addTag, []),
+    dishes: importedDishes(record.dishes),
+    reviews: isObject(record.reviews) ? record.reviews : {},
+    ...(visits ? { visits } : {}),
+    // Pre-log shared ratings, read as the legacy visit
+    ...(!visits && isObject(record.ratings) ? { ratings: record.ratings } : {}),
+    ...(priced ? { priceLevel } : {}),
+    ...(record.hours ? { hours: record.hours } : {}),
+    ...(typeof record.notes === "string" && record.notes ? { notes: record.notes } : {}),
+  };
+  if (errors.length) return { errors, warnings, restaurant: candidate };
+
+  // Upgraded to the current schema the way a stored row would be, so what's saved
+  // reads back; hours that don't check out are left out rather than failing the row
+  let read = asStored(candidate);
+  if (read.problems?.some((p) => p.startsWith("hours"))) {
+    warnings.push("Opening hours not understood → left out");
+    const { hours: _hours, ...rest } = candidate;
+    read = asStored(rest);
+  }
+  if (read.problems) errors.push(...read.problems);
+  return { errors, warnings, restaurant: read.restaurant || candidate };
+}
+
+// readRestaurant for a record that may not have an id yet
+function asStored(candidate) {
+  const result = readRestaurant({ id: "import", ...candidate });
+  if (!result.restaurant || candidate.id) return result;
+  const { id: _id, ...restaurant } = result.restaurant;
+  return { restaurant };
+}
+
+// Named dishes with the id and rating every stored dish has
+const importedDishes = (dishes) => (Array.isArray(dishes) ? dishes : [])
+  .filter((d) => isObject(d) && String(d.name || "").trim())
+  .map((d, i) => ({
+    id: d.id != null && d.id !== "" ? String(d.id) : `${Date.now()}-${i}`,
+    name: String(d.name).trim(),
+    rating: Number.isFinite(d.rating) && d.rating >= 0 && d.rating <= 5 ? d.rating : 0,
+    notes: typeof d.notes === "string" ? d.notes : "",
+  }));
+
+// An existing restaurant with the same id, or the same name close by
+export function findDuplicate(candidate, existing) {
+  const byId = candidate.id && existing.find((r) => r.id === candidate.id);
+  if (byId) return byId;
+  const name = normalizeName(candidate.name);
+  return existing.find((r) =>
+    normalizeName(r.name) === name && haversine(r, candidate) <= DUPLICATE_RADIUS_M
+  ) || null;
+}
+
+// Import plan: one entry per record with the action to take
+// (add | skip | replace | invalid). Duplicates default to skip.
+export function planImport(records, existing) {
+  const accepted = [];
+  return records.map((record, i) => {
+    const { restaurant, errors, warnings } = validateRecord(record);
+    const duplicate = errors.length ? null : findDuplicate(restaurant, existing);
+    const repeated = !errors.length && !duplicate && findDuplicate({ ...restaurant, id: null }, accepted);
+    if (repeated) warnings.push("Appears earlier in this file");
+    else if (!errors.length && !duplicate) accepted.push(restaurant);
+    return {
+      key: `${i}`,
+      restaurant,
+      errors,
+      warnings,
+      duplicate,
+      action: errors.length ? "invalid" : duplicate || repeated ? "skip" : "add",
+    };
+  });
+}
+
+// The record to upsert for a plan entry. Only each member can write their own
+// review and visits, so replacing keeps everyone else's as stored (along with the
+// id and revision chain), and a new row takes only the importer's from the file.
+export function importedRestaurant(entry, user, userName, index) {
+  const { restaurant, duplicate } = entry;
+  const mine = restaurant.reviews?.[user.id];
+  if (entry.action === "replace") {
+    const { [user.id]: _stored, ...others } = duplicate.reviews || {};
+    return {
+      ...keepOthersVisits(restaurant, duplicate, user.id),
+      id: duplicate.id,
+      revision: (duplicate.revision || 0) + 1,
+      reviews: mine ? { ...others, [user.id]: mine } : duplicate.reviews || {},
+      addedBy: duplicate.addedBy,
+    };
+  }
+  return {
+    ...keepOthersVisits(restaurant, {}, user.id),
+    reviews: mine ? { [user.id]: mine } : {},
+    id: String(Date.now() + index),
+    revision: 1,
+    addedBy: { id: user.id, name: userName },
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { SCHEMA_VERSION, readRestaurant } from "./schema";
+import { exportCsv, exportJson, importedRestaurant, parseImportFile, planImport, validateRecord } from "./transfer";
+
+const place = {
+  id: "1", name: "Pelikan", neighborhood: "Södermalm", cuisine: "Swedish",
+  address: "Blekingegatan 40", lat: 59.311, lng: 18.08, visited: false,
+  photos: [], tags: [], dishes: [], reviews: {}, visits: [],
+};
+
+describe("validateRecord", () => {
+  it("keeps only the fields a restaurant has", () => {
+    const { restaurant } = validateRecord({
+      ...place,
+      deletedAt: "2026-10-01T10:00:00Z",
+      deletedBy: { id: "u1", name: "Alex" },
+      schemaVersion: 99,
+      revision: 7,
+      extra: "x",
+    });
+    expect(restaurant).not.toHaveProperty("deletedAt");
+    expect(restaurant).not.toHaveProperty("deletedBy");
+    expect(restaurant.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(restaurant).not.toHaveProperty("revision");
+    expect(restaurant).not.toHaveProperty("extra");
+    expect(restaurant).toMatchObject({ id: "1", name: "Pelikan", address: "Blekingegatan 40" });
+  });
+});
+
+describe("imported records", () => {
+  const me = { id: "u1" };
+  const stored = (entry) => readRestaurant(importedRestaurant(entry, me, "Alex", 0));
+
+  it("read back as valid from a CSV with only a name column", () => {
+    const [entry] = planImport(parseImportFile("name\nPelikan\n", "places.csv"), []);
+    expect(entry.errors).toEqual([]);
+    const { restaurant, problems } = stored(entry);
+    expect(problems).toBeUndefined();
+    expect(restaurant.visits).toEqual([]);
+  });
+
+  it("read back as valid from JSON without visits, with bare dishes and broken hours", () => {
+    const [entry] = planImport([{
+      name: "Pelikan",
+      visited: true,
+      ratings: { Food: 4 },
+      dishes: [{ name: "Köttbullar" }, { notes: "no name" }],
+      hours: { weekly: [[{ open: "11", close: "22:00" }]] },
+    }], []);
+    expect(entry.errors).toEqual([]);
+    expect(entry.warnings).toContain("Opening hours not understood → left out");
+    const { restaurant, problems } = stored(entry);
+    expect(problems).toBeUndefined();
+    expect(restaurant.visits.map((v) => v.id)).toEqual(["legacy"]);
+    expect(restaurant.dishes).toEqual([expect.objectContaining({ name: "Köttbullar", rating: 0, id: expect.any(String) })]);
+    expect(restaurant).not.toHaveProperty("hours");
+  });
+
+  it("keep the importer's review when replacing, and everyone else's as stored", () => {
+    const duplicate = {
+      ...place, id: "9", revision: 4,
+      reviews: { u1: { name: "Alex", notes: "old" }, u2: { name: "Sam", notes: "theirs" } },
+    };
+    const [entry] = planImport([{ ...place, reviews: { u1: { name: "Alex", notes: "new" }, u2: { name: "Sam", notes: "forged" } } }], [duplicate]);
+    const { restaurant } = stored({ ...entry, action: "replace" });
+    expect(restaurant.reviews).toEqual({ u1: { name: "Alex", notes: "new" }, u2: { name: "Sam", notes: "theirs" } });
+    expect(restaurant).toMatchObject({ id: "9", revision: 5 });
+  });
+});
+
+describe("exports", () => {
+  const binned = { ...place, id: "2", name: "Gone", deletedAt: "2026-10-01T10:00:00Z" };
+
+  it("leave out restaurants in the trash", () => {
+    const json = JSON.parse(exportJson([place, binned], { photos: false }));
+    expect(json.restaurants.map((r) => r.id)).toEqual(["1"]);
+    const csv = exportCsv([place, binned], { photos: false }).split("\r\n");
+    expect(csv).toHaveLength(2);
+    expect(csv[1]).toMatch(/^1,Pelikan,/);
+  });
+});
@@ -0,0 +1,28 @@
+// Deleting a restaurant moves it to the trash: the row stays, marked with
+// deletedAt and deletedBy: { id, name }, until it's restored or purged. The server
+// purges rows that have been in the trash for TRASH_DAYS (purge_trash).
+export const TRASH_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (r) => !!r.deletedAt;
+
+export const trashed = (r, user, userName) => ({
+  ...r,
+  deletedAt: new Date().toISOString(),
+  deletedBy: { id: user.id, name: userName },
+  revision: (r.revision || 0) + 1,
+});
+
+export function restored(r) {
+  const { deletedAt: _at, deletedBy: _by, ...rest } = r;
+  return { ...rest, revision: (r.revision || 0) + 1 };
+}
+
+// Whole days until the purge, at least 0
+export const daysLeft = (r, now = Date.now()) =>
+  Math.max(0, Math.ceil((Date.parse(r.deletedAt) + TRASH_DAYS * DAY_MS - now) / DAY_MS));
+
+// Most recently deleted first
+export const trashOf = (restaurants) =>
+  restaurants.filter(isTrashed).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
@@ -0,0 +1,92 @@
+import { CATEGORIES } from "./constants";
+import { allCategories, emptyRatings, isRated, ratingAverage } from "./scoring";
+
+// A restaurant keeps a list of visits, each logged by one member with its own
+// ratings. Rows from before the visit log only have visited: true plus ratings
+// (shared, or per member in reviews); those read as a single undated visit.
+export const LEGACY_VISIT = "legacy";
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+export function newVisit(user, name) {
+  return {
+    id: Date.now().toString(),
+    date: new Date().toISOString().slice(0, 10),
+    by: { id: user.id, name },
+    companions: [],
+    ordered: "",
+    spend: null,
+    ratings: emptyRatings(),
+    photos: [],
+  };
+}
+
+function legacyVisit(r) {
+  const sets = [r.ratings, ...Object.values(r.reviews || {}).map((rv) => rv.ratings)].filter(isRated);
+  const ratings = Object.fromEntries(CATEGORIES.map((cat) => [
+    cat,
+    Math.round(mean(sets.map((s) => s[cat] || 0).filter((v) => v > 0))),
+  ]));
+  return {
+    id: LEGACY_VISIT,
+    date: null,
+    by: { id: LEGACY_VISIT, name: "Before the visit log" },
+    companions: Object.values(r.reviews || {}).filter((rv) => isRated(rv.ratings)).map((rv) => rv.name),
+    ordered: "",
+    spend: null,
+    ratings,
+    photos: [],
+  };
+}
+
+export function visitsOf(r) {
+  if (Array.isArray(r.visits)) return r.visits;
+  return r.visited ? [legacyVisit(r)] : [];
+}
+
+// Members change only the visits they logged; the pre-log visit is open to everyone.
+// guard_restaurant_reviews applies the same rule on the server.
+export const canEditVisit = (v, userId) => v.id === LEGACY_VISIT || v.by?.id === userId;
+
+// next's visits, with everyone else's as they stand in current
+export function keepOthersVisits(next, current, userId) {
+  const own = visitsOf(next).filter((v) => canEditVisit(v, userId));
+  const others = visitsOf(current).filter((v) => !canEditVisit(v, userId));
+  const visits = [...own, ...others];
+  return { ...next, visits, visited: visits.length > 0, wantToTry: visits.length === 0 };
+}
+
+// Newest first; undated visits last
+export function sortedVisits(r) {
+  return [...visitsOf(r)].sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+}
+
+// Each member's category scores averaged over the visits they logged
+export function memberScores(r) {
+  const byMember = {};
+  visitsOf(r).filter((v) => isRated(v.ratings)).forEach((v) => {
+    const id = v.by?.id || LEGACY_VISIT;
+    byMember[id] = byMember[id] || { id, name: v.by?.name || "Someone", visits: [] };
+    byMember[id].visits.push(v);
+  });
+  return Object.values(byMember).map((m) => ({
+    ...m,
+    ratings: Object.fromEntries(allCategories().map((cat) => [
+      cat,
+      mean(m.visits.map((v) => v.ratings[cat] || 0).filter((x) => x > 0)),
+    ])),
+  }));
+}
+
+export function groupAverage(r) {
+  const rated = visitsOf(r).filter((v) => isRated(v.ratings));
+  return rated.length ? mean(rated.map((v) => ratingAverage(v.ratings))) : null;
+}
+
+export function categoryAverage(r, cat) {
+  return mean(visitsOf(r).map((v) => v.ratings?.[cat] || 0).filter((x) => x > 0));
+}
+
+export function visitPhotos(r) {
+  return [...(r.photos || []), ...visitsOf(r).flatMap((v) => v.photos || [])];
+}
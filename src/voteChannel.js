@@ -0,0 +1,58 @@
+import { supabase } from "./supabase";
+
+// Transport for voting sessions: one broadcast room per session code. A transport
+// has open(code, onEvent) -> { send(event), close() }, and every event sent is
+// delivered to all open handles in the room, including the sender's.
+
+// Supabase realtime broadcast, alongside the restaurants-realtime channel. Events
+// sent before the channel is subscribed wait until it is.
+export const supabaseVoteTransport = {
+  open(code, onEvent) {
+    let ready = false;
+    const waiting = [];
+    const channel = supabase
+      .channel(`vote-${code}`, { config: { broadcast: { self: true } } })
+      .on("broadcast", { event: "vote-event" }, ({ payload }) => onEvent(payload))
+      .subscribe((status) => {
+        if (status !== "SUBSCRIBED") return;
+        ready = true;
+        waiting.splice(0).forEach((payload) => channel.send({ type: "broadcast", event: "vote-event", payload }));
+      });
+    return {
+      send(payload) {
+        if (ready) channel.send({ type: "broadcast", event: "vote-event", payload });
+        else waiting.push(payload);
+      },
+      close: () => supabase.removeChannel(channel),
+    };
+  },
+};
+
+// In-memory stand-in with the same delivery rules, for tests and for trying
+// sessions out in several tabs' worth of components without a backend
+export function memoryVoteTransport() {
+  const rooms = new Map(); // code -> Set of listeners
+  return {
+    open(code, onEvent) {
+      if (!rooms.has(code)) rooms.set(code, new Set());
+      const room = rooms.get(code);
+      room.add(onEvent);
+      return {
+        // Async like the network, so a handler never runs inside send()
+        send: (payload) => room.forEach((listener) => queueMicrotask(() => listener(payload))),
+        close() {
+          room.delete(onEvent);
+          if (!room.size) rooms.delete(code);
+        },
+      };
+    },
+  };
+}
+
+let transport = supabaseVoteTransport;
+
+export function setVoteTransport(next) {
+  transport = next;
+}
+
+export const openVoteChannel = (code, onEvent) => transport.open(code, onEvent);
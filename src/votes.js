@@ -0,0 +1,123 @@
+// Group voting sessions. Everything that happens in a session is an event
+// broadcast to all participants (see voteChannel.js); each client folds the
+// events into the same session state with applyVoteEvent. The host re-sends its
+// copy to everyone who joins late, and copies merge rather than replace, so a vote
+// a client has seen but the sender's copy hasn't isn't lost.
+//
+// session: {
+//   code, host: { id, name }, endsAt (ms),
+//   shortlist: [{ id, name, cuisine, neighborhood }],
+//   participants: { [userId]: name },
+//   votes: { [userId]: { [restaurantId]: "up" | "veto" } },
+//   seqs: { [userId]: number of that member's latest vote applied },
+//   done: { [userId]: true },
+//   closed,
+// }
+export const MAX_SHORTLIST = 8;
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function newSessionCode(random = Math.random) {
+  return Array.from({ length: 5 }, () => CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)]).join("");
+}
+
+export const normalizeCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+export function createSession({ code, host, restaurants, minutes }) {
+  return {
+    code,
+    host,
+    endsAt: Date.now() + minutes * 60 * 1000,
+    shortlist: restaurants.slice(0, MAX_SHORTLIST).map(({ id, name, cuisine, neighborhood }) => ({
+      id, name, cuisine, neighborhood,
+    })),
+    participants: { [host.id]: host.name },
+    votes: {},
+    seqs: {},
+    done: {},
+    closed: false,
+  };
+}
+
+// Two copies of the same session as one: everyone who joined or finished in either,
+// and for each member whichever ballot has seen more of their votes
+export function mergeSessions(local, incoming) {
+  if (!local || local.code !== incoming.code) return incoming;
+  const votes = { ...incoming.votes };
+  const seqs = { ...incoming.seqs };
+  Object.entries(local.seqs || {}).forEach(([id, seq]) => {
+    if (seq > (seqs[id] || 0)) {
+      votes[id] = local.votes[id] || {};
+      seqs[id] = seq;
+    }
+  });
+  return {
+    ...incoming,
+    participants: { ...local.participants, ...incoming.participants },
+    votes,
+    seqs,
+    done: { ...local.done, ...incoming.done },
+    closed: local.closed || incoming.closed,
+  };
+}
+
+// The seq for a member's next vote: past anything they've sent or the session has seen
+export const nextVoteSeq = (session, memberId, sent = 0) => Math.max(sent, session.seqs?.[memberId] || 0) + 1;
+
+// Events: { type: "session", session } | { type: "hello", member }
+//   | { type: "vote", member, restaurantId, vote: "up" | "veto" | null, seq }
+//   | { type: "done", member } | { type: "close" }
+// A vote's seq counts up per member (nextVoteSeq), so one that arrives after a
+// newer one from the same member is dropped. Before the first "session" arrives
+// there is nothing to apply events to.
+export function applyVoteEvent(session, event) {
+  if (event.type === "session") return mergeSessions(session, event.session);
+  if (!session || session.closed) return session;
+  const join = (s, member) => ({ ...s, participants: { ...s.participants, [member.id]: member.name } });
+  switch (event.type) {
+    case "hello":
+      return join(session, event.member);
+    case "vote": {
+      const id = event.member.id;
+      const seen = session.seqs?.[id] || 0;
+      if (event.seq <= seen) return session;
+      const { [event.restaurantId]: _previous, ...others } = session.votes[id] || {};
+      const mine = event.vote ? { ...others, [event.restaurantId]: event.vote } : others;
+      return {
+        ...join(session, event.member),
+        votes: { ...session.votes, [id]: mine },
+        seqs: { ...session.seqs, [id]: event.seq ?? seen + 1 },
+      };
+    }
+    case "done":
+      return { ...join(session, event.member), done: { ...session.done, [event.member.id]: true } };
+    case "close":
+      return { ...session, closed: true };
+    default:
+      return session;
+  }
+}
+
+// Shortlist entries with their up and veto counts, in shortlist order
+export function tally(session) {
+  const ballots = Object.values(session.votes);
+  return session.shortlist.map((r) => ({
+    ...r,
+    up: ballots.filter((b) => b[r.id] === "up").length,
+    vetoes: ballots.filter((b) => b[r.id] === "veto").length,
+  }));
+}
+
+// Most upvotes among the places nobody vetoed; ties go to the earlier entry
+export function winnerOf(session) {
+  const best = tally(session)
+    .filter((r) => r.vetoes === 0 && r.up > 0)
+    .reduce((top, r) => (!top || r.up > top.up ? r : top), null);
+  return best || null;
+}
+
+export function isFinished(session, now) {
+  const ids = Object.keys(session.participants);
+  return session.closed || now >= session.endsAt || ids.every((id) => session.done[id]);
+}
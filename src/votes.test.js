@@ -0,0 +1,169 @@
+import { describe, expect, it, vi } from "vitest";
+import { applyVoteEvent, createSession, isFinished, mergeSessions, nextVoteSeq, tally, winnerOf } from "./votes";
+import { memoryVoteTransport } from "./voteChannel";
+
+vi.mock("./supabase", () => ({ supabase: {} }));
+
+const host = { id: "h", name: "Hana" };
+const guest = { id: "g", name: "Gus" };
+const places = [
+  { id: "1", name: "Pelikan", cuisine: "Swedish", neighborhood: "Södermalm" },
+  { id: "2", name: "Tranan", cuisine: "Swedish", neighborhood: "Vasastan" },
+  { id: "3", name: "Sushi Sho", cuisine: "Japanese", neighborhood: "Vasastan" },
+];
+const fresh = () => createSession({ code: "ABCDE", host, restaurants: places, minutes: 10 });
+const vote = (member, restaurantId, v, seq) => ({ type: "vote", member, restaurantId, vote: v, seq });
+const apply = (session, ...events) => events.reduce(applyVoteEvent, session);
+const counts = (session) => tally(session).map(({ id, up, vetoes }) => [id, up, vetoes]);
+
+describe("applyVoteEvent", () => {
+  it("has nothing to apply events to before a session arrives", () => {
+    expect(applyVoteEvent(null, vote(guest, "1", "up", 1))).toBeNull();
+    expect(applyVoteEvent(null, { type: "session", session: fresh() }).code).toBe("ABCDE");
+  });
+
+  it("adds members as they say hello or vote", () => {
+    const s = apply(fresh(), { type: "hello", member: guest });
+    expect(s.participants).toEqual({ h: "Hana", g: "Gus" });
+  });
+
+  it("replaces, changes and withdraws a member's vote", () => {
+    const s = apply(fresh(), vote(guest, "1", "up", 1), vote(guest, "1", "veto", 2), vote(guest, "2", "up", 3), vote(guest, "1", null, 4));
+    expect(s.votes.g).toEqual({ 2: "up" });
+  });
+
+  it("drops a vote that arrives after a newer one from the same member", () => {
+    const s = apply(fresh(), vote(guest, "1", "veto", 2), vote(guest, "1", "up", 1));
+    expect(s.votes.g).toEqual({ 1: "veto" });
+  });
+
+  it("ignores everything once the session is closed", () => {
+    const s = apply(fresh(), { type: "close" }, vote(guest, "1", "up", 1), { type: "done", member: guest });
+    expect(s.closed).toBe(true);
+    expect(s.votes).toEqual({});
+    expect(s.done).toEqual({});
+  });
+});
+
+describe("tally and winnerOf", () => {
+  it("counts ups and vetoes per shortlist entry", () => {
+    const s = apply(fresh(), vote(host, "1", "up", 1), vote(guest, "1", "up", 1), vote(host, "2", "up", 2), vote(guest, "2", "veto", 2));
+    expect(counts(s)).toEqual([["1", 2, 0], ["2", 1, 1], ["3", 0, 0]]);
+    expect(winnerOf(s).id).toBe("1");
+  });
+
+  it("passes over vetoed places and breaks ties by shortlist order", () => {
+    const s = apply(fresh(), vote(host, "1", "up", 1), vote(guest, "1", "veto", 1), vote(host, "2", "up", 2), vote(guest, "3", "up", 2));
+    expect(winnerOf(s).id).toBe("2");
+  });
+
+  it("has no winner without an unvetoed upvote", () => {
+    expect(winnerOf(apply(fresh(), vote(guest, "1", "veto", 1)))).toBeNull();
+  });
+
+  it("finishes when everyone is done, the host closes it or time runs out", () => {
+    const s = apply(fresh(), { type: "hello", member: guest }, { type: "done", member: host });
+    expect(isFinished(s, Date.now())).toBe(false);
+    expect(isFinished(apply(s, { type: "done", member: guest }), Date.now())).toBe(true);
+    expect(isFinished(apply(s, { type: "close" }), Date.now())).toBe(true);
+    expect(isFinished(s, s.endsAt)).toBe(true);
+  });
+});
+
+describe("host snapshots", () => {
+  it("keep votes this client applied that the snapshot hasn't seen", () => {
+    const snapshot = apply(fresh(), { type: "hello", member: guest });
+    const local = apply(snapshot, vote(guest, "1", "up", 1));
+    const merged = applyVoteEvent(local, { type: "session", session: snapshot });
+    expect(merged.votes.g).toEqual({ 1: "up" });
+  });
+
+  it("take the snapshot's ballot when it has seen more of that member's votes", () => {
+    const local = apply(fresh(), vote(guest, "1", "up", 1));
+    const snapshot = apply(local, vote(guest, "1", null, 2), vote(guest, "2", "veto", 3));
+    expect(mergeSessions(local, snapshot).votes.g).toEqual({ 2: "veto" });
+  });
+
+  it("merge joins, finishes and closing from both copies", () => {
+    const local = apply(fresh(), { type: "done", member: guest });
+    const snapshot = apply(fresh(), { type: "hello", member: { id: "x", name: "Xi" } }, { type: "close" });
+    const merged = mergeSessions(local, snapshot);
+    expect(merged.participants).toEqual({ h: "Hana", g: "Gus", x: "Xi" });
+    expect(merged.done).toEqual({ g: true });
+    expect(merged.closed).toBe(true);
+  });
+
+  it("replace the session when it's a different one", () => {
+    const other = { ...fresh(), code: "ZZZZZ" };
+    expect(mergeSessions(fresh(), other)).toBe(other);
+  });
+
+  it("count up from the member's latest seq", () => {
+    const s = apply(fresh(), vote(guest, "1", "up", 4));
+    expect(nextVoteSeq(s, "g")).toBe(5);
+    expect(nextVoteSeq(s, "g", 7)).toBe(8);
+    expect(nextVoteSeq(s, "h")).toBe(1);
+  });
+});
+
+// A participant the way VoteSession runs one: fold every event into its copy, and
+// have the host bring late joiners up to date
+function participant(transport, member, hosted = null) {
+  const client = { session: hosted, sent: 0 };
+  const channel = transport.open("ABCDE", (event) => {
+    client.session = applyVoteEvent(client.session, event);
+    if (event.type === "hello" && client.session?.host.id === member.id) channel.send({ type: "session", session: client.session });
+  });
+  channel.send(hosted ? { type: "session", session: hosted } : { type: "hello", member });
+  client.vote = (restaurantId, v) => {
+    client.sent = nextVoteSeq(client.session, member.id, client.sent);
+    channel.send(vote(member, restaurantId, v, client.sent));
+  };
+  client.send = (event) => channel.send(event);
+  client.close = () => channel.close();
+  return client;
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("sessions over the in-memory transport", () => {
+  it("bring a late joiner up to date and agree on the tally", async () => {
+    const transport = memoryVoteTransport();
+    const h = participant(transport, host, fresh());
+    h.vote("1", "up");
+    await settle();
+    const g = participant(transport, guest);
+    await settle();
+    expect(g.session.votes.h).toEqual({ 1: "up" });
+    g.vote("1", "up");
+    g.vote("3", "veto");
+    await settle();
+    expect(counts(g.session)).toEqual(counts(h.session));
+    expect(counts(h.session)).toEqual([["1", 2, 0], ["2", 0, 0], ["3", 0, 1]]);
+  });
+
+  it("keep a vote that a stale host snapshot arrives after", async () => {
+    const transport = memoryVoteTransport();
+    const h = participant(transport, host, fresh());
+    const g = participant(transport, guest);
+    await settle();
+    const stale = h.session;
+    g.vote("2", "up");
+    h.send({ type: "session", session: stale });
+    await settle();
+    expect(g.session.votes.g).toEqual({ 2: "up" });
+    expect(counts(g.session)).toEqual(counts(h.session));
+  });
+
+  it("stop delivering to a participant who left", async () => {
+    const transport = memoryVoteTransport();
+    const h = participant(transport, host, fresh());
+    const g = participant(transport, guest);
+    await settle();
+    g.close();
+    h.vote("1", "up");
+    await settle();
+    expect(g.session.votes).toEqual({});
+    expect(h.session.votes.h).toEqual({ 1: "up" });
+  });
+});
@@ -0,0 +1,12 @@
+-- Public bucket for restaurant photos (full size + thumbnail per upload)
+insert into storage.buckets (id, name, public)
+values ('photos', 'photos', true)
+on conflict (id) do nothing;
+
+create policy "Anyone can read restaurant photos"
+  on storage.objects for select
+  using (bucket_id = 'photos');
+
+create policy "Anyone can upload restaurant photos"
+  on storage.objects for insert
+  with check (bucket_id = 'photos');
@@ -0,0 +1,63 @@
+-- Signed-in members only. Each restaurant records who added it; everyone in the
+-- group can edit the shared fields, but only the creator can delete it and each
+-- member can only change their own entry in data->'reviews'.
+alter table public.restaurants
+  add column if not exists created_by uuid references auth.users (id) default auth.uid();
+
+alter table public.restaurants enable row level security;
+
+drop policy if exists "Members can read restaurants" on public.restaurants;
+create policy "Members can read restaurants"
+  on public.restaurants for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Members can add restaurants" on public.restaurants;
+create policy "Members can add restaurants"
+  on public.restaurants for insert
+  to authenticated
+  with check (created_by = auth.uid());
+
+drop policy if exists "Members can edit restaurants" on public.restaurants;
+create policy "Members can edit restaurants"
+  on public.restaurants for update
+  to authenticated
+  using (true)
+  with check (true);
+
+-- Rows from before accounts have no creator; any member may clean those up
+drop policy if exists "Creators can delete restaurants" on public.restaurants;
+create policy "Creators can delete restaurants"
+  on public.restaurants for delete
+  to authenticated
+  using (created_by = auth.uid() or created_by is null);
+
+create or replace function public.guard_restaurant_reviews()
+returns trigger
+language plpgsql
+as $$
+declare
+  member text;
+begin
+  for member in
+    select jsonb_object_keys(coalesce(old.data -> 'reviews', '{}') || coalesce(new.data -> 'reviews', '{}'))
+  loop
+    if member <> auth.uid()::text
+      and (old.data -> 'reviews' -> member) is distinct from (new.data -> 'reviews' -> member) then
+      raise exception 'Cannot change another member''s review' using errcode = '42501';
+    end if;
+  end loop;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_restaurant_reviews on public.restaurants;
+create trigger guard_restaurant_reviews
+  before update on public.restaurants
+  for each row execute function public.guard_restaurant_reviews();
+
+drop policy if exists "Anyone can upload restaurant photos" on storage.objects;
+create policy "Members can upload restaurant photos"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'photos');
@@ -0,0 +1,64 @@
+-- Merging a duplicate restaurant into another moves the duplicate's member reviews
+-- over. Members can't write each other's reviews (guard_restaurant_reviews), so the
+-- move runs here as the table owner, and only for a duplicate the caller may delete.
+create or replace function public.guard_restaurant_reviews()
+returns trigger
+language plpgsql
+as $$
+declare
+  member text;
+begin
+  if current_setting('eats.carrying_reviews', true) = 'on' then
+    return new;
+  end if;
+  for member in
+    select jsonb_object_keys(coalesce(old.data -> 'reviews', '{}') || coalesce(new.data -> 'reviews', '{}'))
+  loop
+    if member <> auth.uid()::text
+      and (old.data -> 'reviews' -> member) is distinct from (new.data -> 'reviews' -> member) then
+      raise exception 'Cannot change another member''s review' using errcode = '42501';
+    end if;
+  end loop;
+  return new;
+end;
+$$;
+
+-- Reviews on both keep the kept restaurant's version. Bumps the revision so open
+-- editors see the change as a conflict, and returns the kept restaurant's data.
+create or replace function public.carry_over_reviews(keep_id text, duplicate_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  duplicate public.restaurants%rowtype;
+  kept jsonb;
+begin
+  select * into duplicate from public.restaurants where id::text = duplicate_id;
+  if not found then
+    raise exception 'Duplicate not found' using errcode = 'P0002';
+  end if;
+  if duplicate.created_by is not null and duplicate.created_by <> auth.uid() then
+    raise exception 'Only the person who added this restaurant can merge it away' using errcode = '42501';
+  end if;
+
+  perform set_config('eats.carrying_reviews', 'on', true);
+  update public.restaurants
+    set data = jsonb_set(
+      jsonb_set(data, '{reviews}', coalesce(duplicate.data -> 'reviews', '{}') || coalesce(data -> 'reviews', '{}')),
+      '{revision}', to_jsonb(coalesce((data ->> 'revision')::int, 0) + 1)
+    )
+    where id::text = keep_id
+    returning data into kept;
+  perform set_config('eats.carrying_reviews', 'off', true);
+
+  if kept is null then
+    raise exception 'Restaurant not found' using errcode = 'P0002';
+  end if;
+  return kept;
+end;
+$$;
+
+revoke all on function public.carry_over_reviews(text, text) from public;
+grant execute on function public.carry_over_reviews(text, text) to authenticated;
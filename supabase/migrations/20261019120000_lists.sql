@@ -0,0 +1,71 @@
+-- Curated lists ("Date night", "Cheap lunch near office"). Same { id, data } shape
+-- as restaurants; data.entries holds restaurant ids in list order. Any member can
+-- edit a list, only its creator can delete it.
+create table if not exists public.lists (
+  id text primary key,
+  data jsonb not null,
+  created_by uuid references auth.users (id) default auth.uid(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.lists enable row level security;
+
+drop policy if exists "Members can read lists" on public.lists;
+create policy "Members can read lists"
+  on public.lists for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Members can add lists" on public.lists;
+create policy "Members can add lists"
+  on public.lists for insert
+  to authenticated
+  with check (created_by = auth.uid());
+
+drop policy if exists "Members can edit lists" on public.lists;
+create policy "Members can edit lists"
+  on public.lists for update
+  to authenticated
+  using (true)
+  with check (true);
+
+drop policy if exists "Creators can delete lists" on public.lists;
+create policy "Creators can delete lists"
+  on public.lists for delete
+  to authenticated
+  using (created_by = auth.uid());
+
+create index if not exists lists_share_token on public.lists ((data ->> 'shareToken'));
+
+alter publication supabase_realtime add table public.lists;
+
+-- Read-only public view of a shared list, for visitors without an account: the
+-- list and its restaurants in list order, without members' names or notes
+create or replace function public.shared_list(token text)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'list', l.data - 'shareToken' - 'createdBy',
+    'restaurants', coalesce((
+      select jsonb_agg(
+        (r.data - 'reviews' - 'notes' - 'addedBy') ||
+        case when jsonb_typeof(r.data -> 'visits') = 'array' then jsonb_build_object(
+          'visits',
+          (select coalesce(jsonb_agg(v - 'by' - 'companions'), '[]'::jsonb) from jsonb_array_elements(r.data -> 'visits') v)
+        ) else '{}'::jsonb end
+        order by e.position
+      )
+      from jsonb_array_elements_text(l.data -> 'entries') with ordinality as e(restaurant_id, position)
+      join public.restaurants r on r.id::text = e.restaurant_id
+    ), '[]'::jsonb)
+  )
+  from public.lists l
+  where token <> '' and l.data ->> 'shareToken' = token;
+$$;
+
+revoke all on function public.shared_list(text) from public;
+grant execute on function public.shared_list(text) to anon, authenticated;
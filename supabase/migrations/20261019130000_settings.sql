@@ -0,0 +1,30 @@
+-- Settings the whole group shares, one { id, data } row per area. The 'group' row
+-- holds the scoring setup: { categories: [custom rating categories], weights: { [category]: weight } }.
+create table if not exists public.settings (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.settings enable row level security;
+
+drop policy if exists "Members can read settings" on public.settings;
+create policy "Members can read settings"
+  on public.settings for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Members can add settings" on public.settings;
+create policy "Members can add settings"
+  on public.settings for insert
+  to authenticated
+  with check (true);
+
+drop policy if exists "Members can edit settings" on public.settings;
+create policy "Members can edit settings"
+  on public.settings for update
+  to authenticated
+  using (true)
+  with check (true);
+
+alter publication supabase_realtime add table public.settings;
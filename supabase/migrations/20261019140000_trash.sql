@@ -0,0 +1,69 @@
+-- Deleting a restaurant sets data.deletedAt / data.deletedBy instead of removing
+-- the row. Moving a place to the trash follows the delete rule (its creator, or
+-- anyone for rows from before accounts); anyone may restore one. Rows are purged
+-- for good after 30 days in the trash.
+create or replace function public.guard_restaurant_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.data ->> 'deletedAt') is not null
+    and (old.data ->> 'deletedAt') is null
+    and old.created_by is not null
+    and old.created_by <> auth.uid() then
+    raise exception 'Only the person who added this restaurant can delete it' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_restaurant_trash on public.restaurants;
+create trigger guard_restaurant_trash
+  before update on public.restaurants
+  for each row execute function public.guard_restaurant_trash();
+
+create or replace function public.purge_trash()
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with purged as (
+    delete from public.restaurants
+    where (data ->> 'deletedAt')::timestamptz < now() - interval '30 days'
+    returning id
+  )
+  select count(*)::integer from purged;
+$$;
+
+revoke all on function public.purge_trash() from public;
+
+create extension if not exists pg_cron;
+select cron.schedule('purge-restaurant-trash', '15 3 * * *', 'select public.purge_trash()');
+
+-- Shared lists leave out restaurants in the trash
+create or replace function public.shared_list(token text)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'list', l.data - 'shareToken' - 'createdBy',
+    'restaurants', coalesce((
+      select jsonb_agg(
+        (r.data - 'reviews' - 'notes' - 'addedBy') ||
+        case when jsonb_typeof(r.data -> 'visits') = 'array' then jsonb_build_object(
+          'visits',
+          (select coalesce(jsonb_agg(v - 'by' - 'companions'), '[]'::jsonb) from jsonb_array_elements(r.data -> 'visits') v)
+        ) else '{}'::jsonb end
+        order by e.position
+      )
+      from jsonb_array_elements_text(l.data -> 'entries') with ordinality as e(restaurant_id, position)
+      join public.restaurants r on r.id::text = e.restaurant_id and (r.data ->> 'deletedAt') is null
+    ), '[]'::jsonb)
+  )
+  from public.lists l
+  where token <> '' and l.data ->> 'shareToken' = token;
+$$;
@@ -0,0 +1,82 @@
+-- Every write to a restaurant keeps a copy of the record as saved, with who saved
+-- it and when. Written by trigger so offline replays, merges and migrations are
+-- recorded the same way as ordinary edits; the app diffs consecutive copies.
+create table if not exists public.restaurant_revisions (
+  id bigint generated always as identity primary key,
+  restaurant_id text not null,
+  revision integer,
+  data jsonb not null,
+  author_id uuid,
+  author_name text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists restaurant_revisions_restaurant
+  on public.restaurant_revisions (restaurant_id, id desc);
+
+alter table public.restaurant_revisions enable row level security;
+
+-- Read-only for members; rows only come from record_restaurant_revision
+drop policy if exists "Members can read revisions" on public.restaurant_revisions;
+create policy "Members can read revisions"
+  on public.restaurant_revisions for select
+  to authenticated
+  using (true);
+
+-- The author's name as the app shows it (displayName in auth.js)
+create or replace function public.record_restaurant_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  author text;
+begin
+  select coalesce(u.raw_user_meta_data ->> 'full_name', u.raw_user_meta_data ->> 'name', split_part(u.email, '@', 1))
+    into author
+    from auth.users u
+    where u.id = auth.uid();
+  insert into public.restaurant_revisions (restaurant_id, revision, data, author_id, author_name)
+  values (
+    new.id::text,
+    case when new.data ->> 'revision' ~ '^\d+$' then (new.data ->> 'revision')::integer end,
+    new.data,
+    auth.uid(),
+    coalesce(nullif(author, ''), 'Someone')
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists record_restaurant_insert on public.restaurants;
+create trigger record_restaurant_insert
+  after insert on public.restaurants
+  for each row execute function public.record_restaurant_revision();
+
+drop trigger if exists record_restaurant_update on public.restaurants;
+create trigger record_restaurant_update
+  after update on public.restaurants
+  for each row
+  when (old.data is distinct from new.data)
+  execute function public.record_restaurant_revision();
+
+-- A restaurant deleted for good (purged from the trash, merged away) takes its history along
+create or replace function public.forget_restaurant_revisions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.restaurant_revisions where restaurant_id = old.id::text;
+  return old;
+end;
+$$;
+
+drop trigger if exists forget_restaurant_revisions on public.restaurants;
+create trigger forget_restaurant_revisions
+  after delete on public.restaurants
+  for each row execute function public.forget_restaurant_revisions();
+
+alter publication supabase_realtime add table public.restaurant_revisions;
@@ -0,0 +1,69 @@
+-- Each visit belongs to the member who logged it (visits[].by.id), like reviews do:
+-- nobody else may change or remove it. The pre-log "legacy" visit stays open to
+-- everyone. Defaults the app fills in on load (empty companions, zero ratings) don't
+-- count as a change, so upgrading an old row doesn't trip the guard.
+create or replace function public.visit_content(v jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object('companions', '[]'::jsonb, 'ordered', '', 'spend', null, 'photos', '[]'::jsonb)
+    || (v - 'ratings')
+    || jsonb_build_object('ratings', coalesce((
+      select jsonb_object_agg(r.key, r.value)
+      from jsonb_each(case when jsonb_typeof(v -> 'ratings') = 'object' then v -> 'ratings' else '{}'::jsonb end) r
+      where r.value <> '0'::jsonb
+    ), '{}'::jsonb));
+$$;
+
+create or replace function public.restaurant_visit(data jsonb, visit_id text)
+returns jsonb
+language sql
+immutable
+as $$
+  select v
+  from jsonb_array_elements(case when jsonb_typeof(data -> 'visits') = 'array' then data -> 'visits' else '[]'::jsonb end) v
+  where v ->> 'id' = visit_id
+  limit 1;
+$$;
+
+create or replace function public.guard_restaurant_reviews()
+returns trigger
+language plpgsql
+as $$
+declare
+  member text;
+  visit_id text;
+  before jsonb;
+  after jsonb;
+begin
+  if current_setting('eats.carrying_reviews', true) = 'on' then
+    return new;
+  end if;
+  for member in
+    select jsonb_object_keys(coalesce(old.data -> 'reviews', '{}') || coalesce(new.data -> 'reviews', '{}'))
+  loop
+    if member <> auth.uid()::text
+      and (old.data -> 'reviews' -> member) is distinct from (new.data -> 'reviews' -> member) then
+      raise exception 'Cannot change another member''s review' using errcode = '42501';
+    end if;
+  end loop;
+  for visit_id in
+    select distinct v ->> 'id'
+    from jsonb_array_elements(
+      (case when jsonb_typeof(old.data -> 'visits') = 'array' then old.data -> 'visits' else '[]'::jsonb end) ||
+      (case when jsonb_typeof(new.data -> 'visits') = 'array' then new.data -> 'visits' else '[]'::jsonb end)
+    ) v
+    where v ->> 'id' is distinct from 'legacy'
+  loop
+    before := public.restaurant_visit(old.data, visit_id);
+    after := public.restaurant_visit(new.data, visit_id);
+    if public.visit_content(before) is distinct from public.visit_content(after)
+      and ((before is not null and (before -> 'by' ->> 'id') is distinct from auth.uid()::text)
+        or (after is not null and (after -> 'by' ->> 'id') is distinct from auth.uid()::text)) then
+      raise exception 'Cannot change another member''s visit' using errcode = '42501';
+    end if;
+  end loop;
+  return new;
+end;
+$$;
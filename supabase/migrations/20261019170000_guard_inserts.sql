@@ -0,0 +1,52 @@
+-- The review and visit guards also cover new rows: a member can only add a
+-- restaurant with their own review and visits on it. Before this, an insert
+-- (or an upsert of an id that didn't exist yet) could carry anyone's.
+create or replace function public.guard_restaurant_reviews()
+returns trigger
+language plpgsql
+as $$
+declare
+  member text;
+  visit_id text;
+  prior jsonb := '{}'::jsonb;
+  before jsonb;
+  after jsonb;
+begin
+  if current_setting('eats.carrying_reviews', true) = 'on' then
+    return new;
+  end if;
+  if tg_op = 'UPDATE' then
+    prior := old.data;
+  end if;
+  for member in
+    select jsonb_object_keys(coalesce(prior -> 'reviews', '{}') || coalesce(new.data -> 'reviews', '{}'))
+  loop
+    if member is distinct from auth.uid()::text
+      and (prior -> 'reviews' -> member) is distinct from (new.data -> 'reviews' -> member) then
+      raise exception 'Cannot change another member''s review' using errcode = '42501';
+    end if;
+  end loop;
+  for visit_id in
+    select distinct v ->> 'id'
+    from jsonb_array_elements(
+      (case when jsonb_typeof(prior -> 'visits') = 'array' then prior -> 'visits' else '[]'::jsonb end) ||
+      (case when jsonb_typeof(new.data -> 'visits') = 'array' then new.data -> 'visits' else '[]'::jsonb end)
+    ) v
+    where v ->> 'id' is distinct from 'legacy'
+  loop
+    before := public.restaurant_visit(prior, visit_id);
+    after := public.restaurant_visit(new.data, visit_id);
+    if public.visit_content(before) is distinct from public.visit_content(after)
+      and ((before is not null and (before -> 'by' ->> 'id') is distinct from auth.uid()::text)
+        or (after is not null and (after -> 'by' ->> 'id') is distinct from auth.uid()::text)) then
+      raise exception 'Cannot change another member''s visit' using errcode = '42501';
+    end if;
+  end loop;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_restaurant_reviews on public.restaurants;
+create trigger guard_restaurant_reviews
+  before insert or update on public.restaurants
+  for each row execute function public.guard_restaurant_reviews();
@@ -0,0 +1,79 @@
+-- Merging a duplicate used to take three requests (save the merged restaurant,
+-- carry_over_reviews, delete the duplicate), so a failure part way left both rows
+-- behind, one of them half merged. merge_duplicate does all of it in one
+-- transaction, checking first that the caller may remove the duplicate.
+--
+-- It writes past the row guards, so it checks their rules itself: the caller's own
+-- review comes from `merged`, everyone else's from the two rows (the kept
+-- restaurant's version wins), and every other member's visit on either row must be
+-- carried over unchanged.
+create or replace function public.merge_duplicate(keep_id text, duplicate_id text, merged jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  duplicate public.restaurants%rowtype;
+  kept public.restaurants%rowtype;
+  me text := auth.uid()::text;
+  reviews jsonb;
+  result jsonb;
+begin
+  select * into duplicate from public.restaurants where id::text = duplicate_id for update;
+  if not found then
+    raise exception 'Duplicate not found' using errcode = 'P0002';
+  end if;
+  if duplicate.created_by is not null and duplicate.created_by <> auth.uid() then
+    raise exception 'Only the person who added this restaurant can merge it away' using errcode = '42501';
+  end if;
+
+  select * into kept from public.restaurants where id::text = keep_id for update;
+  if not found then
+    raise exception 'Restaurant not found' using errcode = 'P0002';
+  end if;
+  -- Same rule as upsertRestaurant: the merge must start from the stored revision
+  if coalesce((kept.data ->> 'revision')::int, 0) <> coalesce((merged ->> 'revision')::int, 0) - 1 then
+    raise exception 'Restaurant was changed by someone else' using errcode = '40001';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_array_elements(case when jsonb_typeof(merged -> 'visits') = 'array' then merged -> 'visits' else '[]'::jsonb end) v
+    where v ->> 'id' is distinct from 'legacy'
+      and (v -> 'by' ->> 'id') is distinct from me
+      and public.visit_content(v) is distinct from public.visit_content(public.restaurant_visit(kept.data, v ->> 'id'))
+      and public.visit_content(v) is distinct from public.visit_content(public.restaurant_visit(duplicate.data, v ->> 'id'))
+  ) or exists (
+    select 1
+    from jsonb_array_elements(
+      (case when jsonb_typeof(kept.data -> 'visits') = 'array' then kept.data -> 'visits' else '[]'::jsonb end) ||
+      (case when jsonb_typeof(duplicate.data -> 'visits') = 'array' then duplicate.data -> 'visits' else '[]'::jsonb end)
+    ) v
+    where v ->> 'id' is distinct from 'legacy'
+      and (v -> 'by' ->> 'id') is distinct from me
+      and public.restaurant_visit(merged, v ->> 'id') is null
+  ) then
+    raise exception 'Cannot change another member''s visit' using errcode = '42501';
+  end if;
+
+  reviews := (coalesce(duplicate.data -> 'reviews', '{}') || coalesce(kept.data -> 'reviews', '{}')) - me;
+  if merged -> 'reviews' ? me then
+    reviews := reviews || jsonb_build_object(me, merged -> 'reviews' -> me);
+  end if;
+
+  perform set_config('eats.carrying_reviews', 'on', true);
+  update public.restaurants
+    set data = jsonb_set(merged, '{reviews}', reviews)
+    where id = kept.id
+    returning data into result;
+  delete from public.restaurants where id = duplicate.id;
+  perform set_config('eats.carrying_reviews', 'off', true);
+  return result;
+end;
+$$;
+
+revoke all on function public.merge_duplicate(text, text, jsonb) from public;
+grant execute on function public.merge_duplicate(text, text, jsonb) to authenticated;
+
+drop function if exists public.carry_over_reviews(text, text);
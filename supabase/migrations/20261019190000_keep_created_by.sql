@@ -0,0 +1,19 @@
+-- Deleting is for whoever added a row (created_by), but the update policies let any
+-- member write any column, so a member could claim a row by rewriting created_by and
+-- then delete it. The creator is fixed once the row exists.
+create or replace function public.keep_created_by()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.created_by is distinct from old.created_by then
+    raise exception 'Who added this can''t be changed' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists keep_created_by on public.restaurants;
+create trigger keep_created_by
+  before update on public.restaurants
+  for each row execute function public.keep_created_by();
@@ -0,0 +1,6 @@
+-- Lists have the same hole as restaurants: any member may update any column, so
+-- rewriting created_by would let them delete someone else's list. Same fix.
+drop trigger if exists keep_created_by on public.lists;
+create trigger keep_created_by
+  before update on public.lists
+  for each row execute function public.keep_created_by();